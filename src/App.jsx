@@ -1,9 +1,44 @@
 import React, { useState, useEffect, useRef } from 'react';
 import mapboxgl from 'mapbox-gl';
-import { initMap, updateActiveTrail, updateCompletedTrail, setLayerColors } from './map/map';
-import { searchPlaces, getDirections } from './api/mapbox';
-import { getGreatCircleArc, getBounds } from './utils/geo';
-import { animateJourney, stopAnimation } from './map/animate';
+import {
+    BASE_STYLES, TRAIL_PATTERNS, DEFAULT_TRAIL_STYLES, getBaseStyleUrl,
+    initMap, setBaseStyle, updateActiveTrail, updateCompletedTrail, updateAlternatives, setTrailStyles, setTerrain
+} from './map/map';
+import {
+    searchPlaces, reverseGeocode, getAlternatives, setProviderConfig, readProviderSettings, writeProviderSettings,
+    GEOCODERS, ROUTERS
+} from './api';
+import { getCacheStats, clearCache } from './api/cache';
+import { getBounds, getDistance, getCumulativeDistances, interpolate, wrapPoint } from './utils/geo';
+import { createPlayback, createGroupPlayback, stopAnimation } from './map/animate';
+import { openMapMenu, onLongPress } from './map/menu';
+import {
+    EXPORT_RESOLUTIONS, EXPORT_ASPECTS, EXPORT_FPS,
+    getSupportedFormats, getExportSize, fitMapToAspect, createRecorder, recordPlayback
+} from './map/record';
+import { downloadBlob } from './utils/download';
+import { createJourney, mergeSettings, listJourneys } from './utils/journeys';
+import { createShareUrl, decodeShareHash } from './utils/share';
+import { parseTrackFile, tracksToStops } from './utils/tracks';
+import { parseTransitFiles, buildTransitNetwork } from './utils/transit';
+import { ROUTING_PROFILES, TRANSIT_PROFILES, ROUTE_MATCH_KM, isRouteCurrent, resolveLegs, withMedia } from './utils/legs';
+import { ROUTE_EXPORT_FORMATS, exportJourney } from './utils/exporters';
+import {
+    getTripStats, formatDistance, formatDuration, formatCo2, formatTripSummary, DEFAULT_EMISSION_FACTORS
+} from './utils/stats';
+import { ELEVATION_MODES, createDemSource, indexDemFiles, getElevationProfile } from './utils/elevation';
+import {
+    getSchedule, getTimeAt, formatTripDay, formatDayHeading, formatStopTime, LOCAL_TIME_ZONE
+} from './utils/schedule';
+import { addPhoto, getPhotoUrl, loadPhotoImages, releasePhotos } from './utils/media';
+import { OPTIMIZE_METRICS, optimizeStops } from './utils/optimize';
+import { CAPTION_FORMATS, exportCaptions } from './utils/captions';
+import { isNarrationSupported, getVoices, narratePlayback } from './utils/narration';
+import {
+    isAudioSupported, decodeMusic, hasSoundtrack, createSoundtrack, playSoundtrack, createSoundtrackStream
+} from './utils/soundtrack';
+import JourneysPanel from './components/JourneysPanel';
+import ElevationProfile from './components/ElevationProfile';
 import './styles.css';
 
 const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN;
@@ -19,6 +54,13 @@ const MODES = [
     { value: 'teleport', label: 'Teleport 🌀' }
 ];
 
+const CAMERA_OPTIONS = [
+    { value: 'follow', label: 'Follow (north up)' },
+    { value: 'chase', label: 'Chase (heading up)' },
+    { value: 'overview', label: 'Overview (whole leg)' },
+    { value: 'fixed', label: 'Fixed' }
+];
+
 const MODE_ICONS = {
     car: '🚗',
     bus: '🚌',
@@ -49,6 +91,141 @@ const DEFAULT_SPEEDS = {
     teleport: 100.0
 };
 
+const DEFAULT_TIMING = {
+    minLegSeconds: 1,
+    maxLegSeconds: 90
+};
+
+// Without a Mapbox token the app falls back to the offline fixture providers
+const DEFAULT_PROVIDERS = {
+    geocoder: MAPBOX_TOKEN ? 'mapbox' : 'mock',
+    router: MAPBOX_TOKEN ? 'mapbox' : 'mock'
+};
+
+const DEFAULT_CAMERA = {
+    mode: 'follow',
+    damping: 0.5
+};
+
+const VEHICLE_STYLES = [
+    { value: 'model', label: '3D Model' },
+    { value: 'emoji', label: 'Emoji' }
+];
+
+const DEFAULT_VEHICLES = {
+    style: 'model',
+    altitudeScale: 1 // Flight altitude exaggeration
+};
+
+const ELEVATION_SOURCES = [
+    { value: 'mapbox', label: 'Mapbox Terrain' },
+    { value: 'url', label: 'Tile URL' },
+    { value: 'files', label: 'Local tile folder' }
+];
+
+const DEM_ENCODING_OPTIONS = [
+    { value: 'terrarium', label: 'Terrarium' },
+    { value: 'mapbox', label: 'Mapbox terrain-RGB' }
+];
+
+const DEFAULT_ELEVATION = {
+    profile: true,
+    source: MAPBOX_TOKEN ? 'mapbox' : 'url',
+    url: '',
+    encoding: 'terrarium',
+    terrain: false,
+    exaggeration: 1.5
+};
+
+const DEFAULT_SETTINGS = {
+    zooms: DEFAULT_ZOOMS,
+    speeds: DEFAULT_SPEEDS,
+    timing: DEFAULT_TIMING,
+    camera: DEFAULT_CAMERA,
+    emissions: DEFAULT_EMISSION_FACTORS,
+    elevation: DEFAULT_ELEVATION,
+    styles: {
+        baseStyle: 'outdoors',
+        customStyleUrl: ''
+    },
+    trails: DEFAULT_TRAIL_STYLES,
+    vehicles: DEFAULT_VEHICLES,
+    narration: {
+        enabled: false,
+        voice: '', // voiceURI; the browser's default when empty
+        rate: 1
+    },
+    audio: {
+        volume: 0.8,
+        music: 0.8,
+        effects: 0.5 // Ambient sounds of each mode and the arrival chime
+    }
+};
+
+// Stop and traveller ids: unique for the session however many are created at once
+let lastId = 0;
+const nextId = () => ++lastId;
+
+/**
+ * @param {object|null} place
+ * @param {string} mode
+ * @param {object} [extra] Optional track, camera, via points, chosen route, times, photos and note
+ */
+const createStop = (place = null, mode = 'car', {
+    track = null, camera = null, via = [], route = null,
+    arrival = null, departure = null, nights = null, timeZone = null,
+    photos = [], note = ''
+} = {}) => ({
+    id: nextId(), place, mode, track, camera, via, route, arrival, departure, nights, timeZone, photos, note
+});
+
+const EMPTY_START_TIME = { departure: null, timeZone: null };
+
+const TRAVELLER_COLORS = ['#4caf50', '#2196f3', '#ff9800', '#e91e63', '#9c27b0', '#00bcd4'];
+const TRAVELLER_ICONS = ['🧑', '👩', '👨', '🧒', '👵', '👴', '🐕'];
+
+/**
+ * Someone on the trip, with their own itinerary. The traveller being edited keeps
+ * theirs in the App's start/stops state; the others keep it here.
+ * @param {number} index Position among the travellers, which picks the default look
+ * @param {object} [extra] name, color, icon, start, startTime, stops
+ */
+const createTraveller = (index, extra = {}) => ({
+    id: nextId(),
+    name: index === 0 ? 'Me' : `Traveller ${index + 1}`,
+    color: TRAVELLER_COLORS[index % TRAVELLER_COLORS.length],
+    icon: TRAVELLER_ICONS[index % TRAVELLER_ICONS.length],
+    start: null,
+    startTime: EMPTY_START_TIME,
+    stops: [createStop()],
+    ...extra
+});
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const routeDistance = (coords) => {
+    const cumulative = getCumulativeDistances(coords);
+    return formatDistance(cumulative[cumulative.length - 1]);
+};
+
+/**
+ * Transit paths found while resolving, to keep on their stops so saved journeys,
+ * share links and the player replay them without the transit data
+ * @param {Array} validStops
+ * @param {Array} journey Their legs, from resolveLegs
+ * @returns {Map<number, object>} Stop id → route
+ */
+const foundTransitRoutes = (validStops, journey) => new Map(journey
+    .map((leg, i) => [validStops[i].id, leg.transitRoute])
+    .filter(([, route]) => route));
+
+const withRoutes = (stops, routes) => stops.map(s => (routes.has(s.id) ? { ...s, route: routes.get(s.id) } : s));
+
+const STOP_DRAG_TYPE = 'application/x-nomadroute-stop';
+
+const TRACK_FILE_ACCEPT = '.gpx,.kml,.geojson,.json';
+const TRANSIT_FILE_ACCEPT = '.zip,.txt,.geojson,.json,.osm,.xml';
+
 // --- Sub-Components ---
 
 function LocationInput({ label, value, onSelect, placeholder }) {
@@ -65,7 +242,7 @@ function LocationInput({ label, value, onSelect, placeholder }) {
         setQuery(val);
 
         if (val.length > 2) {
-            const results = await searchPlaces(val, MAPBOX_TOKEN);
+            const results = await searchPlaces(val);
             setSuggestions(results);
             setIsOpen(true);
         } else {
@@ -104,9 +281,342 @@ function LocationInput({ label, value, onSelect, placeholder }) {
     );
 }
 
-function SettingsPanel({ isOpen, onClose, settings, onUpdate }) {
+/**
+ * Via points, the chosen route and the alternatives picker for one routed stop
+ */
+function RouteTools({
+    stop, from, alternatives, disabled,
+    onUpdateVia, onClearRoute, onShowAlternatives, onPickAlternative, onCloseAlternatives
+}) {
+    const routeIsCurrent = stop.place && isRouteCurrent(stop.route, from && from.center, stop.place.center, stop.mode);
+
+    return (
+        <div className="route-tools">
+            {stop.via.map((via, i) => (
+                <div key={i} className="via-row">
+                    <LocationInput
+                        label={`Via ${i + 1}`}
+                        placeholder="Search via point..."
+                        value={via}
+                        onSelect={p => onUpdateVia(list => list.map((v, j) => (j === i ? p : v)))}
+                    />
+                    <button className="remove-btn" onClick={() => onUpdateVia(list => list.filter((_, j) => j !== i))} title="Remove via point">
+                        ✕
+                    </button>
+                </div>
+            ))}
+
+            <div className="route-buttons">
+                <button onClick={() => onUpdateVia(list => [...list, null])} disabled={disabled}>+ Via Point</button>
+                <button
+                    onClick={onShowAlternatives}
+                    disabled={disabled || !stop.place || stop.via.length > 0}
+                    title={stop.via.length > 0 ? 'Alternatives are only offered for legs without via points' : 'Compare routes for this leg'}
+                >
+                    🔀 Alternatives
+                </button>
+            </div>
+
+            {stop.route && (
+                <div className="track-badge">
+                    <span>
+                        🔀 {stop.route.name} · {routeDistance(stop.route.coords)}{!routeIsCurrent && ' (outdated, will re-route)'}
+                    </span>
+                    <button onClick={onClearRoute} title="Use the default route">Default route</button>
+                </div>
+            )}
+
+            {alternatives && (
+                <ul className="alternative-list">
+                    {alternatives.routes.map((route, i) => (
+                        <li
+                            key={i}
+                            className={stop.route && stop.route.coords === route.coords ? 'active' : ''}
+                            onClick={() => onPickAlternative(i)}
+                        >
+                            Route {i + 1} · {routeDistance(route.coords)}
+                            {route.duration != null && ` · ${formatDuration(route.duration)}`}
+                        </li>
+                    ))}
+                    <li className="alternative-done" onClick={onCloseAlternatives}>Done</li>
+                </ul>
+            )}
+        </div>
+    );
+}
+
+/**
+ * The transit path kept on a train or bus stop, which replays without the transit data
+ */
+function TransitRouteBadge({ stop, from, onClear }) {
+    const isCurrent = isRouteCurrent(stop.route, from && from.center, stop.place.center, stop.mode);
+
+    return (
+        <div className="track-badge">
+            <span>🚆 Transit route · {routeDistance(stop.route.coords)}{!isCurrent && ' (outdated, will re-route)'}</span>
+            <button onClick={onClear} title="Route again over the imported transit data">Re-route</button>
+        </div>
+    );
+}
+
+function ProviderOptions({ provider, providers, onUpdate }) {
+    return (provider.options || []).map(o => (
+        <div key={o.key} className="setting-row provider-option">
+            <label>{o.label}</label>
+            <input
+                type="text"
+                value={providers[o.key] || ''}
+                placeholder={o.placeholder}
+                onChange={e => onUpdate(o.key, e.target.value.trim())}
+            />
+        </div>
+    ));
+}
+
+const formatBytes = (bytes) => (bytes < 1024 * 1024
+    ? `${Math.ceil(bytes / 1024)} KB`
+    : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+
+function CacheSettings() {
+    const [stats, setStats] = useState(null);
+
+    const refresh = () => getCacheStats().then(setStats);
+
+    useEffect(() => {
+        refresh();
+    }, []);
+
+    const handleClear = async () => {
+        try {
+            await clearCache();
+        } catch (e) {
+            alert('Could not clear the cache: ' + e.message);
+        }
+        refresh();
+    };
+
+    return (
+        <div className="setting-row cache-row">
+            <label>
+                {stats ? `${stats.entries} routes & searches · ${formatBytes(stats.bytes)}` : 'Reading cache…'}
+            </label>
+            <button onClick={handleClear} disabled={!stats || stats.entries === 0}>Clear Cache</button>
+        </div>
+    );
+}
+
+function TransitSettings({ counts, onImport, onClear }) {
+    const inputRef = useRef(null);
+
+    return (
+        <>
+            <div className="setting-row cache-row">
+                <label>
+                    {counts ? `${counts.train} rail lines · ${counts.bus} bus routes` : 'No transit data loaded'}
+                </label>
+                <div>
+                    <button onClick={() => inputRef.current.click()}>Import</button>
+                    {counts && <button onClick={onClear}>Clear</button>}
+                </div>
+            </div>
+            <p className="setting-hint">
+                GTFS feed (.zip or its .txt files) or an OSM rail extract (.geojson, .osm).
+                Train and bus legs without a match are drawn as dashed lines; until bus routes
+                are imported, bus legs follow the roads. Paths found are kept with their stops.
+            </p>
+            <input
+                ref={inputRef}
+                type="file"
+                multiple
+                accept={TRANSIT_FILE_ACCEPT}
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                    if (e.target.files.length > 0) onImport(Array.from(e.target.files));
+                    e.target.value = '';
+                }}
+            />
+        </>
+    );
+}
+
+/**
+ * Volumes of the soundtrack and the music file it plays
+ */
+function SoundSettings({ audio, onUpdate, musicName, onMusicImport, onMusicClear }) {
+    const fileRef = useRef(null);
+
+    if (!isAudioSupported()) return <p className="setting-hint">This browser cannot play audio (Web Audio API is not available).</p>;
+
+    const volumeRow = (key, label) => (
+        <div className="setting-row">
+            <label>{label}</label>
+            <input
+                type="range" min="0" max="1" step="0.05"
+                value={audio[key]}
+                onChange={e => onUpdate('audio', key, parseFloat(e.target.value))}
+            />
+            <span>{Math.round(audio[key] * 100)}%</span>
+        </div>
+    );
+
+    return (
+        <>
+            {volumeRow('volume', 'Volume')}
+            <div className="setting-row cache-row">
+                <label>{musicName || 'No music'}</label>
+                {musicName && <button onClick={onMusicClear}>Remove</button>}
+                <button onClick={() => fileRef.current.click()}>Choose Music</button>
+                <input
+                    ref={fileRef}
+                    type="file"
+                    accept="audio/*"
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                        if (e.target.files.length > 0) onMusicImport(e.target.files[0]);
+                        e.target.value = '';
+                    }}
+                />
+            </div>
+            {volumeRow('music', 'Music')}
+            {volumeRow('effects', 'Sound Effects')}
+            <p className="setting-hint">
+                Music fades in and out with the journey. Effects play engines, trains, planes and footsteps
+                for each leg and a chime on arrival. Exported videos include the sound; the music file isn&apos;t
+                saved with journeys.
+            </p>
+        </>
+    );
+}
+
+/**
+ * Spoken captions during playback, with the browser's voices
+ */
+function NarrationSettings({ narration, onUpdate }) {
+    const [voices, setVoices] = useState(getVoices);
+
+    // Browsers load their voices asynchronously
+    useEffect(() => {
+        if (!isNarrationSupported()) return undefined;
+        const update = () => setVoices(getVoices());
+        window.speechSynthesis.addEventListener('voiceschanged', update);
+        return () => window.speechSynthesis.removeEventListener('voiceschanged', update);
+    }, []);
+
+    if (!isNarrationSupported()) return <p className="setting-hint">This browser cannot speak (Web Speech API is not available).</p>;
+
+    const update = (key, value) => onUpdate('narration', key, value);
+
+    return (
+        <>
+            <div className="setting-row">
+                <label>Narrate Playback</label>
+                <input type="checkbox" checked={narration.enabled} onChange={e => update('enabled', e.target.checked)} />
+            </div>
+            <div className="setting-row">
+                <label>Voice</label>
+                <select value={narration.voice} onChange={e => update('voice', e.target.value)}>
+                    <option value="">Default</option>
+                    {voices.map(v => <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>)}
+                </select>
+            </div>
+            <div className="setting-row">
+                <label>Rate</label>
+                <input
+                    type="range" min="0.5" max="2" step="0.1"
+                    value={narration.rate}
+                    onChange={e => update('rate', parseFloat(e.target.value))}
+                />
+                <span>x{narration.rate}</span>
+            </div>
+            <p className="setting-hint">Speaks the same departures, arrivals and distances as the exported captions.</p>
+        </>
+    );
+}
+
+function ElevationSettings({ elevation, onUpdate, demTileCount, onDemImport, error }) {
+    const folderRef = useRef(null);
+    const update = (key, value) => onUpdate('elevation', key, value);
+
+    return (
+        <>
+            <div className="setting-row">
+                <label>Profile Chart</label>
+                <input type="checkbox" checked={elevation.profile} onChange={e => update('profile', e.target.checked)} />
+            </div>
+            <div className="setting-row">
+                <label>Elevation Data</label>
+                <select value={elevation.source} onChange={e => update('source', e.target.value)}>
+                    {ELEVATION_SOURCES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+            </div>
+            {elevation.source === 'url' && (
+                <div className="setting-row provider-option">
+                    <label>Tile URL</label>
+                    <input
+                        type="text"
+                        value={elevation.url}
+                        placeholder="http://localhost:8080/{z}/{x}/{y}.png"
+                        onChange={e => update('url', e.target.value.trim())}
+                    />
+                </div>
+            )}
+            {elevation.source === 'files' && (
+                <div className="setting-row cache-row">
+                    <label>{demTileCount ? `${demTileCount} tiles loaded` : 'No tiles loaded'}</label>
+                    <button onClick={() => folderRef.current.click()}>Choose Folder</button>
+                    <input
+                        ref={folderRef}
+                        type="file"
+                        webkitdirectory=""
+                        style={{ display: 'none' }}
+                        onChange={(e) => {
+                            if (e.target.files.length > 0) onDemImport(Array.from(e.target.files));
+                            e.target.value = '';
+                        }}
+                    />
+                </div>
+            )}
+            {elevation.source !== 'mapbox' && (
+                <div className="setting-row">
+                    <label>Tile Encoding</label>
+                    <select value={elevation.encoding} onChange={e => update('encoding', e.target.value)}>
+                        {DEM_ENCODING_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                </div>
+            )}
+            <div className="setting-row">
+                <label>3D Terrain</label>
+                <input type="checkbox" checked={elevation.terrain} onChange={e => update('terrain', e.target.checked)} />
+            </div>
+            {elevation.terrain && (
+                <div className="setting-row">
+                    <label>Exaggeration</label>
+                    <input
+                        type="range" min="1" max="3" step="0.1"
+                        value={elevation.exaggeration}
+                        onChange={e => update('exaggeration', parseFloat(e.target.value))}
+                    />
+                    <span>x{elevation.exaggeration}</span>
+                </div>
+            )}
+            <p className="setting-hint">
+                Walking, cycling and other ground legs get a profile from PNG DEM tiles ({'{z}/{x}/{y}'}).
+                3D terrain uses the tile URL, or Mapbox Terrain otherwise.
+            </p>
+            {error && <p className="setting-hint setting-error">{error}</p>}
+        </>
+    );
+}
+
+function SettingsPanel({
+    isOpen, onClose, settings, onUpdate, providers, onProviderUpdate, transitCounts, onTransitImport, onTransitClear,
+    demTileCount, onDemImport, elevationError, musicName, onMusicImport, onMusicClear
+}) {
     if (!isOpen) return null;
 
+    const geocoder = GEOCODERS.find(p => p.id === providers.geocoder) || GEOCODERS[0];
+    const router = ROUTERS.find(p => p.id === providers.router) || ROUTERS[0];
+
     return (
         <div className="settings-overlay">
             <div className="settings-panel">
@@ -119,21 +629,60 @@ function SettingsPanel({ isOpen, onClose, settings, onUpdate }) {
                     {/* Style Section */}
                     <h3>🎨 Visuals</h3>
                     <div className="setting-row">
-                        <label>Active Trail Color</label>
-                        <input
-                            type="color"
-                            value={settings.styles.activeColor}
-                            onChange={e => onUpdate('styles', 'activeColor', e.target.value)}
-                        />
+                        <label>Base Map</label>
+                        <select value={settings.styles.baseStyle} onChange={e => onUpdate('styles', 'baseStyle', e.target.value)}>
+                            {BASE_STYLES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
                     </div>
+                    {settings.styles.baseStyle === 'custom' && (
+                        <div className="setting-row provider-option">
+                            <label>Style URL</label>
+                            <input
+                                type="text"
+                                defaultValue={settings.styles.customStyleUrl}
+                                placeholder="mapbox://styles/user/style-id"
+                                onBlur={e => onUpdate('styles', 'customStyleUrl', e.target.value.trim())}
+                            />
+                        </div>
+                    )}
+                    {MODES.map((m) => {
+                        const trail = settings.trails[m.value] || DEFAULT_TRAIL_STYLES[m.value];
+                        return (
+                            <div key={m.value} className="setting-row trail-style-row">
+                                <label>{m.label} Trail</label>
+                                <input
+                                    type="color"
+                                    value={trail.color}
+                                    onChange={e => onUpdate('trails', m.value, { ...trail, color: e.target.value })}
+                                />
+                                <select value={trail.pattern} onChange={e => onUpdate('trails', m.value, { ...trail, pattern: e.target.value })}>
+                                    {TRAIL_PATTERNS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                                </select>
+                            </div>
+                        );
+                    })}
+                    <p className="setting-hint">Legs without a route are drawn dashed whatever their pattern.</p>
                     <div className="setting-row">
-                        <label>Completed Trail Color</label>
-                        <input
-                            type="color"
-                            value={settings.styles.completedColor}
-                            onChange={e => onUpdate('styles', 'completedColor', e.target.value)}
-                        />
+                        <label>Vehicle</label>
+                        <select value={settings.vehicles.style} onChange={e => onUpdate('vehicles', 'style', e.target.value)}>
+                            {VEHICLE_STYLES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
                     </div>
+                    {settings.vehicles.style === 'model' && (
+                        <div className="setting-row">
+                            <label>Flight Altitude</label>
+                            <input
+                                type="range" min="1" max="20" step="1"
+                                value={settings.vehicles.altitudeScale}
+                                onChange={e => onUpdate('vehicles', 'altitudeScale', parseFloat(e.target.value))}
+                            />
+                            <span>x{settings.vehicles.altitudeScale}</span>
+                        </div>
+                    )}
+                    <p className="setting-hint">
+                        3D vehicles turn with the route and planes climb to cruise and descend again (true to scale at x1).
+                        Travelling together and maps without 3D model support keep the emoji markers.
+                    </p>
 
                     <hr />
 
@@ -166,137 +715,945 @@ function SettingsPanel({ isOpen, onClose, settings, onUpdate }) {
                             <span>{settings.zooms[m.value] || DEFAULT_ZOOMS[m.value]}</span>
                         </div>
                     ))}
-                </div>
-            </div>
-        </div>
-    );
-}
 
-function CinematicOverlay({ label, visible }) {
-    return (
-        <div className={`cinematic-overlay ${visible ? 'visible' : ''}`}>
-            <h2>{label}</h2>
-            <span>Arriving</span>
-        </div>
-    );
-}
+                    <hr />
 
-// --- Main App ---
+                    {/* Camera Section */}
+                    <h3>🎥 Camera</h3>
+                    <div className="setting-row">
+                        <label>Default Mode</label>
+                        <select value={settings.camera.mode} onChange={e => onUpdate('camera', 'mode', e.target.value)}>
+                            {CAMERA_OPTIONS.map(c => (
+                                <option key={c.value} value={c.value}>{c.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="setting-row">
+                        <label>Smoothing</label>
+                        <input
+                            type="range" min="0" max="1" step="0.05"
+                            value={settings.camera.damping}
+                            onChange={e => onUpdate('camera', 'damping', parseFloat(e.target.value))}
+                        />
+                        <span>{Math.round(settings.camera.damping * 100)}%</span>
+                    </div>
 
-export default function App() {
-    // Map State
-    const mapContainer = useRef(null);
-    const mapInstance = useRef(null);
-    const markerRef = useRef(null);
-    const markerElRef = useRef(null);
-    const staticMarkersRef = useRef([]);
+                    <hr />
 
-    // Logic State
-    const [startPlace, setStartPlace] = useState(null);
-    const [stops, setStops] = useState([{ id: Date.now(), place: null, mode: 'car' }]);
-    const [isAnimating, setIsAnimating] = useState(false);
-    const [statusMessage, setStatusMessage] = useState('');
-    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+                    {/* Sound Section */}
+                    <h3>🔊 Sound</h3>
+                    <SoundSettings
+                        audio={settings.audio}
+                        onUpdate={onUpdate}
+                        musicName={musicName}
+                        onMusicImport={onMusicImport}
+                        onMusicClear={onMusicClear}
+                    />
 
-    // Cinematic State
-    const [cinematicLabel, setCinematicLabel] = useState('');
-    const [isLabelVisible, setIsLabelVisible] = useState(false);
+                    <hr />
 
-    // Settings State
-    const [settings, setSettings] = useState({
-        zooms: { ...DEFAULT_ZOOMS },
-        speeds: { ...DEFAULT_SPEEDS },
-        styles: {
-            activeColor: '#4caf50',
-            completedColor: '#555555'
-        }
-    });
+                    {/* Narration Section */}
+                    <h3>🗣️ Narration</h3>
+                    <NarrationSettings narration={settings.narration} onUpdate={onUpdate} />
 
-    useEffect(() => {
-        if (!process.env.VITE_MAPBOX_TOKEN && !MAPBOX_TOKEN) {
-            alert('Missing VITE_MAPBOX_TOKEN in .env');
-            return;
-        }
+                    <hr />
 
-        const map = initMap(mapContainer.current, MAPBOX_TOKEN);
-        mapInstance.current = map;
+                    {/* Emissions Section */}
+                    <h3>🌍 CO₂ per km (grams)</h3>
+                    {MODES.map(m => (
+                        <div key={m.value} className="setting-row">
+                            <label>{m.label}</label>
+                            <input
+                                type="number" min="0" step="5"
+                                value={settings.emissions[m.value] ?? 0}
+                                onChange={e => onUpdate('emissions', m.value, Math.max(0, parseFloat(e.target.value) || 0))}
+                            />
+                        </div>
+                    ))}
 
-        const el = document.createElement('div');
-        el.className = 'marker-icon';
-        el.innerText = '📍';
-        markerElRef.current = el;
+                    <hr />
 
-        const marker = new mapboxgl.Marker(el)
-            .setLngLat([100.5, 13.7])
-            .addTo(map);
+                    {/* Timing Section */}
+                    <h3>⏱ Leg Duration</h3>
+                    <div className="setting-row">
+                        <label>Shortest Leg</label>
+                        <input
+                            type="range" min="0.5" max="10" step="0.5"
+                            value={settings.timing.minLegSeconds}
+                            onChange={e => onUpdate('timing', 'minLegSeconds', parseFloat(e.target.value))}
+                        />
+                        <span>{settings.timing.minLegSeconds}s</span>
+                    </div>
+                    <div className="setting-row">
+                        <label>Longest Leg</label>
+                        <input
+                            type="range" min="10" max="300" step="5"
+                            value={settings.timing.maxLegSeconds}
+                            onChange={e => onUpdate('timing', 'maxLegSeconds', parseFloat(e.target.value))}
+                        />
+                        <span>{settings.timing.maxLegSeconds}s</span>
+                    </div>
 
-        el.style.display = 'none';
-        markerRef.current = marker;
+                    <hr />
 
-        return () => {
-            map.remove();
-            mapInstance.current = null;
-        };
-    }, []);
+                    {/* Providers Section */}
+                    <h3>🧭 Providers</h3>
+                    <div className="setting-row">
+                        <label>Place Search</label>
+                        <select value={geocoder.id} onChange={e => onProviderUpdate('geocoder', e.target.value)}>
+                            {GEOCODERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                        </select>
+                    </div>
+                    <ProviderOptions provider={geocoder} providers={providers} onUpdate={onProviderUpdate} />
+                    <div className="setting-row">
+                        <label>Routing</label>
+                        <select value={router.id} onChange={e => onProviderUpdate('router', e.target.value)}>
+                            {ROUTERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                        </select>
+                    </div>
+                    <ProviderOptions provider={router} providers={providers} onUpdate={onProviderUpdate} />
 
-    // Effect: Update Map Colors
-    useEffect(() => {
-        if (mapInstance.current) {
-            try {
-                setLayerColors(
-                    mapInstance.current,
-                    settings.styles.activeColor,
-                    settings.styles.completedColor
-                );
-            } catch (e) {
-                console.warn(e);
-            }
-        }
-    }, [settings.styles]);
+                    <hr />
 
-    // Effect: Update Static Markers (Hide during animation for clean look?)
-    useEffect(() => {
-        if (!mapInstance.current) return;
+                    {/* Transit Section */}
+                    <h3>🚆 Transit Data</h3>
+                    <TransitSettings counts={transitCounts} onImport={onTransitImport} onClear={onTransitClear} />
 
-        staticMarkersRef.current.forEach(m => m.remove());
-        staticMarkersRef.current = [];
+                    <hr />
 
-        // If animating, simpler to hide prompts, though user might want to see map pins?
-        // Let's keep them for context, but maybe smaller? Standard is fine.
+                    {/* Elevation Section */}
+                    <h3>⛰ Elevation</h3>
+                    <ElevationSettings
+                        elevation={settings.elevation}
+                        onUpdate={onUpdate}
+                        demTileCount={demTileCount}
+                        onDemImport={onDemImport}
+                        error={elevationError}
+                    />
 
-        const boundsPoints = [];
+                    <hr />
 
-        if (startPlace && startPlace.center) {
-            const el = document.createElement('div');
-            el.className = 'marker-static start';
-            el.innerHTML = '<div style="background-color: #4caf50; width: 24px; height: 24px; border-radius: 50%; border: 2px solid white; display: flex; align-items: center; justify-content: center;">⛳</div>';
+                    {/* Cache Section */}
+                    <h3>💾 Offline Cache</h3>
+                    <CacheSettings />
+                </div>
+            </div>
+        </div>
+    );
+}
 
-            const m = new mapboxgl.Marker({ element: el, anchor: 'center' })
-                .setLngLat(startPlace.center)
-                .setPopup(new mapboxgl.Popup({ offset: 25 }).setText('Start: ' + startPlace.name))
-                .addTo(mapInstance.current);
+function ExportPanel({ isOpen, onClose, onStart }) {
+    const formats = getSupportedFormats();
+    const [options, setOptions] = useState({
+        resolution: 1080,
+        aspect: '16:9',
+        fps: 30,
+        format: formats.length > 0 ? formats[0].value : '',
+        captions: CAPTION_FORMATS[0].value // '' for none
+    });
 
-            staticMarkersRef.current.push(m);
-            boundsPoints.push(startPlace.center);
-        }
+    if (!isOpen) return null;
 
-        stops.forEach((stop, idx) => {
-            if (stop.place && stop.place.center) {
-                const el = document.createElement('div');
-                el.className = 'marker-static stop';
-                el.innerHTML = '<div style="background-color: #ff5252; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; display: flex; align-items: center; justify-content: center;">📍</div>';
+    const update = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
 
-                const m = new mapboxgl.Marker({ element: el, anchor: 'center' })
-                    .setLngLat(stop.place.center)
-                    .setPopup(new mapboxgl.Popup({ offset: 25 }).setText(`Stop ${idx + 1}: ${stop.place.name}`))
-                    .addTo(mapInstance.current);
+    return (
+        <div className="settings-overlay">
+            <div className="settings-panel">
+                <div className="settings-header">
+                    <h2>🎬 Export Video</h2>
+                    <button onClick={onClose} className="close-btn">✕</button>
+                </div>
 
+                <div className="settings-content">
+                    {formats.length === 0 ? (
+                        <p>This browser cannot record video (MediaRecorder is not available).</p>
+                    ) : (
+                        <>
+                            <div className="setting-row">
+                                <label>Resolution</label>
+                                <select value={options.resolution} onChange={e => update('resolution', parseInt(e.target.value, 10))}>
+                                    {EXPORT_RESOLUTIONS.map(r => (
+                                        <option key={r.value} value={r.value}>{r.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="setting-row">
+                                <label>Aspect Ratio</label>
+                                <select value={options.aspect} onChange={e => update('aspect', e.target.value)}>
+                                    {Object.keys(EXPORT_ASPECTS).map(a => (
+                                        <option key={a} value={a}>{a}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="setting-row">
+                                <label>Frame Rate</label>
+                                <select value={options.fps} onChange={e => update('fps', parseInt(e.target.value, 10))}>
+                                    {EXPORT_FPS.map(f => (
+                                        <option key={f} value={f}>{f} fps</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="setting-row">
+                                <label>Format</label>
+                                <select value={options.format} onChange={e => update('format', e.target.value)}>
+                                    {formats.map(f => (
+                                        <option key={f.value} value={f.value}>{f.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="setting-row">
+                                <label>Captions</label>
+                                <select value={options.captions} onChange={e => update('captions', e.target.value)}>
+                                    <option value="">None</option>
+                                    {CAPTION_FORMATS.map(f => (
+                                        <option key={f.value} value={f.value}>{f.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <button className="btn-primary export-start" onClick={() => onStart(options)}>
+                                Render Video
+                            </button>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function ExportProgress({ progress, onCancel }) {
+    const percent = Math.round(progress * 100);
+
+    return (
+        <div className="export-progress">
+            <span>Rendering video… {percent}%</span>
+            <div className="export-progress-track">
+                <div className="export-progress-fill" style={{ width: `${percent}%` }} />
+            </div>
+            <button onClick={onCancel}>Cancel</button>
+        </div>
+    );
+}
+
+const PLAYBACK_RATES = [0.5, 1, 2, 4];
+
+const formatTime = (ms) => {
+    const total = Math.floor(ms / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+function PlaybackBar({ playback, onStop }) {
+    const [time, setTime] = useState(playback.time);
+    const [state, setState] = useState(playback.state);
+    const [rate, setRate] = useState(playback.rate);
+    const trackRef = useRef(null);
+
+    useEffect(() => {
+        const offProgress = playback.on('progress', (p) => setTime(p.time));
+        const offState = playback.on('state', setState);
+        return () => {
+            offProgress();
+            offState();
+        };
+    }, [playback]);
+
+    const duration = playback.duration || 1;
+    const legs = playback.legs;
+    const percent = (t) => `${(t / duration) * 100}%`;
+
+    const seekToPointer = (e) => {
+        const rect = trackRef.current.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        playback.seek(fraction * duration);
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        seekToPointer(e);
+    };
+
+    const handleRate = (e) => {
+        const next = parseFloat(e.target.value);
+        playback.setRate(next);
+        setRate(next);
+    };
+
+    return (
+        <div className="playback-bar">
+            <div className="playback-controls">
+                {state === 'playing' ? (
+                    <button onClick={() => playback.pause()} title="Pause">⏸</button>
+                ) : (
+                    <button onClick={() => playback.play()} title="Play">▶</button>
+                )}
+                <button onClick={onStop} title="Stop">⏹</button>
+                <span className="playback-time">{formatTime(time)} / {formatTime(duration)}</span>
+                <select value={rate} onChange={handleRate} title="Playback rate">
+                    {PLAYBACK_RATES.map(r => (
+                        <option key={r} value={r}>{r}x</option>
+                    ))}
+                </select>
+            </div>
+
+            <div
+                className="playback-track"
+                ref={trackRef}
+                onPointerDown={handlePointerDown}
+                onPointerMove={(e) => e.buttons === 1 && seekToPointer(e)}
+            >
+                <div className="playback-fill" style={{ width: percent(time) }} />
+                {legs.map(leg => (
+                    <React.Fragment key={leg.index}>
+                        <div
+                            className="playback-leg-boundary"
+                            style={{ left: percent(leg.start) }}
+                            title={`Leg ${leg.index + 1}: ${MODE_ICONS[leg.mode] || ''} to ${leg.toName}`}
+                        />
+                        {leg.end > leg.arrivalStart && (
+                            <button
+                                className="playback-arrival"
+                                style={{ left: percent(leg.arrivalStart) }}
+                                title={`Replay arrival at ${leg.toName}`}
+                                onPointerDown={(e) => e.stopPropagation()}
+                                onClick={() => playback.seek(leg.arrivalStart)}
+                            />
+                        )}
+                    </React.Fragment>
+                ))}
+            </div>
+
+            <div className="playback-legs">
+                {legs.map(leg => (
+                    <button
+                        key={leg.index}
+                        onClick={() => playback.seek(leg.start)}
+                        title={`Jump to leg ${leg.index + 1}`}
+                    >
+                        {MODE_ICONS[leg.mode] || '🚗'} {leg.toName}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+function LegStats({ stats, profile }) {
+    return (
+        <div className="leg-stats">
+            {formatDistance(stats.distanceKm)} · {stats.estimatedDuration ? '~' : ''}{formatDuration(stats.durationSec)} · {formatCo2(stats.co2Kg)}
+            {profile && ` · ↑ ${Math.round(profile.ascent)} m ↓ ${Math.round(profile.descent)} m`}
+        </div>
+    );
+}
+
+/**
+ * Arrival/departure times, nights and time zone of a stop; the start only has a departure
+ */
+function StopTimes({ times, resolved, warnings, isStart, onUpdate }) {
+    const hasTimes = !!(times.arrival || times.departure || times.timeZone || typeof times.nights === 'number');
+    const [isExpanded, setIsExpanded] = useState(false);
+    const isOpen = isExpanded || hasTimes;
+
+    const estimate = resolved && (
+        (resolved.estimatedArrival && `≈ arrives ${formatStopTime(resolved.arrival, resolved.timeZone)}`)
+        || (resolved.estimatedDeparture && `≈ leaves ${formatStopTime(resolved.departure, resolved.timeZone)}`)
+    );
+
+    return (
+        <div className="stop-times">
+            {!isOpen && (
+                <button className="stop-times-toggle" onClick={() => setIsExpanded(true)}>🗓 Dates & times</button>
+            )}
+
+            {isOpen && (
+                <div className="stop-times-fields">
+                    {!isStart && (
+                        <label>
+                            Arrive
+                            <input
+                                type="datetime-local"
+                                value={times.arrival || ''}
+                                onChange={e => onUpdate('arrival', e.target.value || null)}
+                            />
+                        </label>
+                    )}
+                    <label>
+                        Leave
+                        <input
+                            type="datetime-local"
+                            value={times.departure || ''}
+                            onChange={e => onUpdate('departure', e.target.value || null)}
+                        />
+                    </label>
+                    {!isStart && (
+                        <label>
+                            Nights
+                            <input
+                                type="number" min="0" step="1"
+                                value={typeof times.nights === 'number' ? times.nights : ''}
+                                placeholder={resolved && resolved.nights !== null ? String(resolved.nights) : ''}
+                                onChange={e => onUpdate('nights', e.target.value === '' ? null : Math.max(0, parseInt(e.target.value, 10) || 0))}
+                            />
+                        </label>
+                    )}
+                    <label>
+                        Time zone
+                        <input
+                            type="text"
+                            list="time-zones"
+                            value={times.timeZone || ''}
+                            placeholder={resolved ? resolved.timeZone : LOCAL_TIME_ZONE}
+                            onChange={e => onUpdate('timeZone', e.target.value.trim() || null)}
+                        />
+                    </label>
+                </div>
+            )}
+
+            {estimate && <div className="stop-times-estimate">{estimate}</div>}
+            {warnings.map(w => <div key={w.message} className="schedule-warning">⚠ {w.message}</div>)}
+        </div>
+    );
+}
+
+/**
+ * Object URL of a stored photo, once it has been read
+ */
+function usePhotoUrl(id) {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        setUrl(null);
+        if (!id) return undefined;
+
+        let cancelled = false;
+        getPhotoUrl(id)
+            .then(u => !cancelled && setUrl(u))
+            .catch(e => console.warn('Could not read photo', e));
+        return () => { cancelled = true; };
+    }, [id]);
+
+    return url;
+}
+
+function PhotoThumb({ photo, onCaption, onRemove }) {
+    const url = usePhotoUrl(photo.id);
+
+    return (
+        <div className="photo-thumb">
+            {url ? <img src={url} alt={photo.caption} /> : <div className="photo-missing" title="Photo not stored in this browser">?</div>}
+            <input
+                type="text"
+                value={photo.caption || ''}
+                placeholder="Caption"
+                onChange={e => onCaption(e.target.value)}
+            />
+            <button className="remove-btn" onClick={onRemove} title="Remove photo">✕</button>
+        </div>
+    );
+}
+
+/**
+ * Photos with captions and a note, shown while the animation pauses at the stop
+ */
+function StopMedia({ photos, note, onUpdate, onRemovePhoto, onStatus }) {
+    const [isExpanded, setIsExpanded] = useState(false);
+    const inputRef = useRef(null);
+    const isOpen = isExpanded || photos.length > 0 || !!note;
+
+    const handleFiles = async (files) => {
+        const added = [];
+        for (const file of files) {
+            try {
+                added.push(await addPhoto(file));
+            } catch (error) {
+                console.error(error);
+                onStatus(`${file.name}: ${error.message}`);
+            }
+        }
+        if (added.length > 0) onUpdate('photos', [...photos, ...added]);
+    };
+
+    const updatePhoto = (index, photo) => onUpdate('photos', photos.map((p, i) => (i === index ? photo : p)));
+
+    if (!isOpen) {
+        return <button className="stop-times-toggle" onClick={() => setIsExpanded(true)}>📷 Photos & note</button>;
+    }
+
+    return (
+        <div className="stop-media">
+            {photos.map((photo, i) => (
+                <PhotoThumb
+                    key={photo.id}
+                    photo={photo}
+                    onCaption={caption => updatePhoto(i, { ...photo, caption })}
+                    onRemove={() => {
+                        onUpdate('photos', photos.filter((_, j) => j !== i));
+                        onRemovePhoto(photo.id);
+                    }}
+                />
+            ))}
+            <button className="media-add" onClick={() => inputRef.current.click()}>+ Add photos</button>
+            <input
+                ref={inputRef}
+                type="file"
+                accept="image/*"
+                multiple
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                    handleFiles(Array.from(e.target.files));
+                    e.target.value = '';
+                }}
+            />
+            <textarea
+                value={note}
+                placeholder="Note shown on arrival"
+                rows={2}
+                onChange={e => onUpdate('note', e.target.value)}
+            />
+        </div>
+    );
+}
+
+/**
+ * A stop's photo as a polaroid (or its note on its own) during the arrival pause
+ */
+function MediaCard({ card }) {
+    const url = usePhotoUrl(card.photo ? card.photo.id : null);
+
+    return (
+        <div className={`media-card ${card.photo ? 'polaroid' : 'note-card'} ${card.index % 2 === 0 ? 'tilt-left' : 'tilt-right'}`}>
+            {card.photo && (url ? <img src={url} alt={card.photo.caption} /> : <div className="photo-missing">📷</div>)}
+            {card.photo && card.photo.caption && <div className="media-caption">{card.photo.caption}</div>}
+            {card.note && <p className="media-note">{card.note}</p>}
+            {card.count > 1 && <span className="media-count">{card.index + 1} / {card.count}</span>}
+        </div>
+    );
+}
+
+/**
+ * Options and outcome of reordering the stops for the shortest trip
+ */
+function OptimizeOrder({ result, hasRoutes, onRun, onApply, onClose }) {
+    const [metric, setMetric] = useState('distance');
+    const [roundTrip, setRoundTrip] = useState(false);
+
+    const format = value => (result.metric === 'duration' ? formatDuration(value) : formatDistance(value));
+    const saved = result && result.before - result.after;
+    const percent = result && result.before > 0 ? Math.round((saved / result.before) * 100) : 0;
+
+    // Describe the costs of the last run, or of the next one before any
+    const basis = result || { metric, routed: hasRoutes };
+    const estimate = basis.metric === 'duration'
+        ? 'straight-line distances at each mode\'s average speed'
+        : 'straight-line distances';
+    const hint = basis.routed
+        ? `Legs already routed use their route ${basis.metric === 'duration' ? 'times' : 'distances'}; other pairings are estimated from ${estimate}, scaled to match the routes.`
+        : `Estimated from ${estimate} between stops. Play the trip first to use routed legs.`;
+
+    return (
+        <div className="optimize-panel">
+            <div className="optimize-options">
+                <select value={metric} onChange={e => setMetric(e.target.value)}>
+                    {OPTIMIZE_METRICS.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                </select>
+                <select value={roundTrip ? 'round' : 'fixed'} onChange={e => setRoundTrip(e.target.value === 'round')}>
+                    <option value="fixed">Keep last stop last</option>
+                    <option value="round">Round trip</option>
+                </select>
+                <button onClick={() => onRun({ metric, roundTrip })}>Optimize</button>
+                <button className="remove-btn" onClick={onClose} title="Close">✕</button>
+            </div>
+
+            {result && (saved > 0 ? (
+                <div className="optimize-result">
+                    <span>
+                        {format(result.before)} → {format(result.after)}: saves {format(saved)} ({percent}%)
+                    </span>
+                    <button onClick={onApply}>Apply</button>
+                </div>
+            ) : (
+                <div className="optimize-result">The current order is already the shortest found.</div>
+            ))}
+            <p className="setting-hint">{hint}</p>
+        </div>
+    );
+}
+
+/**
+ * Who is on the trip. Selecting a traveller shows their itinerary below for editing;
+ * with more than one, Play animates everyone together.
+ */
+function TravellersBar({ travellers, activeId, onSelect, onAdd, onUpdate, onRemove }) {
+    const active = travellers.find(t => t.id === activeId);
+
+    return (
+        <div className="travellers">
+            <div className="traveller-tabs">
+                {travellers.map(t => (
+                    <button
+                        key={t.id}
+                        className={`traveller-tab ${t.id === activeId ? 'active' : ''}`}
+                        style={{ '--traveller-color': t.color }}
+                        onClick={() => onSelect(t.id)}
+                    >
+                        {t.icon} {t.name}
+                    </button>
+                ))}
+                <button className="traveller-add" onClick={onAdd} title="Add a traveller with their own itinerary">+</button>
+            </div>
+            {active && (
+                <div className="traveller-edit">
+                    <select value={active.icon} onChange={e => onUpdate(active.id, 'icon', e.target.value)} title="Icon">
+                        {TRAVELLER_ICONS.map(icon => <option key={icon} value={icon}>{icon}</option>)}
+                    </select>
+                    <input
+                        type="text"
+                        value={active.name}
+                        onChange={e => onUpdate(active.id, 'name', e.target.value)}
+                        placeholder="Name"
+                    />
+                    <input
+                        type="color"
+                        value={active.color}
+                        onChange={e => onUpdate(active.id, 'color', e.target.value)}
+                        title="Trail color"
+                    />
+                    {travellers.length > 1 && (
+                        <button className="remove-btn" onClick={() => onRemove(active.id)} title="Remove traveller">×</button>
+                    )}
+                </div>
+            )}
+            {travellers.length > 1 && (
+                <p className="setting-hint">
+                    Editing {active.name}'s itinerary. Everyone sets off together; at a stop you share, whoever arrives first waits for the others.
+                </p>
+            )}
+        </div>
+    );
+}
+
+function CinematicOverlay({ label, subtitle, visible }) {
+    return (
+        <div className={`cinematic-overlay ${visible ? 'visible' : ''}`}>
+            <h2>{label}</h2>
+            <span>{subtitle}</span>
+        </div>
+    );
+}
+
+// --- Main App ---
+
+export default function App() {
+    // Map State
+    const mapContainer = useRef(null);
+    const mapInstance = useRef(null);
+    const markerRef = useRef(null);
+    const markerElRef = useRef(null);
+    const staticMarkersRef = useRef([]);
+    const mapMenuRef = useRef(null); // Open click/marker menu popup
+    const mapActionsRef = useRef(null); // Latest map click handlers, for listeners bound once
+    const skipFitRef = useRef(false); // Set by edits made on the map, which shouldn't move the view
+    const overlayRef = useRef({ label: '', visible: false }); // Mirrors the overlay for the video recorder
+    const exportCancelRef = useRef(null);
+
+    // Logic State
+    const [startPlace, setStartPlace] = useState(null);
+    const [startTime, setStartTime] = useState(EMPTY_START_TIME);
+    const [stops, setStops] = useState(() => [createStop()]);
+    const [travellers, setTravellers] = useState(() => [createTraveller(0)]);
+    const [activeTravellerId, setActiveTravellerId] = useState(() => travellers[0].id);
+    const [isAnimating, setIsAnimating] = useState(false);
+    const [statusMessage, setStatusMessage] = useState('');
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const [isExportOpen, setIsExportOpen] = useState(false);
+    const [exportProgress, setExportProgress] = useState(null); // null when not exporting
+    const [playback, setPlayback] = useState(null); // Controller of the last played journey
+    const [isJourneysOpen, setIsJourneysOpen] = useState(false);
+    const [activeJourneyId, setActiveJourneyId] = useState(null); // Library entry the itinerary came from
+    const [isMapReady, setIsMapReady] = useState(false);
+    const [shareAutoplay, setShareAutoplay] = useState(false);
+    const [pendingAutoplay, setPendingAutoplay] = useState(false); // Set by a shared link with play=1
+    const [isDraggingFile, setIsDraggingFile] = useState(false);
+    const trackInputRef = useRef(null);
+    const resolvedJourneyRef = useRef({ key: null, journey: null }); // Last resolved legs
+    const [resolvedJourney, setResolvedJourney] = useState(null); // Same, for rendering trip statistics
+
+    // Cinematic State
+    const [cinematicLabel, setCinematicLabel] = useState({ label: '', subtitle: '' });
+    const [isLabelVisible, setIsLabelVisible] = useState(false);
+    const [calendarText, setCalendarText] = useState(null); // Running trip date, e.g. 'Day 4 — 12 Mar'
+    const [mediaCard, setMediaCard] = useState(null); // Photo/note card of the stop being visited
+    const [draggedStopId, setDraggedStopId] = useState(null);
+    const [dropIndex, setDropIndex] = useState(null); // Where the dragged stop would land
+    const [isOptimizeOpen, setIsOptimizeOpen] = useState(false);
+    const [optimizeResult, setOptimizeResult] = useState(null); // { order, before, after, routed, returnMode, metric, roundTrip }
+
+    // Settings State
+    const [settings, setSettings] = useState(() => mergeSettings(DEFAULT_SETTINGS));
+    const [providers, setProviders] = useState(() => readProviderSettings(DEFAULT_PROVIDERS));
+    const [transitNetwork, setTransitNetwork] = useState(null); // Imported rail/bus geometry
+    const [alternatives, setAlternatives] = useState(null); // { stopId, profile, from, to, routes } while choosing
+    const [demFiles, setDemFiles] = useState(null); // Local DEM tiles, indexed by z/x/y
+    const [music, setMusic] = useState(null); // { name, buffer }: decoded once, kept for the session only
+    const [elevation, setElevation] = useState(null); // { key, profiles, error } for the resolved journey
+
+    // Effect: Point the API layer at the selected providers
+    useEffect(() => {
+        setProviderConfig(providers, { token: MAPBOX_TOKEN });
+        writeProviderSettings(providers);
+    }, [providers]);
+
+    useEffect(() => {
+        if (!MAPBOX_TOKEN) {
+            console.warn('Missing VITE_MAPBOX_TOKEN in .env: map tiles are unavailable, using offline providers');
+            setStatusMessage('No Mapbox token: the map cannot load, place search and routing use offline fixtures.');
+        }
+
+        let map;
+        try {
+            map = initMap(mapContainer.current, MAPBOX_TOKEN, getBaseStyleUrl(settings.styles.baseStyle, settings.styles.customStyleUrl));
+        } catch (e) {
+            console.error('Map failed to initialize', e);
+            return;
+        }
+        mapInstance.current = map;
+
+        const el = document.createElement('div');
+        el.className = 'marker-icon';
+        el.innerText = '📍';
+        markerElRef.current = el;
+
+        const marker = new mapboxgl.Marker(el)
+            .setLngLat([100.5, 13.7])
+            .addTo(map);
+
+        el.style.display = 'none';
+        markerRef.current = marker;
+
+        map.on('load', () => setIsMapReady(true));
+
+        return () => {
+            map.remove();
+            mapInstance.current = null;
+        };
+    }, []);
+
+    // Effect: Click, right-click or long-press the map to add a stop or set the start there
+    useEffect(() => {
+        const map = mapInstance.current;
+        if (!map || !isMapReady) return undefined;
+
+        const open = (e) => {
+            const target = e.originalEvent && e.originalEvent.target;
+            if (target && target.closest && target.closest('.mapboxgl-marker, .mapboxgl-popup')) return;
+
+            // A click away from an open menu only dismisses it
+            if (e.type === 'click' && mapMenuRef.current && mapMenuRef.current.isOpen()) {
+                closeMapMenu();
+                return;
+            }
+            if (mapActionsRef.current.isAnimating) return;
+            mapActionsRef.current.openPointMenu(e.lngLat);
+        };
+
+        // Lifting the finger after a long press also taps, which would close the menu again
+        let afterLongPress = false;
+        const click = (e) => {
+            if (afterLongPress) afterLongPress = false;
+            else open(e);
+        };
+        const offLongPress = onLongPress(map, (e) => {
+            afterLongPress = true;
+            open(e);
+        });
+        const resetLongPress = () => { afterLongPress = false; };
+
+        map.on('click', click);
+        map.on('contextmenu', open);
+        map.on('touchstart', resetLongPress);
+
+        return () => {
+            map.off('click', click);
+            map.off('contextmenu', open);
+            map.off('touchstart', resetLongPress);
+            offLongPress();
+        };
+    }, [isMapReady]);
+
+    // Effect: Open a shared link (#j=...) once on startup
+    useEffect(() => {
+        decodeShareHash(window.location.hash)
+            .then((shared) => {
+                if (!shared) return;
+                handleLoadJourney(shared.journey, null);
+                if (shared.autoplay) setPendingAutoplay(true);
+            })
+            .catch((error) => setStatusMessage(error.message));
+    }, []);
+
+    // Effect: Autoplay a shared link once the map and itinerary are in place
+    useEffect(() => {
+        if (!pendingAutoplay || !isMapReady || !startPlace) return;
+        setPendingAutoplay(false);
+        handlePlay();
+    }, [pendingAutoplay, isMapReady, startPlace, stops]);
+
+    // Effect: Draw the alternatives being chosen from; drop them once the leg changes
+    useEffect(() => {
+        if (!mapInstance.current) return;
+
+        const stop = alternatives && stops.find(s => s.id === alternatives.stopId);
+        const stillValid = stop && stop.place && stop.via.length === 0
+            && ROUTING_PROFILES[stop.mode] === alternatives.profile
+            && getDistance(stop.place.center, alternatives.to) <= ROUTE_MATCH_KM;
+
+        if (alternatives && !stillValid) {
+            setAlternatives(null);
+            return;
+        }
+
+        updateAlternatives(
+            mapInstance.current,
+            alternatives ? alternatives.routes.map(rt => rt.coords) : [],
+            alternatives && stop.route ? alternatives.routes.findIndex(rt => rt.coords === stop.route.coords) : -1
+        );
+    }, [alternatives, stops, isMapReady]);
+
+    // Effect: Sample elevation profiles for the resolved legs
+    useEffect(() => {
+        const { profile, source, url, encoding } = settings.elevation;
+        if (!resolvedJourney || !profile) {
+            setElevation(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const { key, journey } = resolvedJourney;
+        const done = (profiles, error = null) => {
+            if (!cancelled) setElevation({ key, profiles, error });
+        };
+
+        let dem;
+        try {
+            dem = createDemSource({ type: source, token: MAPBOX_TOKEN, url, encoding, files: demFiles });
+        } catch (error) {
+            done(journey.map(() => null), error.message);
+            return undefined;
+        }
+
+        let firstError = null;
+        Promise.all(journey.map((leg) => {
+            if (!ELEVATION_MODES.includes(leg.mode) || leg.fallback) return null;
+            return getElevationProfile(leg.pathCoords, dem).catch((error) => {
+                console.warn('Elevation sampling failed', error);
+                firstError = firstError || error.message;
+                return null;
+            });
+        })).then(profiles => done(profiles, firstError));
+
+        return () => { cancelled = true; };
+    }, [resolvedJourney, settings.elevation.profile, settings.elevation.source, settings.elevation.url, settings.elevation.encoding, demFiles]);
+
+    // Effect: 3D terrain
+    useEffect(() => {
+        if (!mapInstance.current || !isMapReady) return;
+        const { terrain, source, url, encoding, exaggeration } = settings.elevation;
+        try {
+            setTerrain(mapInstance.current, terrain
+                ? { url: source === 'url' && url ? url : null, encoding, exaggeration }
+                : null);
+        } catch (e) {
+            console.warn(e);
+        }
+    }, [settings.elevation, isMapReady]);
+
+    // Effect: Base map style; the map puts our trails and terrain back once it loads
+    useEffect(() => {
+        if (!mapInstance.current || !isMapReady) return;
+        try {
+            setBaseStyle(mapInstance.current, getBaseStyleUrl(settings.styles.baseStyle, settings.styles.customStyleUrl));
+        } catch (e) {
+            console.warn(e);
+        }
+    }, [settings.styles, isMapReady]);
+
+    // Effect: Trail color and pattern per travel mode
+    useEffect(() => {
+        if (mapInstance.current) setTrailStyles(mapInstance.current, settings.trails);
+    }, [settings.trails, isMapReady]);
+
+    // Effect: Update Static Markers; they can be dragged and right-clicked to edit the itinerary
+    useEffect(() => {
+        if (!mapInstance.current) return;
+
+        staticMarkersRef.current.forEach(m => m.remove());
+        staticMarkersRef.current = [];
+        closeMapMenu();
+
+        const boundsPoints = [];
+        const addStaticMarker = (el, place, popupText, onDrag, onMenu) => {
+            const m = new mapboxgl.Marker({ element: el, anchor: 'center', draggable: !isAnimating })
+                .setLngLat(place.center)
+                .setPopup(new mapboxgl.Popup({ offset: 25 }).setText(popupText))
+                .addTo(mapInstance.current);
+
+            m.on('dragend', () => {
+                const { lng, lat } = m.getLngLat();
+                onDrag([lng, lat]);
+            });
+            el.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (isAnimating) return;
+                if (m.getPopup().isOpen()) m.togglePopup();
+                onMenu(place.center);
+            });
+
+            staticMarkersRef.current.push(m);
+            boundsPoints.push(place.center);
+        };
+
+        if (startPlace && startPlace.center) {
+            const el = document.createElement('div');
+            el.className = 'marker-static start';
+            el.innerHTML = '<div style="background-color: #4caf50; width: 24px; height: 24px; border-radius: 50%; border: 2px solid white; display: flex; align-items: center; justify-content: center;">⛳</div>';
+
+            addStaticMarker(el, startPlace, 'Start: ' + startPlace.name, setStartAt, center => showMapMenu(
+                center, `Start: ${startPlace.name}`,
+                [{ label: '🗑️ Remove start', onSelect: () => editOnMap(() => setStartPlace(null)) }]
+            ));
+        }
+
+        stops.forEach((stop, idx) => {
+            if (stop.place && stop.place.center) {
+                const el = document.createElement('div');
+                el.className = 'marker-static stop';
+                el.innerHTML = '<div style="background-color: #ff5252; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; display: flex; align-items: center; justify-content: center;">📍</div>';
+
+                addStaticMarker(el, stop.place, `Stop ${idx + 1}: ${stop.place.name}`, center => moveStopTo(stop.id, center),
+                    center => openStopMenu(stop, idx, center));
+            }
+        });
+
+        // The other travellers' places, for reference; select a traveller to edit theirs
+        travellers.filter(t => t.id !== activeTravellerId).forEach((t) => {
+            [t.start, ...t.stops.map(s => s.place)].filter(Boolean).forEach((place, idx) => {
+                const el = document.createElement('div');
+                el.className = 'marker-static other-traveller';
+                el.style.setProperty('--traveller-color', t.color);
+
+                const m = new mapboxgl.Marker({ element: el, anchor: 'center' })
+                    .setLngLat(place.center)
+                    .setPopup(new mapboxgl.Popup({ offset: 15 }).setText(`${t.name}, ${idx === 0 && t.start ? 'start' : 'stop'}: ${place.name}`))
+                    .addTo(mapInstance.current);
                 staticMarkersRef.current.push(m);
-                boundsPoints.push(stop.place.center);
-            }
+            });
         });
 
-        if (!isAnimating && boundsPoints.length > 0) {
+        if (skipFitRef.current) {
+            skipFitRef.current = false;
+        } else if (!isAnimating && boundsPoints.length > 0) {
             try {
                 if (boundsPoints.length === 1) {
                     mapInstance.current.flyTo({ center: boundsPoints[0], zoom: settings.zooms['car'] || 10, speed: 1.5 });
@@ -311,7 +1668,85 @@ export default function App() {
             }
         }
 
-    }, [startPlace, stops, isAnimating]);
+    }, [startPlace, stops, isAnimating, travellers, activeTravellerId]);
+
+    const closeMapMenu = () => {
+        if (mapMenuRef.current) mapMenuRef.current.remove();
+        mapMenuRef.current = null;
+    };
+
+    const showMapMenu = (center, title, items) => {
+        closeMapMenu();
+        mapMenuRef.current = openMapMenu(mapInstance.current, center, title, items);
+    };
+
+    // Itinerary edits made on the map keep the view where the user is working
+    const editOnMap = (edit) => {
+        skipFitRef.current = true;
+        edit();
+    };
+
+    const placeAt = async (center) => {
+        setStatusMessage('Looking up place...');
+        const place = await reverseGeocode(center);
+        setStatusMessage('');
+        return place;
+    };
+
+    const addStopAt = async (center) => {
+        const place = await placeAt(center);
+        editOnMap(() => setStops((prev) => {
+            const last = prev[prev.length - 1];
+            // Fill the empty stop at the end of the list before adding another
+            if (last && !last.place) return prev.map(s => (s === last ? { ...s, place } : s));
+            return [...prev, createStop(place, last ? last.mode : 'car')];
+        }));
+    };
+
+    const setStartAt = async (center) => {
+        const place = await placeAt(center);
+        editOnMap(() => setStartPlace(place));
+    };
+
+    // A recorded track or a picked route belongs to the old position
+    const moveStopTo = async (id, center) => {
+        const place = await placeAt(center);
+        editOnMap(() => setStops(prev => prev.map(s => (s.id === id ? { ...s, place, track: null, route: null } : s))));
+    };
+
+    const insertStopBefore = async (stop, index) => {
+        const from = previousPlace(index);
+        const center = from ? wrapPoint(interpolate(from.center, stop.place.center, 0.5)) : stop.place.center;
+        const place = await placeAt(center);
+        editOnMap(() => setStops((prev) => {
+            const at = prev.findIndex(s => s.id === stop.id);
+            if (at < 0) return prev;
+            return [...prev.slice(0, at), createStop(place, stop.mode), ...prev.slice(at)];
+        }));
+    };
+
+    const openStopMenu = (stop, index, center) => showMapMenu(center, `Stop ${index + 1}: ${stop.place.name}`, [
+        { label: '➕ Insert stop before', onSelect: () => insertStopBefore(stop, index) },
+        { label: '🗑️ Remove stop', onSelect: () => editOnMap(() => setStops(prev => prev.filter(s => s.id !== stop.id))) },
+        { label: 'Travel here by', heading: true },
+        ...MODES.map(m => ({
+            label: m.label,
+            active: m.value === stop.mode,
+            onSelect: () => editOnMap(() => updateStop(stop.id, 'mode', m.value))
+        }))
+    ]);
+
+    mapActionsRef.current = {
+        isAnimating,
+        openPointMenu: lngLat => showMapMenu([lngLat.lng, lngLat.lat], `${lngLat.lat.toFixed(4)}, ${lngLat.lng.toFixed(4)}`, [
+            { label: '📍 Add stop here', onSelect: () => addStopAt([lngLat.lng, lngLat.lat]) },
+            { label: '⛳ Set as start', onSelect: () => setStartAt([lngLat.lng, lngLat.lat]) }
+        ])
+    };
+
+    const handleProviderUpdate = (key, value) => {
+        setProviders(prev => ({ ...prev, [key]: value }));
+    };
 
     const handleSettingsUpdate = (category, key, value) => {
         setSettings(prev => ({
@@ -324,8 +1759,74 @@ export default function App() {
     };
 
     const addStop = () => {
-        if (stops.length >= 10) return;
-        setStops([...stops, { id: Date.now(), place: null, mode: 'car' }]);
+        setStops([...stops, createStop()]);
+    };
+
+    // Effect: A proposed order only applies to the itinerary it was computed for
+    useEffect(() => {
+        setOptimizeResult(null);
+    }, [stops, startPlace]);
+
+    const moveStop = (id, toIndex) => {
+        setStops((prev) => {
+            const from = prev.findIndex(s => s.id === id);
+            if (from < 0) return prev;
+            const next = [...prev];
+            const [stop] = next.splice(from, 1);
+            next.splice(from < toIndex ? toIndex - 1 : toIndex, 0, stop);
+            return next;
+        });
+    };
+
+    const handleStopDragOver = (e, index) => {
+        if (!e.dataTransfer.types.includes(STOP_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        // Drop before or after the row depending on the pointer's half
+        const rect = e.currentTarget.getBoundingClientRect();
+        setDropIndex(e.clientY < rect.top + rect.height / 2 ? index : index + 1);
+    };
+
+    const handleStopDrop = (e) => {
+        if (!e.dataTransfer.types.includes(STOP_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (draggedStopId !== null && dropIndex !== null) moveStop(draggedStopId, dropIndex);
+        setDraggedStopId(null);
+        setDropIndex(null);
+    };
+
+    const handleOptimize = ({ metric, roundTrip }) => {
+        if (!startPlace) {
+            alert('Please set a starting location.');
+            return;
+        }
+        const validStops = stops.filter(s => s.place !== null);
+
+        // Legs already routed for this order cost what their routes do
+        const legCosts = tripStats
+            ? tripStats.legs.map(l => (metric === 'duration' ? l.durationSec : l.distanceKm))
+            : [];
+        setOptimizeResult({
+            ...optimizeStops(startPlace.center, validStops, { metric, roundTrip, legCosts }),
+            metric,
+            roundTrip
+        });
+    };
+
+    const applyOptimizedOrder = () => {
+        const { order, roundTrip, returnMode } = optimizeResult;
+        const validStops = stops.filter(s => s.place !== null);
+        const reordered = order.map(i => validStops[i]);
+
+        // A round trip ends with a leg back to the start, in the mode it was costed in
+        const last = reordered[reordered.length - 1];
+        if (roundTrip && getDistance(last.place.center, startPlace.center) > ROUTE_MATCH_KM) {
+            reordered.push(createStop(startPlace, returnMode));
+        }
+
+        setStops([...reordered, ...stops.filter(s => s.place === null)]);
+        setStatusMessage('Stops reordered');
     };
 
     const removeStop = (id) => {
@@ -333,14 +1834,216 @@ export default function App() {
     };
 
     const updateStop = (id, field, value) => {
-        setStops(stops.map(s => s.id === id ? { ...s, [field]: value } : s));
+        setStops(prev => prev.map(s => s.id === id ? { ...s, [field]: value } : s));
+    };
+
+    // Every traveller, the one being edited with their itinerary as it is now
+    const allTravellers = travellers.map(t => (t.id === activeTravellerId ? { ...t, start: startPlace, startTime, stops } : t));
+
+    // A photo taken off a stop leaves the photo store too, unless another stop or a saved journey has it
+    const releaseRemovedPhoto = (stopId, photoId) => {
+        const remaining = allTravellers.flatMap(t => t.stops || []).map(s => (s.id === stopId
+            ? { ...s, photos: (s.photos || []).filter(p => p.id !== photoId) }
+            : s));
+        releasePhotos([photoId], [...listJourneys().map(e => e.journey), { stops: remaining }])
+            .catch(e => console.warn('Could not delete photo', e));
+    };
+
+    const loadTraveller = (traveller) => {
+        setStartPlace(traveller.start);
+        setStartTime(traveller.startTime);
+        setStops(traveller.stops);
+        setActiveTravellerId(traveller.id);
+    };
+
+    const selectTraveller = (id) => {
+        if (id === activeTravellerId) return;
+        setTravellers(allTravellers);
+        loadTraveller(travellers.find(t => t.id === id));
+    };
+
+    const addTraveller = () => {
+        const traveller = createTraveller(travellers.length);
+        setTravellers([...allTravellers, traveller]);
+        loadTraveller(traveller);
+    };
+
+    const updateTraveller = (id, field, value) => {
+        setTravellers(prev => prev.map(t => (t.id === id ? { ...t, [field]: value } : t)));
+    };
+
+    const removeTraveller = (id) => {
+        const remaining = allTravellers.filter(t => t.id !== id);
+        if (id === activeTravellerId) loadTraveller(remaining[0]);
+        setTravellers(remaining);
+    };
+
+    /**
+     * The trip as a saved journey: the first traveller's itinerary, with everyone else's alongside
+     */
+    const currentJourney = (name) => {
+        const [first] = allTravellers;
+        return createJourney(name, first.start, first.stops, settings, first.startTime, allTravellers);
+    };
+
+    // Via points change the leg, so a chosen alternative no longer applies
+    const updateVia = (id, update) => {
+        setStops(stops.map(s => s.id === id ? { ...s, via: update(s.via), route: null } : s));
+    };
+
+    /**
+     * Place the leg to stops[index] starts from: the previous stop with a place, or the start
+     */
+    const previousPlace = (index) => {
+        for (let i = index - 1; i >= 0; i--) {
+            if (stops[i].place) return stops[i].place;
+        }
+        return startPlace;
+    };
+
+    const handleShowAlternatives = async (stop, index) => {
+        const from = previousPlace(index);
+        if (!from) {
+            alert('Please set a starting location.');
+            return;
+        }
+
+        const profile = ROUTING_PROFILES[stop.mode];
+        try {
+            setStatusMessage('Fetching routes...');
+            const routes = await getAlternatives(profile, from.center, stop.place.center);
+            setAlternatives({ stopId: stop.id, profile, from: from.center, to: stop.place.center, routes });
+            setStatusMessage(routes.length > 1 ? `${routes.length} routes found` : 'The routing provider offered no alternatives');
+            if (mapInstance.current) mapInstance.current.fitBounds(getBounds(routes.flatMap(rt => rt.coords)), { padding: 60 });
+        } catch (error) {
+            setStatusMessage(`Could not fetch routes: ${error.message}`);
+        }
+    };
+
+    const handlePickAlternative = (index) => {
+        const { stopId, profile, from, to, routes } = alternatives;
+        updateStop(stopId, 'route', { name: `Route ${index + 1}`, profile, from, to, ...routes[index] });
+    };
+
+    const handleLoadJourney = (journey, id) => {
+        stopAnimation(mapInstance.current);
+        setPlayback(null);
+        setIsAnimating(false);
+
+        const toStops = list => (list.length > 0
+            ? list.map(s => createStop(s.place || null, s.mode, s))
+            : [createStop()]);
+        // Saved travellers always carry their name, color and icon
+        const look = t => ({ name: t.name, color: t.color, icon: t.icon });
+        const [first, ...others] = journey.travellers || [];
+        const loaded = [
+            createTraveller(0, first ? look(first) : {}),
+            ...others.map((t, i) => createTraveller(i + 1, {
+                ...look(t),
+                start: t.start || null,
+                startTime: { ...EMPTY_START_TIME, ...t.startTime },
+                stops: toStops(t.stops)
+            }))
+        ];
+
+        setTravellers(loaded);
+        setActiveTravellerId(loaded[0].id);
+        setStartPlace(journey.start || null);
+        setStartTime({ ...EMPTY_START_TIME, ...journey.startTime });
+        setStops(toStops(journey.stops));
+        setSettings(mergeSettings(DEFAULT_SETTINGS, journey.settings));
+        setActiveJourneyId(id);
+        setIsJourneysOpen(false);
+        setStatusMessage(`Loaded "${journey.name}"`);
+    };
+
+    const handleShare = async () => {
+        try {
+            const url = await createShareUrl(
+                currentJourney('Shared journey'),
+                { autoplay: shareAutoplay }
+            );
+            await navigator.clipboard.writeText(url);
+            setStatusMessage('Share link copied to clipboard');
+        } catch (error) {
+            console.error(error);
+            setStatusMessage('Could not create share link');
+        }
+    };
+
+    const handleTrackFiles = async (files) => {
+        let hasStart = !!startPlace;
+
+        for (const file of Array.from(files)) {
+            try {
+                const { start, stops: imported } = tracksToStops(
+                    parseTrackFile(await file.text(), file.name),
+                    file.name.replace(/\.[^.]+$/, '')
+                );
+
+                // The start goes in as a stop when the itinerary already has one
+                const incoming = hasStart ? [{ place: start, mode: 'car' }, ...imported] : imported;
+                if (!hasStart) setStartPlace(start);
+                hasStart = true;
+
+                setStops(prev => [
+                    ...prev.filter(s => s.place !== null),
+                    ...incoming.map(s => createStop(s.place, s.mode, s))
+                ]);
+                setStatusMessage(`Imported ${imported.filter(s => s.track).length} tracks from ${file.name}`);
+            } catch (error) {
+                console.error(error);
+                setStatusMessage(`${file.name}: ${error.message}`);
+            }
+        }
+    };
+
+    const handleTransitImport = async (files) => {
+        try {
+            setStatusMessage('Loading transit data...');
+            const network = buildTransitNetwork(await parseTransitFiles(files));
+            setTransitNetwork(network);
+            setStatusMessage(`Loaded ${network.counts.train} rail lines and ${network.counts.bus} bus routes`);
+        } catch (error) {
+            console.error(error);
+            setStatusMessage(`Transit import failed: ${error.message}`);
+        }
+    };
+
+    const handleDemImport = (files) => {
+        try {
+            const indexed = indexDemFiles(files);
+            setDemFiles(indexed);
+            setStatusMessage(`Loaded ${indexed.tiles.size} elevation tiles`);
+        } catch (error) {
+            setStatusMessage(error.message);
+        }
+    };
+
+    const handleMusicImport = async (file) => {
+        try {
+            setStatusMessage('Loading music...');
+            setMusic({ name: file.name, buffer: await decodeMusic(file) });
+            setStatusMessage(`Loaded ${file.name}`);
+        } catch (error) {
+            setStatusMessage(error.message);
+        }
+    };
+
+    const handleTrackDrop = (e) => {
+        e.preventDefault();
+        setIsDraggingFile(false);
+        if (!isAnimating && e.dataTransfer.files.length > 0) handleTrackFiles(e.dataTransfer.files);
     };
 
     const handleClear = () => {
-        stopAnimation();
+        stopAnimation(mapInstance.current);
+        setPlayback(null);
         setIsAnimating(false);
-        setStartPlace(null);
-        setStops([{ id: Date.now(), place: null, mode: 'car' }]);
+        const traveller = createTraveller(0);
+        setTravellers([traveller]);
+        loadTraveller(traveller);
+        setActiveJourneyId(null);
         setStatusMessage('');
 
         if (mapInstance.current) {
@@ -350,164 +2053,673 @@ export default function App() {
         }
     };
 
-    const handlePlay = async () => {
-        if (isAnimating) return;
+    const showCinematicLabel = (text, subtitle = 'Arriving') => {
+        overlayRef.current = { ...overlayRef.current, label: text, subtitle, visible: true };
+        setCinematicLabel({ label: text, subtitle });
+        setIsLabelVisible(true);
+    };
+
+    const hideCinematicLabel = () => {
+        overlayRef.current = { ...overlayRef.current, visible: false };
+        setIsLabelVisible(false);
+    };
+
+    /**
+     * Card callbacks for a playback. The video recorder draws the card itself,
+     * so it gets the decoded photos through overlayRef.
+     * @param {Map<string, HTMLImageElement>} [images]
+     */
+    const mediaCallbacks = (images = new Map()) => ({
+        showCard: (card) => {
+            overlayRef.current = { ...overlayRef.current, card: { ...card, image: card.photo && images.get(card.photo.id) } };
+            setMediaCard(card);
+        },
+        hideCard: () => {
+            overlayRef.current = { ...overlayRef.current, card: null };
+            setMediaCard(null);
+        }
+    });
 
+    /**
+     * Check the itinerary can be played; alerts and returns null when it cannot.
+     * @returns {Array|null} Stops that have a place
+     */
+    const getValidStops = () => {
         if (!startPlace) {
             alert('Please select a Start location.');
-            return;
+            return null;
         }
         const validStops = stops.filter(s => s.place !== null);
         if (validStops.length === 0) {
             alert('Please add at least one destination.');
-            return;
+            return null;
+        }
+        return validStops;
+    };
+
+    /**
+     * Resolve every leg's geometry. The result for the last itinerary is kept,
+     * so exporting right after playing doesn't hit the routing provider again.
+     * @param {Array} validStops
+     * @returns {Promise<Array>} Legs ({ mode, from, to, fromName, toName, pathCoords, fallback, camera, duration })
+     */
+    const journeyKey = validStops => JSON.stringify([
+        providers,
+        transitNetwork && transitNetwork.id,
+        startPlace,
+        validStops.map(s => [s.place, s.mode, s.track, s.camera, s.via, s.route])
+    ]);
+
+    const resolveJourney = async (validStops) => {
+        const key = journeyKey(validStops);
+        if (resolvedJourneyRef.current.key === key) return resolvedJourneyRef.current.journey;
+
+        const journey = await resolveLegs(startPlace, validStops, transitNetwork);
+        const routes = foundTransitRoutes(validStops, journey);
+        if (routes.size > 0) {
+            skipFitRef.current = true;
+            setStops(prev => withRoutes(prev, routes));
+        }
+        // Keyed by the stops as they are once the routes are on them
+        resolvedJourneyRef.current = { key: journeyKey(withRoutes(validStops, routes)), journey };
+        setResolvedJourney(resolvedJourneyRef.current);
+        return journey;
+    };
+
+    /**
+     * Resolve everyone else's legs to play them alongside the traveller being edited.
+     * Travellers without a start or a stop yet stay home.
+     * @param {Array} journey The edited traveller's legs
+     * @returns {Promise<{travellers: Array, focus: number}|null>} null when only one traveller would play
+     */
+    const resolveTravellers = async (journey) => {
+        const group = [];
+        let focus = 0;
+        for (const t of allTravellers) {
+            const look = { name: t.name, color: t.color, icon: t.icon };
+            if (t.id === activeTravellerId) {
+                focus = group.length;
+                group.push({ ...look, journey });
+                continue;
+            }
+            const validStops = t.stops.filter(s => s.place !== null);
+            if (!t.start || validStops.length === 0) continue;
+            const legs = await resolveLegs(t.start, validStops, transitNetwork);
+            const routes = foundTransitRoutes(validStops, legs);
+            if (routes.size > 0) {
+                setTravellers(prev => prev.map(p => (p.id === t.id ? { ...p, stops: withRoutes(p.stops, routes) } : p)));
+            }
+            group.push({ ...look, journey: withMedia(legs, validStops) });
         }
+        return group.length > 1 ? { travellers: group, focus } : null;
+    };
+
+    /**
+     * Validate the itinerary and resolve every leg's geometry, and the other travellers' too.
+     * Leaves the app in the animating state on success; returns null on failure.
+     * @returns {Promise<{journey: Array, group: object|null}|null>} group as from resolveTravellers
+     */
+    const prepareJourney = async () => {
+        if (isAnimating) return null;
 
+        const validStops = getValidStops();
+        if (!validStops) return null;
+
+        stopAnimation(mapInstance.current);
+        setAlternatives(null);
         setIsAnimating(true);
         setStatusMessage('Calculating route...');
-        stopAnimation();
 
         updateActiveTrail(mapInstance.current, []);
         updateCompletedTrail(mapInstance.current, []);
 
         try {
-            const journey = [];
-            let prevCoords = startPlace.center;
+            const journey = withMedia(await resolveJourney(validStops), validStops);
+            return { journey, group: await resolveTravellers(journey) };
+        } catch (error) {
+            console.error(error);
+            alert('Error calculating route: ' + error.message);
+            setIsAnimating(false);
+            setStatusMessage('Error');
+            return null;
+        }
+    };
+
+    const handleRouteExport = async (format) => {
+        const validStops = getValidStops();
+        if (!validStops) return;
+
+        try {
+            setStatusMessage('Calculating route...');
+            const journey = await resolveJourney(validStops);
+            const name = startPlace.name.split(',')[0] + ' journey';
+            downloadBlob(exportJourney(journey, name, format), `nomadroute-journey.${format}`);
+            setStatusMessage(`Exported ${format.toUpperCase()}`);
+        } catch (error) {
+            console.error(error);
+            setStatusMessage('Error exporting route: ' + error.message);
+        }
+    };
+
+    const handleCalculateStats = async () => {
+        const validStops = getValidStops();
+        if (!validStops) return;
 
-            for (let i = 0; i < validStops.length; i++) {
-                const stop = validStops[i];
-                const mode = stop.mode;
-                const targetCoords = stop.place.center;
+        try {
+            setStatusMessage('Calculating route...');
+            await resolveJourney(validStops);
+            setStatusMessage('');
+        } catch (error) {
+            console.error(error);
+            setStatusMessage('Error calculating route: ' + error.message);
+        }
+    };
 
-                let points = [];
+    /**
+     * Title card for the end of playback: where the trip went and its totals
+     */
+    const closingCard = journey => ({
+        title: `${journey[0].fromName} → ${journey[journey.length - 1].toName}`,
+        subtitle: formatTripSummary(getTripStats(journey, settings))
+    });
 
-                if (mode === 'plane') {
-                    points = getGreatCircleArc(prevCoords, targetCoords, 100);
-                } else if (mode === 'teleport') {
-                    points = [prevCoords, targetCoords];
-                } else {
-                    const profileMap = {
-                        car: 'driving',
-                        bus: 'driving',
-                        train: 'driving',
-                        bike: 'cycling',
-                        walk: 'walking'
-                    };
-                    points = await getDirections(profileMap[mode] || 'driving', prevCoords, targetCoords, MAPBOX_TOKEN);
-                }
+    const groupClosingCard = group => ({
+        title: group.travellers.map(t => t.name).join(' & '),
+        subtitle: formatTripSummary(getTripStats(group.travellers.flatMap(t => t.journey), settings))
+    });
+
+    /**
+     * Playback of the edited traveller alone, or of everyone together following them
+     * @param {Array} journey
+     * @param {object|null} group From resolveTravellers
+     * @param {object} labels Overlay callbacks (see createPlayback)
+     */
+    const createJourneyPlayback = (journey, group, labels) => {
+        if (markerElRef.current) markerElRef.current.style.display = group ? 'none' : 'block';
+        return group
+            ? createGroupPlayback(mapInstance.current, group.travellers, settings, { ...labels, focus: group.focus, closing: groupClosingCard(group) })
+            : createPlayback(mapInstance.current, markerElRef.current, markerRef.current, journey, settings, { ...labels, closing: closingCard(journey) });
+    };
+
+    /**
+     * Keep the running trip date in step with a playback. Legs without known times
+     * show no date; playing an itinerary without any times shows nothing.
+     */
+    const trackCalendar = (controller, journey) => {
+        const schedule = getSchedule(
+            startTime,
+            stops.filter(s => s.place !== null),
+            getTripStats(journey, settings).legs.map(l => l.durationSec)
+        );
+        const lengths = journey.map((leg) => {
+            const cumulative = getCumulativeDistances(leg.pathCoords);
+            return cumulative[cumulative.length - 1];
+        });
+
+        let last;
+        const show = (text) => {
+            if (text === last) return;
+            last = text;
+            overlayRef.current = { ...overlayRef.current, calendar: text };
+            setCalendarText(text);
+        };
+
+        show(null);
+        if (!schedule.firstDate) return;
 
-                journey.push({
-                    mode: mode,
-                    from: prevCoords,
-                    to: targetCoords,
-                    fromName: i === 0 ? startPlace.name.split(',')[0] : stops[i - 1].place.name.split(',')[0], // Simple short name
-                    toName: stop.place.name.split(',')[0],
-                    pathCoords: points
-                });
+        controller.on('progress', ({ legIndex, phase, distance }) => {
+            let fraction = 1;
+            if (phase === 'opening' || phase === 'approach') fraction = 0;
+            else if (phase === 'travel') fraction = lengths[legIndex] > 0 ? distance / lengths[legIndex] : 1;
 
-                prevCoords = targetCoords;
+            const at = getTimeAt(schedule, legIndex, fraction);
+            show(at && at.time !== null ? formatTripDay(at.time, at.timeZone, schedule.firstDate) : null);
+        });
+    };
+
+    const musicBuffer = music ? music.buffer : null;
+
+    const handlePlay = async () => {
+        const prepared = await prepareJourney();
+        if (!prepared) return;
+        const { journey, group } = prepared;
+
+        setStatusMessage('Animating...');
+
+        const controller = createJourneyPlayback(journey, group, {
+            showLabel: showCinematicLabel,
+            hideLabel: hideCinematicLabel,
+            ...mediaCallbacks()
+        });
+        controller.on('complete', () => {
+            setIsAnimating(false);
+            setStatusMessage('Journey Complete!');
+        });
+        controller.on('error', (error) => {
+            setIsAnimating(false);
+            setStatusMessage('Error: ' + error.message);
+        });
+        trackCalendar(controller, journey);
+        if (settings.narration.enabled) narratePlayback(controller, settings.narration);
+        if (hasSoundtrack(settings.audio, musicBuffer)) playSoundtrack(controller, createSoundtrack(controller, musicBuffer, settings.audio));
+
+        // Replaying from the scrubber after the end re-enters cinematic mode
+        controller.on('state', (state) => {
+            if (state === 'playing') {
+                setIsAnimating(true);
+                setStatusMessage('Animating...');
+            } else if (state === 'idle') {
+                setIsAnimating(false);
+                setPlayback(null);
             }
+        });
+        setPlayback(controller);
+        controller.play();
+    };
 
-            setStatusMessage('Animating...');
-            if (markerElRef.current) markerElRef.current.style.display = 'block';
-
-            animateJourney(
-                mapInstance.current,
-                markerElRef.current,
-                markerRef.current,
-                journey,
-                () => { // onComplete
-                    setIsAnimating(false);
-                    setStatusMessage('Journey Complete!');
-                },
-                (legIndex) => { }, // onLegStart (Using Director now)
-                settings,
-                // Cinematic Callbacks
-                (text) => {
-                    setCinematicLabel(text);
-                    setIsLabelVisible(true);
-                },
-                () => {
-                    setIsLabelVisible(false);
-                }
-            );
+    const handleExport = async ({ resolution, aspect, fps, format, captions }) => {
+        setIsExportOpen(false);
 
+        const supported = getSupportedFormats().find(f => f.value === format);
+        if (!supported) {
+            alert('Selected video format is not supported by this browser.');
+            return;
+        }
+
+        const prepared = await prepareJourney();
+        if (!prepared) return;
+        const { journey, group } = prepared;
+
+        let images;
+        try {
+            const legs = group ? group.travellers.flatMap(t => t.journey) : journey;
+            images = await loadPhotoImages(legs.flatMap(leg => leg.photos.map(p => p.id)));
         } catch (error) {
-            console.error(error);
-            alert('Error calculating route: ' + error.message);
+            console.warn('Could not load photos for export', error);
+            images = new Map();
+        }
+
+        const map = mapInstance.current;
+        const restoreLayout = fitMapToAspect(map, aspect);
+        let controller = null;
+        let soundtrack = null;
+        let recorder = null;
+
+        try {
+            controller = createJourneyPlayback(journey, group, {
+                showLabel: showCinematicLabel,
+                hideLabel: hideCinematicLabel,
+                ...mediaCallbacks(images)
+            });
+            trackCalendar(controller, journey);
+
+            // The soundtrack is rendered for this timeline and recorded frame by frame with the picture
+            if (hasSoundtrack(settings.audio, musicBuffer)) {
+                if (supported.audioMimeType) soundtrack = createSoundtrackStream(createSoundtrack(controller, musicBuffer, settings.audio));
+                else console.warn(`This browser cannot record sound in ${supported.label}; exporting without it`);
+            }
+
+            recorder = createRecorder(map, {
+                ...getExportSize(resolution, aspect),
+                fps,
+                mimeType: soundtrack ? supported.audioMimeType : supported.mimeType,
+                audioTrack: soundtrack ? soundtrack.track : null,
+                getOverlay: () => overlayRef.current,
+                getMarkers: () => controller.markers || [{
+                    lngLat: markerRef.current.getLngLat(),
+                    icon: markerElRef.current.innerText,
+                    visible: markerElRef.current.style.display !== 'none'
+                }]
+            });
+
+            let cancelled = false;
+            exportCancelRef.current = () => { cancelled = true; };
+
+            setExportProgress(0);
+            setStatusMessage('Rendering video...');
+
+            recorder.start();
+            await recordPlayback(map, controller, recorder, {
+                fps,
+                onProgress: setExportProgress,
+                isCancelled: () => cancelled,
+                soundtrack
+            });
+
+            const blob = await recorder.stop();
+            const fileName = `nomadroute-${aspect.replace(':', 'x')}-${resolution}p`;
+            downloadBlob(blob, `${fileName}.${format}`);
+            // Captions share the video's name so players pick them up alongside it
+            if (captions) downloadBlob(exportCaptions(controller.cues, captions), `${fileName}.${captions}`);
+            setStatusMessage('Video exported!');
+        } catch (error) {
+            // Setup can fail before there is anything to stop (MediaRecorder rejecting the format, say)
+            if (recorder) await recorder.stop().catch(() => {});
+            setStatusMessage(error.message);
+        } finally {
+            if (controller) controller.destroy();
+            if (soundtrack) soundtrack.stop();
+            restoreLayout();
+            hideCinematicLabel();
+            exportCancelRef.current = null;
+            setExportProgress(null);
             setIsAnimating(false);
-            setStatusMessage('Error');
         }
     };
 
+    // Statistics are shown while the last resolved legs still match the itinerary
+    const summaryStops = stops.filter(s => s.place !== null);
+    const tripStats = startPlace && resolvedJourney && resolvedJourney.key === journeyKey(summaryStops)
+        ? getTripStats(resolvedJourney.journey, settings)
+        : null;
+    const schedule = getSchedule(startTime, summaryStops, tripStats ? tripStats.legs.map(l => l.durationSec) : []);
+    const scheduleByStop = new Map(summaryStops.map((stop, i) => [stop.id, {
+        resolved: schedule.stops[i],
+        warnings: schedule.warnings.filter(w => w.index === i)
+    }]));
+    let lastDay = null;
+
+    const elevationProfiles = resolvedJourney && elevation && elevation.key === resolvedJourney.key
+        ? elevation.profiles
+        : null;
+
     return (
         <div className={`app-container ${isAnimating ? 'cinematic-mode' : ''}`}>
-            <CinematicOverlay label={cinematicLabel} visible={isLabelVisible} />
+            <CinematicOverlay label={cinematicLabel.label} subtitle={cinematicLabel.subtitle} visible={isLabelVisible} />
+            {isAnimating && calendarText && <div className="trip-calendar">{calendarText}</div>}
+            {mediaCard && (
+                <div className="media-overlay">
+                    <MediaCard key={mediaCard.key} card={mediaCard} />
+                </div>
+            )}
+            <datalist id="time-zones">
+                {TIME_ZONES.map(z => <option key={z} value={z} />)}
+            </datalist>
 
             <SettingsPanel
                 isOpen={isSettingsOpen}
                 onClose={() => setIsSettingsOpen(false)}
                 settings={settings}
                 onUpdate={handleSettingsUpdate}
+                providers={providers}
+                onProviderUpdate={handleProviderUpdate}
+                transitCounts={transitNetwork && transitNetwork.counts}
+                onTransitImport={handleTransitImport}
+                onTransitClear={() => setTransitNetwork(null)}
+                demTileCount={demFiles && demFiles.tiles.size}
+                onDemImport={handleDemImport}
+                elevationError={elevation && elevation.error}
+                musicName={music && music.name}
+                onMusicImport={handleMusicImport}
+                onMusicClear={() => setMusic(null)}
+            />
+
+            <JourneysPanel
+                isOpen={isJourneysOpen}
+                onClose={() => setIsJourneysOpen(false)}
+                activeId={activeJourneyId}
+                createCurrent={currentJourney}
+                onLoad={handleLoadJourney}
+                onSaved={setActiveJourneyId}
             />
 
-            <div className="sidebar">
+            <ExportPanel
+                isOpen={isExportOpen}
+                onClose={() => setIsExportOpen(false)}
+                onStart={handleExport}
+            />
+
+            {playback && exportProgress === null && (
+                <PlaybackBar playback={playback} onStop={() => stopAnimation(mapInstance.current)} />
+            )}
+
+            {elevationProfiles && exportProgress === null && (
+                <ElevationProfile legs={resolvedJourney.journey} profiles={elevationProfiles} playback={playback} />
+            )}
+
+            {exportProgress !== null && (
+                <ExportProgress
+                    progress={exportProgress}
+                    onCancel={() => exportCancelRef.current && exportCancelRef.current()}
+                />
+            )}
+
+            <div
+                className={`sidebar ${isDraggingFile ? 'drop-target' : ''}`}
+                onDragOver={(e) => {
+                    if (!e.dataTransfer.types.includes('Files')) return;
+                    e.preventDefault();
+                    setIsDraggingFile(true);
+                }}
+                onDragLeave={(e) => {
+                    if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false);
+                }}
+                onDrop={handleTrackDrop}
+            >
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                     <h1>NomadRoute 🌍</h1>
-                    <button
-                        className="settings-btn"
-                        onClick={() => setIsSettingsOpen(true)}
-                        title="Settings"
-                    >
-                        ⚙️
-                    </button>
+                    <div>
+                        <button
+                            className="settings-btn"
+                            onClick={() => setIsJourneysOpen(true)}
+                            title="My Journeys"
+                        >
+                            📚
+                        </button>
+                        <button
+                            className="settings-btn"
+                            onClick={() => setIsSettingsOpen(true)}
+                            title="Settings"
+                        >
+                            ⚙️
+                        </button>
+                    </div>
                 </div>
 
+                <TravellersBar
+                    travellers={allTravellers}
+                    activeId={activeTravellerId}
+                    onSelect={selectTraveller}
+                    onAdd={addTraveller}
+                    onUpdate={updateTraveller}
+                    onRemove={removeTraveller}
+                />
+
                 <LocationInput
                     label="Start Location"
                     placeholder="Where to start?"
                     value={startPlace}
                     onSelect={setStartPlace}
                 />
+                {startPlace && (
+                    <StopTimes
+                        times={startTime}
+                        resolved={null}
+                        warnings={schedule.warnings.filter(w => w.index === -1)}
+                        isStart
+                        onUpdate={(field, value) => setStartTime(prev => ({ ...prev, [field]: value }))}
+                    />
+                )}
 
                 <h2>Itinerary</h2>
 
                 <div className="stops-list">
-                    {stops.map((stop, index) => (
-                        <div key={stop.id} className="stop-row">
-                            <div className="stop-header">
-                                <span style={{ fontSize: '0.8rem', opacity: 0.7 }}>Stop {index + 1}</span>
-                                {stops.length > 1 && (
-                                    <button className="remove-btn" onClick={() => removeStop(stop.id)}>✕</button>
+                    {stops.map((stop, index) => {
+                        const timing = scheduleByStop.get(stop.id);
+                        const resolved = timing && timing.resolved;
+                        const showDay = resolved && resolved.day !== null && resolved.day !== lastDay;
+                        if (showDay) lastDay = resolved.day;
+
+                        return (
+                            <React.Fragment key={stop.id}>
+                                {showDay && (
+                                    <div className="day-heading">
+                                        {formatDayHeading(resolved.day, resolved.arrival !== null ? resolved.arrival : resolved.departure, resolved.timeZone)}
+                                    </div>
                                 )}
-                            </div>
-
-                            <LocationInput
-                                label="To Destination"
-                                placeholder="Search destination..."
-                                value={stop.place}
-                                onSelect={(p) => updateStop(stop.id, 'place', p)}
-                            />
-
-                            <div className="input-group">
-                                <label>Travel Mode</label>
-                                <select
-                                    value={stop.mode}
-                                    onChange={(e) => updateStop(stop.id, 'mode', e.target.value)}
+                                <div
+                                    className={[
+                                        'stop-row',
+                                        stop.id === draggedStopId ? 'dragging' : '',
+                                        dropIndex === index ? 'drop-before' : '',
+                                        dropIndex === index + 1 && index === stops.length - 1 ? 'drop-after' : ''
+                                    ].join(' ')}
+                                    onDragOver={e => handleStopDragOver(e, index)}
+                                    onDrop={handleStopDrop}
                                 >
-                                    {MODES.map(m => (
-                                        <option key={m.value} value={m.value}>{m.label}</option>
-                                    ))}
-                                </select>
-                            </div>
-                        </div>
-                    ))}
+                                    <div className="stop-header">
+                                        <span style={{ fontSize: '0.8rem', opacity: 0.7 }}>
+                                            {stops.length > 1 && !isAnimating && (
+                                                <span
+                                                    className="drag-handle"
+                                                    draggable
+                                                    title="Drag to reorder"
+                                                    onDragStart={(e) => {
+                                                        e.dataTransfer.setData(STOP_DRAG_TYPE, String(stop.id));
+                                                        e.dataTransfer.effectAllowed = 'move';
+                                                        e.dataTransfer.setDragImage(e.currentTarget.closest('.stop-row'), 20, 20);
+                                                        setDraggedStopId(stop.id);
+                                                    }}
+                                                    onDragEnd={() => {
+                                                        setDraggedStopId(null);
+                                                        setDropIndex(null);
+                                                    }}
+                                                >
+                                                    ⠿
+                                                </span>
+                                            )}
+                                            Stop {index + 1}
+                                        </span>
+                                        {stops.length > 1 && (
+                                            <button className="remove-btn" onClick={() => removeStop(stop.id)}>✕</button>
+                                        )}
+                                    </div>
+
+                                    <LocationInput
+                                        label="To Destination"
+                                        placeholder="Search destination..."
+                                        value={stop.place}
+                                        onSelect={(p) => setStops(stops.map(s => s.id === stop.id ? { ...s, place: p, track: null, route: null } : s))}
+                                    />
+
+                                    {stop.track && (
+                                        <div className="track-badge">
+                                            <span>🛰 {stop.track.name} · {stop.track.coords.length} pts</span>
+                                            <button onClick={() => updateStop(stop.id, 'track', null)} title="Use routing instead">
+                                                Route instead
+                                            </button>
+                                        </div>
+                                    )}
+
+                                    <div className="input-group">
+                                        <label>Travel Mode</label>
+                                        <select
+                                            value={stop.mode}
+                                            onChange={(e) => updateStop(stop.id, 'mode', e.target.value)}
+                                        >
+                                            {MODES.map(m => (
+                                                <option key={m.value} value={m.value}>{m.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+
+                                    <div className="input-group">
+                                        <label>Camera</label>
+                                        <select
+                                            value={stop.camera || ''}
+                                            onChange={(e) => updateStop(stop.id, 'camera', e.target.value || null)}
+                                        >
+                                            <option value="">Default ({CAMERA_OPTIONS.find(c => c.value === settings.camera.mode).label})</option>
+                                            {CAMERA_OPTIONS.map(c => (
+                                                <option key={c.value} value={c.value}>{c.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+
+                                    {TRANSIT_PROFILES[stop.mode] && stop.route && stop.place && !stop.track && (
+                                        <TransitRouteBadge
+                                            stop={stop}
+                                            from={previousPlace(index)}
+                                            onClear={() => updateStop(stop.id, 'route', null)}
+                                        />
+                                    )}
+
+                                    {ROUTING_PROFILES[stop.mode] && !stop.track && (
+                                        <RouteTools
+                                            stop={stop}
+                                            from={previousPlace(index)}
+                                            alternatives={alternatives && alternatives.stopId === stop.id ? alternatives : null}
+                                            disabled={isAnimating}
+                                            onUpdateVia={update => updateVia(stop.id, update)}
+                                            onClearRoute={() => updateStop(stop.id, 'route', null)}
+                                            onShowAlternatives={() => handleShowAlternatives(stop, index)}
+                                            onPickAlternative={handlePickAlternative}
+                                            onCloseAlternatives={() => setAlternatives(null)}
+                                        />
+                                    )}
+
+                                    {stop.place && (
+                                        <StopMedia
+                                            photos={stop.photos}
+                                            note={stop.note}
+                                            onUpdate={(field, value) => updateStop(stop.id, field, value)}
+                                            onRemovePhoto={photoId => releaseRemovedPhoto(stop.id, photoId)}
+                                            onStatus={setStatusMessage}
+                                        />
+                                    )}
+
+                                    {stop.place && (
+                                        <StopTimes
+                                            times={stop}
+                                            resolved={resolved}
+                                            warnings={timing.warnings}
+                                            onUpdate={(field, value) => updateStop(stop.id, field, value)}
+                                        />
+                                    )}
+                                </div>
+                            </React.Fragment>
+                        );
+                    })}
                 </div>
 
                 <div className="controls">
-                    <button onClick={addStop} disabled={stops.length >= 10}>
+                    <button onClick={addStop}>
                         + Add Stop
                     </button>
+                    <button
+                        onClick={() => setIsOptimizeOpen(open => !open)}
+                        disabled={isAnimating || summaryStops.length < 2}
+                        title="Reorder stops for the shortest trip"
+                    >
+                        🔀 Optimize Order
+                    </button>
+                    {isOptimizeOpen && summaryStops.length >= 2 && (
+                        <OptimizeOrder
+                            result={optimizeResult}
+                            hasRoutes={Boolean(tripStats)}
+                            onRun={handleOptimize}
+                            onApply={applyOptimizedOrder}
+                            onClose={() => setIsOptimizeOpen(false)}
+                        />
+                    )}
+                    <button
+                        onClick={() => trackInputRef.current.click()}
+                        disabled={isAnimating}
+                        title="Import GPX, KML or GeoJSON (or drop a file on the sidebar)"
+                    >
+                        🛰 Import Track
+                    </button>
+                    <input
+                        ref={trackInputRef}
+                        type="file"
+                        accept={TRACK_FILE_ACCEPT}
+                        multiple
+                        style={{ display: 'none' }}
+                        onChange={(e) => {
+                            handleTrackFiles(e.target.files);
+                            e.target.value = '';
+                        }}
+                    />
 
                     <div style={{ display: 'flex', gap: '1rem', marginTop: '1rem' }}>
                         <button
@@ -522,6 +2734,41 @@ export default function App() {
                             Clear
                         </button>
                     </div>
+
+                    <button
+                        style={{ width: '100%', marginTop: '1rem' }}
+                        onClick={() => setIsExportOpen(true)}
+                        disabled={isAnimating}
+                    >
+                        🎬 Export Video
+                    </button>
+
+                    <div className="route-export-row">
+                        <span>Export route:</span>
+                        {ROUTE_EXPORT_FORMATS.map(f => (
+                            <button
+                                key={f.value}
+                                onClick={() => handleRouteExport(f.value)}
+                                disabled={isAnimating || !startPlace}
+                            >
+                                {f.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div className="share-row">
+                        <button onClick={handleShare} disabled={!startPlace}>
+                            🔗 Copy Share Link
+                        </button>
+                        <label>
+                            <input
+                                type="checkbox"
+                                checked={shareAutoplay}
+                                onChange={e => setShareAutoplay(e.target.checked)}
+                            />
+                            Autoplay
+                        </label>
+                    </div>
                 </div>
 
                 {statusMessage && (
@@ -533,11 +2780,27 @@ export default function App() {
                 {startPlace && stops[0].place && (
                     <div className="journey-summary">
                         <div className="leg-item">🏁 Start: {startPlace.name}</div>
-                        {stops.map((stop, i) => stop.place && (
+                        {summaryStops.map((stop, i) => (
                             <div key={stop.id} className="leg-item">
                                 ⬇ {MODE_ICONS[stop.mode] || '🚗'} to {stop.place.name}
+                                {tripStats && <LegStats stats={tripStats.legs[i]} profile={elevationProfiles && elevationProfiles[i]} />}
                             </div>
                         ))}
+
+                        {tripStats ? (
+                            <div className="trip-totals">
+                                <div className="trip-total">Total: {formatTripSummary(tripStats)}</div>
+                                {Object.entries(tripStats.byMode).map(([mode, total]) => (
+                                    <div key={mode} className="leg-stats">
+                                        {MODE_ICONS[mode] || '🚗'} {total.legs} × · {formatDistance(total.distanceKm)} · {formatDuration(total.durationSec)} · {formatCo2(total.co2Kg)}
+                                    </div>
+                                ))}
+                            </div>
+                        ) : (
+                            <button className="stats-btn" onClick={handleCalculateStats} disabled={isAnimating}>
+                                📊 Distances, times & CO₂
+                            </button>
+                        )}
                     </div>
                 )}
             </div>
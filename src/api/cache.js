@@ -0,0 +1,143 @@
+/**
+ * IndexedDB cache for provider responses, so a journey that played once replays offline.
+ * Entries expire after a per-kind TTL, but an expired entry is still served when the
+ * provider can't be reached. The least recently used entries are evicted past MAX_BYTES.
+ */
+
+const DB_NAME = 'nomadroute-cache';
+const DB_VERSION = 2; // 2: routes are stored as { coords, duration }
+const STORE = 'responses';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CACHE_TTL = {
+    route: 30 * DAY_MS,
+    search: 7 * DAY_MS
+};
+
+export const MAX_BYTES = 20 * 1024 * 1024;
+
+let dbPromise = null;
+
+const request = req => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+function openDb() {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+
+    if (!dbPromise) {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (e) => {
+            if (e.oldVersion < 1) {
+                const store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+                store.createIndex('accessedAt', 'accessedAt');
+            } else {
+                // Older entries hold bare coordinate arrays
+                req.transaction.objectStore(STORE).clear();
+            }
+        };
+        dbPromise = request(req).catch((e) => {
+            dbPromise = null;
+            throw e;
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, mode);
+    const result = await fn(tx.objectStore(STORE));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    return result;
+}
+
+async function read(key) {
+    try {
+        return await withStore('readonly', store => request(store.get(key)));
+    } catch (e) {
+        console.warn('Cache read failed', e);
+        return undefined;
+    }
+}
+
+// Drop least recently used entries until the cache fits MAX_BYTES
+async function evict(store) {
+    const entries = await request(store.index('accessedAt').getAll());
+    let total = entries.reduce((sum, e) => sum + e.size, 0);
+    for (const entry of entries) {
+        if (total <= MAX_BYTES) break;
+        store.delete(entry.key);
+        total -= entry.size;
+    }
+}
+
+async function write(key, kind, value) {
+    const now = Date.now();
+    const entry = { key, kind, value, createdAt: now, accessedAt: now, size: JSON.stringify(value).length };
+    try {
+        await withStore('readwrite', async (store) => {
+            await request(store.put(entry));
+            await evict(store);
+        });
+    } catch (e) {
+        console.warn('Cache write failed', e);
+    }
+}
+
+function touch(entry) {
+    withStore('readwrite', store => request(store.put({ ...entry, accessedAt: Date.now() })))
+        .catch(e => console.warn('Cache update failed', e));
+}
+
+/**
+ * Return the cached value for key, or fetch, store and return it.
+ * A stale entry is used when fetching fails.
+ * @param {string} kind 'route' or 'search' (selects the TTL)
+ * @param {string} key
+ * @param {() => Promise<any>} fetcher
+ * @returns {Promise<any>}
+ */
+export async function cached(kind, key, fetcher) {
+    const entry = await read(key);
+
+    if (entry && Date.now() - entry.createdAt < CACHE_TTL[kind]) {
+        touch(entry);
+        return entry.value;
+    }
+
+    try {
+        const value = await fetcher();
+        await write(key, kind, value);
+        return value;
+    } catch (e) {
+        if (entry) {
+            console.warn(`Using expired cache entry for ${key}`, e);
+            touch(entry);
+            return entry.value;
+        }
+        throw e;
+    }
+}
+
+/**
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+export async function getCacheStats() {
+    try {
+        const entries = await withStore('readonly', store => request(store.getAll()));
+        return { entries: entries.length, bytes: entries.reduce((sum, e) => sum + e.size, 0) };
+    } catch (e) {
+        return { entries: 0, bytes: 0 };
+    }
+}
+
+export async function clearCache() {
+    await withStore('readwrite', store => request(store.clear()));
+}
@@ -0,0 +1,136 @@
+/**
+ * Provider registry behind searchPlaces/getDirections.
+ * Geocoders implement search(query, options) and reverse(center, options); routers implement route(profile, points, options),
+ * resolving to a list of routes ({ coords, duration }), best first.
+ * options is the provider config (token, server URLs, keys) set from the settings panel.
+ */
+import { mapboxGeocoder, mapboxRouter } from './providers/mapbox';
+import { osrmRouter } from './providers/osrm';
+import { valhallaRouter } from './providers/valhalla';
+import { graphhopperRouter } from './providers/graphhopper';
+import { nominatimGeocoder } from './providers/nominatim';
+import { photonGeocoder } from './providers/photon';
+import { mockGeocoder, mockRouter } from './providers/mock';
+import { cached } from './cache';
+
+export const GEOCODERS = [mapboxGeocoder, nominatimGeocoder, photonGeocoder, mockGeocoder];
+export const ROUTERS = [mapboxRouter, osrmRouter, valhallaRouter, graphhopperRouter, mockRouter];
+
+const STORAGE_KEY = 'nomadroute.providers';
+
+let config = { geocoder: 'mapbox', router: 'mapbox' };
+
+const pick = (list, id) => list.find(p => p.id === id) || list[list.length - 1];
+
+const coordKey = c => `${c[0].toFixed(5)},${c[1].toFixed(5)}`;
+
+// The mock provider is local and deterministic, caching it would only hide fixture edits
+const withCache = (provider, kind, key, fetcher) => (provider.id === 'mock'
+    ? fetcher()
+    : cached(kind, `${kind}:${provider.id}:${key}`, fetcher));
+
+/**
+ * Provider choice is a per-browser preference (server URLs, API keys), so it is
+ * stored on its own rather than inside journeys and share links.
+ * @param {object} defaults
+ * @returns {object} Saved provider settings over the defaults
+ */
+export function readProviderSettings(defaults) {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        return { ...defaults, ...(raw ? JSON.parse(raw) : {}) };
+    } catch (e) {
+        console.warn('Could not read provider settings', e);
+        return { ...defaults };
+    }
+}
+
+export function writeProviderSettings(providers) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(providers));
+    } catch (e) {
+        console.warn('Could not save provider settings', e);
+    }
+}
+
+/**
+ * Select providers and their options
+ * @param {object} providers Provider settings ({ geocoder, router, ...server URLs/keys })
+ * @param {object} [extra] Options not stored in settings, e.g. { token }
+ */
+export function setProviderConfig(providers, extra = {}) {
+    config = { ...providers, ...extra };
+}
+
+/**
+ * Search for places with the selected geocoder (cached per query)
+ * @param {string} query
+ * @returns {Promise<Array>} List of places ({ id, name, center })
+ */
+export async function searchPlaces(query) {
+    if (!query || query.length < 3) return [];
+
+    const geocoder = pick(GEOCODERS, config.geocoder);
+    try {
+        return await withCache(geocoder, 'search', query.trim().toLowerCase(), () => geocoder.search(query, config));
+    } catch (error) {
+        console.error('Error searching places:', error);
+        return [];
+    }
+}
+
+const coordName = c => `${c[1].toFixed(5)}, ${c[0].toFixed(5)}`;
+
+/**
+ * Name the place at a coordinate with the selected geocoder (cached per coordinate).
+ * Falls back to the coordinates as the name when the lookup fails or finds nothing.
+ * @param {[number, number]} center [lng, lat]
+ * @returns {Promise<object>} Place ({ id, name, center }) at exactly the given center
+ */
+export async function reverseGeocode(center) {
+    const geocoder = pick(GEOCODERS, config.geocoder);
+    let place = null;
+    try {
+        place = await withCache(geocoder, 'search', `reverse:${coordKey(center)}`, () => geocoder.reverse(center, config));
+    } catch (error) {
+        console.error('Error reverse geocoding:', error);
+    }
+    return place
+        ? { ...place, center }
+        : { id: `point-${coordKey(center)}`, name: coordName(center), center };
+}
+
+/**
+ * Get a route through a list of points with the selected router (cached per profile and points)
+ * @param {string} profile 'driving', 'cycling', 'walking'
+ * @param {Array<[number, number]>} points Start, any via points, end
+ * @returns {Promise<{coords: Array<[number, number]>, duration: number|null}>} Best route (duration in seconds)
+ */
+export async function getDirections(profile, points) {
+    const router = pick(ROUTERS, config.router);
+    try {
+        return await withCache(router, 'route', `${profile}:${points.map(coordKey).join(';')}`,
+            async () => (await router.route(profile, points, config))[0]);
+    } catch (error) {
+        console.error('Error getting directions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the route between two points plus the router's alternatives, if it offers any
+ * @param {string} profile
+ * @param {[number, number]} start
+ * @param {[number, number]} end
+ * @returns {Promise<Array<{coords: Array<[number, number]>, duration: number|null}>>} Routes, best first
+ */
+export async function getAlternatives(profile, start, end) {
+    const router = pick(ROUTERS, config.router);
+    try {
+        return await withCache(router, 'route', `alternatives:${profile}:${coordKey(start)};${coordKey(end)}`,
+            () => router.route(profile, [start, end], { ...config, alternatives: true }));
+    } catch (error) {
+        console.error('Error getting alternative routes:', error);
+        throw error;
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * Decode an encoded polyline (Google algorithm) into [lng, lat] pairs
+ * @param {string} encoded
+ * @param {number} precision 5 for Google/OSRM, 6 for Valhalla
+ * @returns {Array<[number, number]>}
+ */
+export function decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
+    const coords = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const next = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+
+    while (index < encoded.length) {
+        lat += next();
+        lng += next();
+        coords.push([lng / factor, lat / factor]);
+    }
+    return coords;
+}
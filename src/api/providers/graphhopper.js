@@ -0,0 +1,48 @@
+export const GRAPHHOPPER_DEFAULT_URL = 'https://graphhopper.com/api/1';
+
+const PROFILES = {
+    driving: 'car',
+    cycling: 'bike',
+    walking: 'foot'
+};
+
+/**
+ * Route with the GraphHopper Routing API
+ * @param {string} profile 'driving', 'cycling', 'walking'
+ * @param {Array<[number, number]>} points
+ * @param {object} options
+ * @param {string} [options.graphhopperUrl]
+ * @param {string} [options.graphhopperKey]
+ * @param {boolean} [options.alternatives] Also ask for alternative routes
+ * @returns {Promise<Array<{coords: Array<[number, number]>, duration: number|null}>>} Routes, best first (duration in seconds)
+ */
+async function route(profile, points, { graphhopperUrl, graphhopperKey, alternatives = false }) {
+    const base = (graphhopperUrl || GRAPHHOPPER_DEFAULT_URL).replace(/\/$/, '');
+    const params = new URLSearchParams({
+        profile: PROFILES[profile] || PROFILES.driving,
+        points_encoded: 'false'
+    });
+    points.forEach(p => params.append('point', `${p[1]},${p[0]}`));
+    if (graphhopperKey) params.set('key', graphhopperKey);
+    if (alternatives) params.set('algorithm', 'alternative_route');
+
+    const res = await fetch(`${base}/route?${params}`);
+    if (!res.ok) throw new Error('Directions failed');
+    const data = await res.json();
+
+    if (!data.paths || data.paths.length === 0) {
+        throw new Error('No route found');
+    }
+
+    return data.paths.map(p => ({ coords: p.points.coordinates, duration: p.time / 1000 }));
+}
+
+export const graphhopperRouter = {
+    id: 'graphhopper',
+    label: 'GraphHopper',
+    options: [
+        { key: 'graphhopperUrl', label: 'GraphHopper Server', placeholder: GRAPHHOPPER_DEFAULT_URL },
+        { key: 'graphhopperKey', label: 'GraphHopper API Key', placeholder: 'Not needed for self-hosted servers' }
+    ],
+    route
+};
@@ -0,0 +1,73 @@
+const BASE_URL = 'https://api.mapbox.com';
+
+const PROFILES = {
+    driving: 'mapbox/driving',
+    cycling: 'mapbox/cycling',
+    walking: 'mapbox/walking'
+};
+
+/**
+ * Search for places using Mapbox Geocoding API
+ * @param {string} query
+ * @param {object} options
+ * @param {string} options.token
+ * @returns {Promise<Array>} List of places
+ */
+async function search(query, { token }) {
+    const url = `${BASE_URL}/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?access_token=${token}&autocomplete=true&limit=5`;
+
+    const res = await fetch(url);
+    if (!res.ok) throw new Error('Geocoding failed');
+    const data = await res.json();
+    return data.features.map(f => ({
+        id: f.id,
+        name: f.place_name,
+        center: f.center // [lng, lat]
+    }));
+}
+
+/**
+ * Name the place at a coordinate with the Mapbox Geocoding API
+ * @param {[number, number]} center [lng, lat]
+ * @param {object} options
+ * @param {string} options.token
+ * @returns {Promise<object|null>} Place, or null when nothing is there
+ */
+async function reverse(center, { token }) {
+    const url = `${BASE_URL}/geocoding/v5/mapbox.places/${center[0]},${center[1]}.json?access_token=${token}&limit=1`;
+
+    const res = await fetch(url);
+    if (!res.ok) throw new Error('Reverse geocoding failed');
+    const data = await res.json();
+    const f = data.features[0];
+    return f ? { id: f.id, name: f.place_name, center } : null;
+}
+
+/**
+ * Get routes through a list of points
+ * @param {string} profile 'driving', 'cycling', 'walking'
+ * @param {Array<[number, number]>} points
+ * @param {object} options
+ * @param {string} options.token
+ * @param {boolean} [options.alternatives] Also ask for alternative routes
+ * @returns {Promise<Array<{coords: Array<[number, number]>, duration: number|null}>>} Routes, best first (duration in seconds)
+ */
+async function route(profile, points, { token, alternatives = false }) {
+    const coords = points.map(p => `${p[0]},${p[1]}`).join(';');
+    const mapboxProfile = PROFILES[profile] || PROFILES.driving;
+
+    const url = `${BASE_URL}/directions/v5/${mapboxProfile}/${coords}?geometries=geojson&alternatives=${alternatives}&access_token=${token}`;
+
+    const res = await fetch(url);
+    if (!res.ok) throw new Error('Directions failed');
+    const data = await res.json();
+
+    if (!data.routes || data.routes.length === 0) {
+        throw new Error('No route found');
+    }
+
+    return data.routes.map(r => ({ coords: r.geometry.coordinates, duration: r.duration }));
+}
+
+export const mapboxGeocoder = { id: 'mapbox', label: 'Mapbox', search, reverse };
+export const mapboxRouter = { id: 'mapbox', label: 'Mapbox Directions', route };
@@ -0,0 +1,82 @@
+/**
+ * Offline provider backed by fixtures, for development and tests without network or token.
+ * Routes come from fixtures when the endpoints match one, otherwise they are
+ * synthesized deterministically so the same request always yields the same path.
+ */
+import places from '../fixtures/places.json';
+import routes from '../fixtures/routes.json';
+import { getDistance, interpolate, wrapLng, wrapPoint } from '../../utils/geo';
+
+const MATCH_KM = 1; // Endpoint tolerance for fixture routes
+const REVERSE_KM = 25; // Fixture places closer than this name a clicked point
+
+// Wiggle per profile: [amplitude as a fraction of leg length, number of bends]
+const WIGGLE = {
+    driving: [0.04, 3],
+    cycling: [0.05, 5],
+    walking: [0.06, 7]
+};
+
+async function search(query) {
+    const q = query.toLowerCase();
+    return places.filter(p => p.name.toLowerCase().includes(q)).slice(0, 5);
+}
+
+async function reverse(center) {
+    let nearest = null;
+    places.forEach((p) => {
+        const km = getDistance(p.center, center);
+        if (km <= REVERSE_KM && (!nearest || km < nearest.km)) nearest = { place: p, km };
+    });
+    return nearest ? { ...nearest.place, center } : null;
+}
+
+// Alternatives bow out to alternating sides of the main route
+const ALTERNATIVE_BULGE = [0, 0.15, -0.15];
+
+function synthesizeRoute(profile, start, end, variant = 0) {
+    const [amplitude, bends] = WIGGLE[profile] || WIGGLE.driving;
+    const steps = Math.min(200, Math.max(8, Math.round(getDistance(start, end) / 2)));
+
+    const dx = wrapLng(end[0] - start[0]);
+    const dy = end[1] - start[1];
+
+    const coords = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        const [lng, lat] = interpolate(start, end, t);
+        // Offset perpendicular to the straight line, zero at both ends
+        const offset = (amplitude * Math.sin(t * Math.PI * bends) + ALTERNATIVE_BULGE[variant]) * Math.sin(t * Math.PI);
+        coords.push(wrapPoint([lng - dy * offset, lat + dx * offset]));
+    }
+    return coords;
+}
+
+function routeThrough(profile, points) {
+    const coords = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const start = points[i];
+        const end = points[i + 1];
+        const fixture = routes.find(r =>
+            r.profile === profile &&
+            getDistance(r.from, start) <= MATCH_KM &&
+            getDistance(r.to, end) <= MATCH_KM
+        );
+        const leg = fixture ? fixture.coordinates : synthesizeRoute(profile, start, end);
+        coords.push(...(i === 0 ? leg : leg.slice(1)));
+    }
+
+    return coords;
+}
+
+async function route(profile, points, { alternatives = false } = {}) {
+    // No durations: travel time falls back to per-mode averages
+    const main = { coords: routeThrough(profile, points), duration: null };
+    if (!alternatives || points.length !== 2) return [main];
+
+    return [main, ...[1, 2].map(v => ({ coords: synthesizeRoute(profile, points[0], points[1], v), duration: null }))];
+}
+
+export const mockGeocoder = { id: 'mock', label: 'Mock (offline fixtures)', search, reverse };
+export const mockRouter = { id: 'mock', label: 'Mock (offline fixtures)', route };
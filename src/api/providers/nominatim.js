@@ -0,0 +1,47 @@
+export const NOMINATIM_DEFAULT_URL = 'https://nominatim.openstreetmap.org';
+
+/**
+ * Search for places with Nominatim
+ * @param {string} query
+ * @param {object} options
+ * @param {string} [options.nominatimUrl]
+ * @returns {Promise<Array>} List of places
+ */
+async function search(query, { nominatimUrl }) {
+    const base = (nominatimUrl || NOMINATIM_DEFAULT_URL).replace(/\/$/, '');
+    const url = `${base}/search?q=${encodeURIComponent(query)}&format=jsonv2&limit=5`;
+
+    const res = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!res.ok) throw new Error('Geocoding failed');
+    const data = await res.json();
+    return data.map(r => ({
+        id: `nominatim-${r.place_id}`,
+        name: r.display_name,
+        center: [parseFloat(r.lon), parseFloat(r.lat)]
+    }));
+}
+
+/**
+ * Name the place at a coordinate with Nominatim
+ * @param {[number, number]} center [lng, lat]
+ * @param {object} options
+ * @param {string} [options.nominatimUrl]
+ * @returns {Promise<object|null>} Place, or null when nothing is there
+ */
+async function reverse(center, { nominatimUrl }) {
+    const base = (nominatimUrl || NOMINATIM_DEFAULT_URL).replace(/\/$/, '');
+    const url = `${base}/reverse?lat=${center[1]}&lon=${center[0]}&format=jsonv2`;
+
+    const res = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!res.ok) throw new Error('Reverse geocoding failed');
+    const r = await res.json();
+    return r && r.place_id ? { id: `nominatim-${r.place_id}`, name: r.display_name, center } : null;
+}
+
+export const nominatimGeocoder = {
+    id: 'nominatim',
+    label: 'Nominatim (OSM)',
+    options: [{ key: 'nominatimUrl', label: 'Nominatim Server', placeholder: NOMINATIM_DEFAULT_URL }],
+    search,
+    reverse
+};
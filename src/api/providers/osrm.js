@@ -0,0 +1,39 @@
+export const OSRM_DEFAULT_URL = 'https://router.project-osrm.org';
+
+const PROFILES = {
+    driving: 'driving',
+    cycling: 'bike',
+    walking: 'foot'
+};
+
+/**
+ * Route with an OSRM server (route service v1)
+ * @param {string} profile 'driving', 'cycling', 'walking'
+ * @param {Array<[number, number]>} points
+ * @param {object} options
+ * @param {string} [options.osrmUrl]
+ * @param {boolean} [options.alternatives] Also ask for alternative routes
+ * @returns {Promise<Array<{coords: Array<[number, number]>, duration: number|null}>>} Routes, best first (duration in seconds)
+ */
+async function route(profile, points, { osrmUrl, alternatives = false }) {
+    const base = (osrmUrl || OSRM_DEFAULT_URL).replace(/\/$/, '');
+    const coords = points.map(p => `${p[0]},${p[1]}`).join(';');
+    const url = `${base}/route/v1/${PROFILES[profile] || PROFILES.driving}/${coords}?overview=full&geometries=geojson&alternatives=${alternatives}`;
+
+    const res = await fetch(url);
+    if (!res.ok) throw new Error('Directions failed');
+    const data = await res.json();
+
+    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+        throw new Error('No route found');
+    }
+
+    return data.routes.map(r => ({ coords: r.geometry.coordinates, duration: r.duration }));
+}
+
+export const osrmRouter = {
+    id: 'osrm',
+    label: 'OSRM',
+    options: [{ key: 'osrmUrl', label: 'OSRM Server', placeholder: OSRM_DEFAULT_URL }],
+    route
+};
@@ -0,0 +1,53 @@
+export const PHOTON_DEFAULT_URL = 'https://photon.komoot.io';
+
+// Photon returns structured parts; join them into a Mapbox-like "place_name"
+const formatName = p => [p.name, p.city, p.state, p.country]
+    .filter((part, i, all) => part && all.indexOf(part) === i)
+    .join(', ');
+
+/**
+ * Search for places with Photon
+ * @param {string} query
+ * @param {object} options
+ * @param {string} [options.photonUrl]
+ * @returns {Promise<Array>} List of places
+ */
+async function search(query, { photonUrl }) {
+    const base = (photonUrl || PHOTON_DEFAULT_URL).replace(/\/$/, '');
+    const url = `${base}/api/?q=${encodeURIComponent(query)}&limit=5`;
+
+    const res = await fetch(url);
+    if (!res.ok) throw new Error('Geocoding failed');
+    const data = await res.json();
+    return data.features.map(f => ({
+        id: `photon-${f.properties.osm_type}${f.properties.osm_id}`,
+        name: formatName(f.properties),
+        center: f.geometry.coordinates
+    }));
+}
+
+/**
+ * Name the place at a coordinate with Photon
+ * @param {[number, number]} center [lng, lat]
+ * @param {object} options
+ * @param {string} [options.photonUrl]
+ * @returns {Promise<object|null>} Place, or null when nothing is there
+ */
+async function reverse(center, { photonUrl }) {
+    const base = (photonUrl || PHOTON_DEFAULT_URL).replace(/\/$/, '');
+    const url = `${base}/reverse?lon=${center[0]}&lat=${center[1]}&limit=1`;
+
+    const res = await fetch(url);
+    if (!res.ok) throw new Error('Reverse geocoding failed');
+    const data = await res.json();
+    const f = data.features[0];
+    return f ? { id: `photon-${f.properties.osm_type}${f.properties.osm_id}`, name: formatName(f.properties), center } : null;
+}
+
+export const photonGeocoder = {
+    id: 'photon',
+    label: 'Photon (OSM)',
+    options: [{ key: 'photonUrl', label: 'Photon Server', placeholder: PHOTON_DEFAULT_URL }],
+    search,
+    reverse
+};
@@ -0,0 +1,56 @@
+import { decodePolyline } from '../polyline';
+
+export const VALHALLA_DEFAULT_URL = 'https://valhalla1.openstreetmap.de';
+
+const COSTING = {
+    driving: 'auto',
+    cycling: 'bicycle',
+    walking: 'pedestrian'
+};
+
+/**
+ * Route with a Valhalla server
+ * @param {string} profile 'driving', 'cycling', 'walking'
+ * @param {Array<[number, number]>} points
+ * @param {object} options
+ * @param {string} [options.valhallaUrl]
+ * @param {boolean} [options.alternatives] Also ask for alternative routes
+ * @returns {Promise<Array<{coords: Array<[number, number]>, duration: number|null}>>} Routes, best first (duration in seconds)
+ */
+async function route(profile, points, { valhallaUrl, alternatives = false }) {
+    const base = (valhallaUrl || VALHALLA_DEFAULT_URL).replace(/\/$/, '');
+
+    const res = await fetch(`${base}/route`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            locations: points.map(p => ({ lon: p[0], lat: p[1] })),
+            costing: COSTING[profile] || COSTING.driving,
+            alternates: alternatives ? 2 : 0
+        })
+    });
+    if (!res.ok) throw new Error('Directions failed');
+    const data = await res.json();
+
+    if (!data.trip || !data.trip.legs || data.trip.legs.length === 0) {
+        throw new Error('No route found');
+    }
+
+    // Each leg repeats the previous leg's last point
+    const toRoute = trip => ({
+        coords: trip.legs.reduce((all, leg, i) => {
+            const shape = decodePolyline(leg.shape, 6);
+            return all.concat(i === 0 ? shape : shape.slice(1));
+        }, []),
+        duration: trip.summary ? trip.summary.time : null
+    });
+
+    return [data.trip, ...(data.alternates || []).map(a => a.trip)].map(toRoute);
+}
+
+export const valhallaRouter = {
+    id: 'valhalla',
+    label: 'Valhalla',
+    options: [{ key: 'valhallaUrl', label: 'Valhalla Server', placeholder: VALHALLA_DEFAULT_URL }],
+    route
+};
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistance } from '../utils/stats';
+
+const WIDTH = 400;
+const HEIGHT = 90;
+const MIN_RANGE_M = 20; // Keeps flat legs from filling the chart with noise
+
+/**
+ * SVG path segments of a profile, broken where there is no elevation data
+ * @returns {Array<{d: string, startX: number, endX: number}>}
+ */
+function profileSegments(profile, x, y) {
+    const segments = [];
+    let current = null;
+    profile.elevations.forEach((e, i) => {
+        if (e === null) {
+            current = null;
+            return;
+        }
+        const px = x(profile.distances[i]);
+        if (!current) {
+            current = { d: '', startX: px };
+            segments.push(current);
+        }
+        current.d += `${current.d ? 'L' : 'M'}${px.toFixed(1)},${y(e).toFixed(1)}`;
+        current.endX = px;
+    });
+    return segments;
+}
+
+function elevationAt(profile, distance) {
+    const { distances, elevations } = profile;
+    const step = distances[1] - distances[0];
+    const i = Math.max(0, Math.min(elevations.length - 1, Math.round(distance / step)));
+    return elevations[i];
+}
+
+/**
+ * Elevation chart of one leg. While a journey plays it shows the current leg with
+ * a cursor at the marker; otherwise legs can be browsed with the arrows.
+ */
+export default function ElevationProfile({ legs, profiles, playback }) {
+    const [selected, setSelected] = useState(0);
+    const [cursor, setCursor] = useState(null); // { legIndex, distance } from the playback
+
+    useEffect(() => {
+        setCursor(null);
+        if (!playback) return undefined;
+        return playback.on('progress', p => setCursor({ legIndex: p.legIndex, distance: p.distance }));
+    }, [playback]);
+
+    const withProfile = profiles.map((p, i) => (p ? i : -1)).filter(i => i >= 0);
+    if (withProfile.length === 0) return null;
+
+    const legIndex = cursor ? cursor.legIndex : (withProfile.includes(selected) ? selected : withProfile[0]);
+    const profile = profiles[legIndex];
+    if (!profile) return null;
+
+    const leg = legs[legIndex];
+    const totalKm = profile.distances[profile.distances.length - 1];
+    const range = Math.max(MIN_RANGE_M, profile.max - profile.min);
+    const floor = (profile.min + profile.max) / 2 - range / 2;
+
+    const x = d => (d / totalKm) * WIDTH;
+    const y = e => HEIGHT - 4 - ((e - floor) / range) * (HEIGHT - 8);
+    const segments = profileSegments(profile, x, y);
+    const line = segments.map(seg => seg.d).join('');
+    const area = segments.map(seg => `${seg.d}L${seg.endX.toFixed(1)},${HEIGHT}L${seg.startX.toFixed(1)},${HEIGHT}Z`).join('');
+
+    const position = withProfile.indexOf(legIndex);
+    const browse = step => setSelected(withProfile[position + step]);
+
+    const cursorKm = cursor && Math.min(totalKm, cursor.distance);
+    const cursorElevation = cursor ? elevationAt(profile, cursorKm) : null;
+
+    return (
+        <div className={`elevation-profile ${playback ? 'with-playback' : ''}`}>
+            <div className="elevation-header">
+                {!cursor && (
+                    <button onClick={() => browse(-1)} disabled={position <= 0} title="Previous leg">‹</button>
+                )}
+                <span className="elevation-title">
+                    Leg {legIndex + 1}: {leg.fromName} → {leg.toName}
+                </span>
+                <span className="elevation-climb">
+                    ↑ {Math.round(profile.ascent)} m ↓ {Math.round(profile.descent)} m
+                </span>
+                {!cursor && (
+                    <button onClick={() => browse(1)} disabled={position >= withProfile.length - 1} title="Next leg">›</button>
+                )}
+            </div>
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+                <path className="elevation-area" d={area} />
+                <path className="elevation-line" d={line} vectorEffect="non-scaling-stroke" />
+                {cursor && (
+                    <line
+                        className="elevation-cursor"
+                        x1={x(cursorKm)} x2={x(cursorKm)} y1="0" y2={HEIGHT}
+                        vectorEffect="non-scaling-stroke"
+                    />
+                )}
+            </svg>
+            <div className="elevation-axis">
+                <span>{Math.round(profile.min)}–{Math.round(profile.max)} m</span>
+                {cursor && cursorElevation !== null && (
+                    <span>{formatDistance(cursorKm)} · {Math.round(cursorElevation)} m</span>
+                )}
+                <span>{formatDistance(totalKm)}</span>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,175 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    listJourneys, saveJourney, renameJourney, duplicateJourney, deleteJourney,
+    journeyToFile, parseJourneyFile
+} from '../utils/journeys';
+import { downloadBlob } from '../utils/download';
+import { getJourneyPhotoIds, exportPhotos, importPhotos, releasePhotos } from '../utils/media';
+
+const fileNameFor = (name) => `${name.replace(/[^\w-]+/g, '_') || 'journey'}.nomadroute.json`;
+
+/**
+ * "My Journeys" library: save the current itinerary, load/rename/duplicate/delete
+ * saved ones, and move them in and out of JSON files.
+ */
+export default function JourneysPanel({ isOpen, onClose, activeId, createCurrent, onLoad, onSaved }) {
+    const [entries, setEntries] = useState([]);
+    const [name, setName] = useState('');
+    const [error, setError] = useState('');
+    const fileInputRef = useRef(null);
+
+    const refresh = () => setEntries(listJourneys());
+
+    useEffect(() => {
+        if (isOpen) {
+            refresh();
+            setError('');
+        }
+    }, [isOpen]);
+
+    if (!isOpen) return null;
+
+    const active = entries.find(e => e.id === activeId);
+
+    const run = (action) => {
+        try {
+            action();
+            setError('');
+        } catch (e) {
+            setError(e.message);
+        }
+        refresh();
+    };
+
+    const handleSaveNew = () => run(() => {
+        const journeyName = name.trim() || `Journey ${new Date().toLocaleDateString()}`;
+        const id = saveJourney(createCurrent(journeyName));
+        setName('');
+        onSaved(id);
+    });
+
+    const handleOverwrite = () => run(() => {
+        saveJourney(createCurrent(active.journey.name), active.id);
+        onSaved(active.id);
+    });
+
+    const handleRename = (entry) => {
+        const next = prompt('Rename journey', entry.journey.name);
+        if (next && next.trim()) run(() => renameJourney(entry.id, next.trim()));
+    };
+
+    // Delete the photos among ids that neither a saved journey nor the current itinerary uses
+    const releaseUnused = (ids) => {
+        releasePhotos(ids, [...listJourneys().map(e => e.journey), createCurrent('')])
+            .catch(err => console.warn('Could not delete photos', err));
+    };
+
+    const handleDelete = (entry) => {
+        if (!confirm(`Delete "${entry.journey.name}"?`)) return;
+        run(() => deleteJourney(entry.id));
+        releaseUnused(getJourneyPhotoIds(entry.journey));
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        let imported = [];
+        try {
+            const { media, ...journey } = parseJourneyFile(await file.text());
+            if (media) {
+                await importPhotos(media);
+                imported = Object.keys(media);
+            }
+            saveJourney(journey);
+            setError('');
+        } catch (err) {
+            setError(`${file.name}: ${err.message}`);
+        }
+        // Embedded photos the journey doesn't use, or all of them when it couldn't be saved
+        releaseUnused(imported);
+        refresh();
+    };
+
+    const handleExport = async (entry) => {
+        try {
+            const media = await exportPhotos(getJourneyPhotoIds(entry.journey));
+            downloadBlob(journeyToFile(entry.journey, media), fileNameFor(entry.journey.name));
+        } catch (err) {
+            // Still export the itinerary when the photo store can't be read
+            console.warn('Could not read photos', err);
+            downloadBlob(journeyToFile(entry.journey), fileNameFor(entry.journey.name));
+        }
+    };
+
+    return (
+        <div className="settings-overlay">
+            <div className="settings-panel">
+                <div className="settings-header">
+                    <h2>📚 My Journeys</h2>
+                    <button onClick={onClose} className="close-btn">✕</button>
+                </div>
+
+                <div className="settings-content">
+                    <h3>Save Current</h3>
+                    <div className="journey-save">
+                        <input
+                            type="text"
+                            value={name}
+                            placeholder="Journey name"
+                            onChange={e => setName(e.target.value)}
+                            onKeyDown={e => e.key === 'Enter' && handleSaveNew()}
+                        />
+                        <button onClick={handleSaveNew}>Save New</button>
+                    </div>
+                    {active && (
+                        <button className="journey-overwrite" onClick={handleOverwrite}>
+                            Update "{active.journey.name}"
+                        </button>
+                    )}
+
+                    {error && <div className="journey-error">{error}</div>}
+
+                    <h3>Saved</h3>
+                    {entries.length === 0 && <p className="journey-empty">No saved journeys yet.</p>}
+                    <ul className="journey-list">
+                        {entries.map(entry => (
+                            <li key={entry.id} className={entry.id === activeId ? 'active' : ''}>
+                                <div className="journey-info">
+                                    <strong>{entry.journey.name}</strong>
+                                    <span>
+                                        {entry.journey.stops.filter(s => s.place).length} stops · {new Date(entry.updatedAt).toLocaleString()}
+                                    </span>
+                                </div>
+                                <div className="journey-actions">
+                                    <button onClick={() => onLoad(entry.journey, entry.id)} title="Load">Load</button>
+                                    <button onClick={() => handleRename(entry)} title="Rename">✏️</button>
+                                    <button onClick={() => run(() => duplicateJourney(entry.id))} title="Duplicate">⧉</button>
+                                    <button
+                                        onClick={() => handleExport(entry)}
+                                        title="Export JSON"
+                                    >
+                                        ⬇
+                                    </button>
+                                    <button onClick={() => handleDelete(entry)} title="Delete" className="remove-btn">✕</button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <button className="journey-import" onClick={() => fileInputRef.current.click()}>
+                        ⬆ Import JSON
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        style={{ display: 'none' }}
+                        onChange={handleImport}
+                    />
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,8 +1,13 @@
-import { updateActiveTrail, updateCompletedTrail } from './map';
-import { getDistance, lerp, getBearing } from '../utils/geo';
+import {
+    updateActiveTrail, updateCompletedTrail, addTravellerTrails, removeTravellerTrails, updateMeetings, createTravellerMarker,
+    hasVehicleModels, updateVehicle
+} from './map';
+import {
+    lerp, interpolate, unwrapPath, wrapPoint, getBearing, getBounds, getDistance, getCumulativeDistances, getPointAtDistance
+} from '../utils/geo';
+import { formatDistance } from '../utils/stats';
 
-let animationFrameId = null;
-let currentRunId = 0; // Unique ID for the active playback session
+const activePlaybacks = new Map(); // map → controller: only one owns a map's markers and trail layers at a time
 
 // Icons mapping
 const MODE_ICONS = {
@@ -46,240 +51,1104 @@ const DEFAULT_MODE_SPEEDS = {
     teleport: 100.0
 };
 
-export function stopAnimation() {
-    currentRunId++;
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-        animationFrameId = null;
+/**
+ * Camera modes, chosen globally in settings.camera.mode or per leg:
+ *   follow    north-up, tracking the marker
+ *   chase     heading-up behind the marker
+ *   overview  the whole leg framed
+ *   fixed     the camera stays where the previous leg left it
+ */
+export const CAMERA_MODES = ['follow', 'chase', 'overview', 'fixed'];
+
+const DEFAULT_CAMERA = {
+    mode: 'follow',
+    damping: 0.5 // 0-1, widens the stretch of route the camera averages over
+};
+
+/**
+ * How the moving traveller is drawn: a 3D model turned to its heading ('model'),
+ * or the emoji marker ('emoji'), which also stands in where models can't be drawn.
+ * altitudeScale exaggerates flight altitude, which is true to scale at 1.
+ */
+const DEFAULT_VEHICLES = {
+    style: 'model',
+    altitudeScale: 1
+};
+
+// Flight profile
+const CRUISE_ALTITUDE_M = 11000;
+const CLIMB_KM = 180; // To cruise after takeoff
+const DESCENT_KM = 210; // A 3° glide from cruise
+
+const CHASE_PITCH_BOOST = 15;
+const MAX_PITCH = 70;
+const OVERVIEW_PADDING = 80; // px
+
+// Director timings (ms)
+const OPENING_LABEL_MS = 1800;
+const OPENING_MS = OPENING_LABEL_MS + 500;
+const OPENING_ZOOM_MS = 2000;
+const APPROACH_MS = 800;
+const ARRIVAL_LABEL_MS = 2000;
+const ARRIVAL_MS = ARRIVAL_LABEL_MS + 800;
+const ARRIVAL_ZOOM_MS = 2500;
+const CLOSING_MS = 5000;
+const CLOSING_ZOOM_MS = 2500;
+const MEDIA_DELAY_MS = 1000; // Photos and notes come in after the arrival label
+const PHOTO_MS = 3500;
+const NOTE_MS_PER_CHAR = 50; // Reading time for a note shown on its own
+const NOTE_MIN_MS = 2500;
+const NOTE_MAX_MS = 10000;
+
+// Captions
+const CAPTION_MIN_MS = 2000; // Long enough to read
+const DEPARTURE_CAPTION_MS = 4000; // Into the travel, unless the leg arrives sooner
+
+const MODE_PHRASES = {
+    walk: 'on foot',
+    bike: 'by bike',
+    car: 'by car',
+    bus: 'by bus',
+    train: 'by train',
+    plane: 'by plane',
+    teleport: 'by teleport'
+};
+
+// Travellers
+const MEET_KM = 1; // Stops closer than this are the same place
+const MEETING_MS = 2500; // Everyone at a meet-up stays together at least this long
+const MEETING_RADIUS = [14, 26]; // px, the highlight pulses between these while the meet-up lasts
+const CAMERA_RAMP_MS = 1500; // A traveller who has finished drifts out of the camera's frame over this
+const GROUP_PADDING = 120; // px
+const GROUP_MAX_ZOOM = 12;
+const MAX_SYNC_PASSES = 20;
+
+// Playback distance covered per second at cruise with a speed multiplier of 1
+const KM_PER_SECOND = 12;
+
+const DEFAULT_TIMING = {
+    minLegSeconds: 1,
+    maxLegSeconds: 90
+};
+
+/**
+ * @param {mapboxgl.Map} [map] Stop the playback on this map only, rather than on every map
+ */
+export function stopAnimation(map) {
+    if (map) {
+        if (activePlaybacks.has(map)) activePlaybacks.get(map).destroy();
+        return;
     }
+    [...activePlaybacks.values()].forEach(playback => playback.destroy());
 }
 
-const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const easeOut = t => t * (2 - t);
+const easeInOut = t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t);
+const clamp01 = t => Math.min(1, Math.max(0, t));
 
 /**
- * Animate Journey with "Cinematic Director" Logic
+ * Speed profile of a leg: accelerate over the first 10% of the distance,
+ * cruise, then brake over the last 10%. Speed ramps linearly with distance
+ * between 10% and 100% of cruise, which integrates to an exponential in time.
+ * @param {number} totalDist km
+ * @param {number} cruise km per ms
+ * @returns {{duration: number, distanceAt: (t: number) => number}}
  */
-export async function animateJourney(
-    map,
-    markerEl,
-    marker,
-    journey,
-    onComplete,
-    onLegStart,
-    settings = {},
-    showLabel,
-    hideLabel,
-    onError // New callback
-) {
-    stopAnimation();
-    const myRunId = currentRunId;
+function travelProfile(totalDist, cruise) {
+    if (totalDist < 0.001 || cruise <= 0) {
+        return { duration: 0, distanceAt: () => totalDist };
+    }
 
-    const modeZooms = { ...DEFAULT_MODE_ZOOMS, ...settings.zooms };
+    const rampDist = totalDist * 0.1;
+    const minSpeed = cruise * 0.1;
+    const k = (cruise - minSpeed) / rampDist;
+    const rampTime = Math.log(cruise / minSpeed) / k;
+    const cruiseTime = (totalDist - 2 * rampDist) / cruise;
+    const duration = 2 * rampTime + cruiseTime;
+
+    const rampDistanceAt = t => (minSpeed / k) * (Math.exp(k * t) - 1);
+
+    return {
+        duration,
+        distanceAt(t) {
+            if (t <= 0) return 0;
+            if (t >= duration) return totalDist;
+            if (t < rampTime) return rampDistanceAt(t);
+            if (t < rampTime + cruiseTime) return rampDist + cruise * (t - rampTime);
+            return totalDist - rampDistanceAt(duration - t);
+        }
+    };
+}
+
+/**
+ * How long the arrival pause holds the stop's photos and note
+ * @param {object} leg Resolved leg ({ photos?, note? })
+ * @returns {number} ms, 0 without media
+ */
+function getMediaDuration(leg) {
+    const photos = (leg.photos || []).length;
+    const noteMs = leg.note
+        ? Math.min(NOTE_MAX_MS, Math.max(NOTE_MIN_MS, leg.note.length * NOTE_MS_PER_CHAR))
+        : 0;
+    return Math.max(photos * PHOTO_MS, noteMs);
+}
+
+/**
+ * Build a leg's motion as a pure function of time.
+ * The natural duration follows from distance and mode speed, then gets clamped
+ * to the min/max leg length from settings.timing; clamping stretches or
+ * compresses the whole speed profile so the easing shape is kept.
+ * @param {number} totalDist km
+ * @param {string} mode
+ * @param {object} settings App settings (speeds, timing)
+ * @returns {{duration: number, distanceAt: (t: number) => number}}
+ */
+export function getLegMotion(totalDist, mode, settings = {}) {
     const modeSpeeds = { ...DEFAULT_MODE_SPEEDS, ...settings.speeds };
+    const timing = { ...DEFAULT_TIMING, ...settings.timing };
 
-    let completedLegsCoords = [];
+    const cruise = (modeSpeeds[mode] || 1.0) * KM_PER_SECOND / 1000;
+    const natural = travelProfile(totalDist, cruise);
+    if (natural.duration === 0) return natural;
 
-    // Validation
-    if (!journey || journey.length === 0) {
-        if (onComplete) onComplete();
-        return;
-    }
+    const duration = Math.min(
+        timing.maxLegSeconds * 1000,
+        Math.max(timing.minLegSeconds * 1000, natural.duration)
+    );
+    const scale = natural.duration / duration;
+
+    return {
+        duration,
+        distanceAt: t => natural.distanceAt(t * scale)
+    };
+}
+
+/**
+ * Altitude along a flight: a climb that levels off into cruise, then a straight glide
+ * down. Hops too short to reach cruise turn over where climb and descent meet.
+ * @param {number} distance km flown
+ * @param {number} totalDist km of the whole flight
+ * @returns {number} Meters
+ */
+function getFlightAltitude(distance, totalDist) {
+    const climb = easeOut(clamp01(distance / CLIMB_KM));
+    const descent = clamp01((totalDist - distance) / DESCENT_KM);
+    return CRUISE_ALTITUDE_M * Math.min(climb, descent);
+}
+
+/**
+ * Lay the journey out on a single time axis.
+ * Each leg gets an approach (camera move), travel and optional arrival phase.
+ * withOpening false leaves the opening out, for travellers who set off under a shared one.
+ */
+function buildTimeline(map, journey, settings, withLabels, closingCard, withOpening = true) {
+    const modeZooms = { ...DEFAULT_MODE_ZOOMS, ...settings.zooms };
+    const camera = { ...DEFAULT_CAMERA, ...settings.camera };
 
-    try {
-        // --- 1. Opening Sequence ---
-        const firstPoint = journey[0].pathCoords[0];
-        markerEl.innerText = MODE_ICONS[journey[0].mode] || '📍';
-        marker.setLngLat(firstPoint);
-        updateActiveTrail(map, []);
-        updateCompletedTrail(map, []);
+    const firstPoint = journey[0].pathCoords[0];
+    const initialZoom = (modeZooms['car'] || 10);
+    const hasOpening = withOpening && withLabels && !!journey[0].fromName;
 
-        const initialZoom = (modeZooms['car'] || 10);
-        map.jumpTo({
+    const opening = {
+        start: 0,
+        end: hasOpening ? OPENING_MS : 0,
+        label: hasOpening ? journey[0].fromName : null,
+        camera: { center: firstPoint, zoom: initialZoom - 1.5, pitch: 0, bearing: 0 },
+        endCamera: {
             center: firstPoint,
-            zoom: initialZoom - 1.5,
+            zoom: hasOpening ? initialZoom - 1.0 : initialZoom - 1.5,
             pitch: 0,
             bearing: 0
-        });
+        }
+    };
 
-        if (showLabel && journey[0].fromName) {
-            showLabel(journey[0].fromName);
+    let time = opening.end;
+    let prevCamera = opening.endCamera;
 
-            map.easeTo({
-                zoom: initialZoom - 1.0,
-                duration: 2000,
-                easing: t => t * (2 - t)
-            });
+    const legs = journey.map((leg, index) => {
+        const path = leg.pathCoords;
+        const zoom = modeZooms[leg.mode] || 10;
+        const pitch = MODE_PITCH[leg.mode] || 40;
+        const cumulative = getCumulativeDistances(path);
+        const totalDist = cumulative[cumulative.length - 1];
+        const profile = getLegMotion(totalDist, leg.mode, settings);
+
+        // Media extends the arrival pause past the label's usual time
+        const mediaMs = withLabels ? getMediaDuration(leg) : 0;
+        const mediaExtra = mediaMs > 0 ? Math.max(0, MEDIA_DELAY_MS + mediaMs - ARRIVAL_LABEL_MS) : 0;
 
-            await wait(1800);
-            if (currentRunId !== myRunId) return;
+        const start = time;
+        const travelStart = start + APPROACH_MS;
+        const arrivalStart = travelStart + profile.duration;
+        const end = arrivalStart + (withLabels ? ARRIVAL_MS + mediaExtra : 0);
+        time = end;
 
-            if (showLabel) hideLabel();
-            await wait(500);
-            if (currentRunId !== myRunId) return;
+        const entry = {
+            index,
+            leg,
+            path,
+            cumulative,
+            totalDist,
+            profile,
+            start,
+            travelStart,
+            arrivalStart,
+            end,
+            mediaMs,
+            labelMs: ARRIVAL_LABEL_MS + mediaExtra,
+            cameraMode: CAMERA_MODES.includes(leg.camera) ? leg.camera : camera.mode,
+            smoothingKm: Math.max(0.02, totalDist * (0.01 + 0.09 * camera.damping)),
+            overallHeading: totalDist > 0 ? getBearing(path[0], path[path.length - 1]) : 0,
+            approachFrom: prevCamera
+        };
+
+        const endCamera = { center: path[path.length - 1], zoom, pitch, bearing: 0 };
+        if (entry.cameraMode === 'chase') {
+            const chasePitch = Math.min(MAX_PITCH, pitch + CHASE_PITCH_BOOST);
+            entry.travelCamera = { center: path[0], zoom, pitch: chasePitch, bearing: headingAt(entry, 0) };
+            entry.arrivalCamera = { ...endCamera, pitch: chasePitch, bearing: headingAt(entry, totalDist) };
+        } else if (entry.cameraMode === 'overview') {
+            entry.travelCamera = overviewCamera(map, path, { center: path[0], zoom, pitch, bearing: 0 });
+            entry.arrivalCamera = entry.travelCamera;
+        } else if (entry.cameraMode === 'fixed') {
+            entry.travelCamera = prevCamera;
+            entry.arrivalCamera = prevCamera;
+        } else {
+            entry.travelCamera = { center: path[0], zoom, pitch, bearing: 0 };
+            entry.arrivalCamera = endCamera;
         }
 
-        // --- 2. Iterate Legs ---
-        for (let i = 0; i < journey.length; i++) {
-            if (currentRunId !== myRunId) return;
-
-            const leg = journey[i];
-            const path = leg.pathCoords;
-            const mode = leg.mode;
-            const speedBase = modeSpeeds[mode] || 1.0;
-            const zoomTarget = modeZooms[mode] || 10;
-            const pitchTarget = MODE_PITCH[mode] || 40;
-
-            markerEl.innerText = MODE_ICONS[mode] || '📍';
-
-            map.flyTo({
-                center: path[0],
-                zoom: zoomTarget,
-                pitch: pitchTarget,
-                bearing: 0,
-                speed: 0.8,
-                curve: 1.2
-            });
+        // Only the tracking modes push in on arrival
+        entry.arrivalZoom = entry.cameraMode === 'follow' || entry.cameraMode === 'chase';
 
-            await wait(800);
-            if (currentRunId !== myRunId) return;
+        prevCamera = withLabels && entry.arrivalZoom
+            ? { ...entry.arrivalCamera, zoom: entry.arrivalCamera.zoom + 0.5 * Math.min(1, (end - arrivalStart) / ARRIVAL_ZOOM_MS) }
+            : entry.arrivalCamera;
 
-            await animateLeg(
-                map,
-                marker,
-                path,
-                speedBase,
-                zoomTarget,
-                pitchTarget,
-                myRunId
-            );
+        return entry;
+    });
 
-            if (currentRunId !== myRunId) return;
+    // Closing title card over a view of the whole journey
+    let closing = null;
+    if (withLabels && closingCard) {
+        const allPoints = journey.flatMap(leg => leg.pathCoords);
+        closing = {
+            start: time,
+            end: time + CLOSING_MS,
+            fromCamera: prevCamera,
+            camera: overviewCamera(map, allPoints, prevCamera),
+            title: closingCard.title,
+            subtitle: closingCard.subtitle
+        };
+        time = closing.end;
+    }
 
-            completedLegsCoords.push(path);
-            updateActiveTrail(map, []);
-            updateCompletedTrail(map, completedLegsCoords);
+    return { opening, legs, closing, duration: time };
+}
 
-            const labelText = leg.toName;
+// Paths run past ±180 across the 180° meridian; the map is given the wrapped position
+const jumpTo = (map, camera) => map.jumpTo({ ...camera, center: wrapPoint(camera.center) });
 
-            if (showLabel) {
-                showLabel(labelText);
+function interpolateCamera(from, to, t) {
+    // Turn the short way round
+    const turn = ((to.bearing - from.bearing + 540) % 360) - 180;
+    return {
+        center: interpolate(from.center, to.center, t),
+        zoom: from.zoom + (to.zoom - from.zoom) * t,
+        pitch: from.pitch + (to.pitch - from.pitch) * t,
+        bearing: from.bearing + turn * t
+    };
+}
 
-                map.easeTo({
-                    zoom: map.getZoom() + 0.5,
-                    duration: 2500,
-                    easing: t => t
-                });
+/**
+ * Direction of travel at a distance along the leg, taken across a window of
+ * route either side so that zig-zags in noisy geometry cancel out.
+ */
+function headingAt(entry, distance) {
+    const { path, cumulative, totalDist, smoothingKm } = entry;
+    const behind = getPointAtDistance(path, cumulative, Math.max(0, distance - smoothingKm)).point;
+    const ahead = getPointAtDistance(path, cumulative, Math.min(totalDist, distance + smoothingKm)).point;
+    return getDistance(behind, ahead) > 0.001 ? getBearing(behind, ahead) : entry.overallHeading;
+}
 
-                await wait(2000);
-                if (currentRunId !== myRunId) return;
+/**
+ * Camera while travelling. The tracking modes lead the marker slightly,
+ * aiming at a point a smoothing window ahead rather than the next vertex.
+ */
+function travelCameraAt(entry, point, distance) {
+    if (entry.cameraMode === 'overview' || entry.cameraMode === 'fixed') return entry.travelCamera;
 
-                if (showLabel) hideLabel();
-                await wait(800);
-                if (currentRunId !== myRunId) return;
+    const ahead = getPointAtDistance(entry.path, entry.cumulative, Math.min(entry.totalDist, distance + entry.smoothingKm)).point;
+    return {
+        ...entry.travelCamera,
+        center: lerp(point, ahead, 0.3),
+        bearing: entry.cameraMode === 'chase' ? headingAt(entry, distance) : 0
+    };
+}
+
+/**
+ * Camera that frames the whole leg, as fitBounds would
+ */
+function overviewCamera(map, path, fallback, { padding = OVERVIEW_PADDING, maxZoom } = {}) {
+    const camera = map && map.cameraForBounds
+        ? map.cameraForBounds(getBounds(path), { padding, maxZoom })
+        : null;
+    if (!camera || !camera.center) return fallback;
+
+    const center = Array.isArray(camera.center) ? camera.center : [camera.center.lng, camera.center.lat];
+    return { center, zoom: camera.zoom, pitch: 0, bearing: 0 };
+}
+
+/**
+ * The 3D vehicle for a scene: turned to the heading at the traveller's distance
+ * along the leg, and for planes at their altitude, nose tilted along the climb or descent.
+ */
+function vehicleAt(timeline, scene, altitudeScale) {
+    const entry = timeline.legs[scene.legIndex];
+    const vehicle = { position: wrapPoint(scene.markerPos), mode: entry.leg.mode, heading: headingAt(entry, scene.distance), altitude: 0, pitch: 0 };
+    if (entry.leg.mode !== 'plane' || scene.phase !== 'travel') return vehicle;
+
+    const step = Math.min(1, entry.totalDist / 100); // km either side to measure the slope over
+    const altitudeAt = d => getFlightAltitude(Math.min(entry.totalDist, Math.max(0, d)), entry.totalDist) * altitudeScale;
+    const rise = altitudeAt(scene.distance + step) - altitudeAt(scene.distance - step);
+    return {
+        ...vehicle,
+        altitude: altitudeAt(scene.distance),
+        pitch: step > 0 ? Math.atan2(rise, step * 2000) * 180 / Math.PI : 0
+    };
+}
+
+/**
+ * Evaluate the whole scene at a point in time. Pure: the same t always yields the same frame.
+ */
+function sampleScene(timeline, t) {
+    const { opening, legs, closing } = timeline;
+
+    if (t < opening.end) {
+        return {
+            phase: 'opening',
+            legIndex: 0,
+            distance: 0,
+            icon: MODE_ICONS[legs[0].leg.mode] || '📍',
+            markerPos: opening.camera.center,
+            camera: {
+                ...opening.camera,
+                zoom: opening.camera.zoom + 0.5 * easeOut(clamp01(t / OPENING_ZOOM_MS))
+            },
+            activeTrail: [],
+            completed: [],
+            label: t < OPENING_LABEL_MS ? opening.label : null,
+            subtitle: 'Departing'
+        };
+    }
+
+    if (closing && t >= closing.start) {
+        const last = legs[legs.length - 1];
+        return {
+            phase: 'closing',
+            legIndex: last.index,
+            distance: last.totalDist,
+            icon: MODE_ICONS[last.leg.mode] || '📍',
+            markerPos: last.path[last.path.length - 1],
+            camera: interpolateCamera(closing.fromCamera, closing.camera, easeInOut(clamp01((t - closing.start) / CLOSING_ZOOM_MS))),
+            activeTrail: [],
+            completed: legs.map(l => l.path),
+            label: closing.title,
+            subtitle: closing.subtitle
+        };
+    }
+
+    const entry = legs.find(l => t < l.end) || legs[legs.length - 1];
+    const completed = legs.slice(0, entry.index).map(l => l.path);
+    const icon = MODE_ICONS[entry.leg.mode] || '📍';
+
+    if (t < entry.travelStart) {
+        const progress = easeInOut(clamp01((t - entry.start) / APPROACH_MS));
+        return {
+            phase: 'approach',
+            legIndex: entry.index,
+            distance: 0,
+            icon,
+            markerPos: entry.path[0],
+            camera: interpolateCamera(entry.approachFrom, entry.travelCamera, progress),
+            activeTrail: [],
+            completed,
+            label: null
+        };
+    }
+
+    if (t < entry.arrivalStart) {
+        const distance = entry.profile.distanceAt(t - entry.travelStart);
+        const { point, index } = getPointAtDistance(entry.path, entry.cumulative, distance);
+
+        return {
+            phase: 'travel',
+            legIndex: entry.index,
+            distance,
+            icon,
+            markerPos: point,
+            camera: travelCameraAt(entry, point, distance),
+            activeTrail: [...entry.path.slice(0, index + 1), point],
+            completed,
+            label: null
+        };
+    }
+
+    const arrivalTime = t - entry.arrivalStart;
+    const mediaTime = arrivalTime - MEDIA_DELAY_MS;
+    return {
+        phase: 'arrival',
+        legIndex: entry.index,
+        distance: entry.totalDist,
+        icon,
+        markerPos: entry.path[entry.path.length - 1],
+        camera: entry.arrivalZoom
+            ? { ...entry.arrivalCamera, zoom: entry.arrivalCamera.zoom + 0.5 * clamp01(arrivalTime / ARRIVAL_ZOOM_MS) }
+            : entry.arrivalCamera,
+        activeTrail: [],
+        completed: [...completed, entry.path],
+        label: arrivalTime < entry.labelMs && entry.end > entry.arrivalStart ? entry.leg.toName : null,
+        subtitle: 'Arriving',
+        card: entry.mediaMs > 0 && mediaTime >= 0 && mediaTime < entry.mediaMs ? mediaCardAt(entry, mediaTime) : null
+    };
+}
+
+/**
+ * The photo (and note) on show a given time into a stop's media
+ */
+function mediaCardAt(entry, mediaTime) {
+    const { photos = [], note = '', toName } = entry.leg;
+    const count = photos.length;
+    const index = count > 0 ? Math.min(count - 1, Math.floor(mediaTime / (entry.mediaMs / count))) : -1;
+    return {
+        key: `${entry.index}:${index}`,
+        legIndex: entry.index,
+        place: toName,
+        photo: index >= 0 ? photos[index] : null,
+        index,
+        count,
+        note
+    };
+}
+
+// A cue runs until the next one starts, but for at least CAPTION_MIN_MS
+function clipCues(cues) {
+    return cues.map((cue, i) => {
+        const next = cues[i + 1];
+        return next && next.start > cue.start ? { ...cue, end: Math.min(cue.end, Math.max(next.start, cue.start + CAPTION_MIN_MS)) } : cue;
+    });
+}
+
+/**
+ * Timed captions of a timeline: setting off, each leg's departure (its mode and
+ * distance) and arrival, and the closing card.
+ * @param {object} timeline From buildTimeline
+ * @param {string} [who] Traveller name to put in front of each caption
+ * @returns {Array<{start: number, end: number, kind: string, legIndex: number, text: string}>}
+ */
+function timelineCues(timeline, who = null) {
+    const { opening, legs, closing } = timeline;
+    const say = text => (who ? `${who}: ${text}` : text);
+    const cues = [];
+
+    if (opening.label) {
+        cues.push({ start: 0, end: opening.end, kind: 'opening', legIndex: 0, text: say(`Setting off from ${opening.label}`) });
+    }
+    legs.forEach(({ index, leg, start, travelStart, arrivalStart, end, totalDist }) => {
+        const how = MODE_PHRASES[leg.mode] ? ` ${MODE_PHRASES[leg.mode]}` : '';
+        cues.push({
+            start,
+            end: Math.max(start + CAPTION_MIN_MS, Math.min(arrivalStart, travelStart + DEPARTURE_CAPTION_MS)),
+            kind: 'departure',
+            legIndex: index,
+            text: say(`${leg.fromName} to ${leg.toName}${how}, ${formatDistance(totalDist)}`)
+        });
+        cues.push({
+            start: arrivalStart,
+            end: Math.max(end, arrivalStart + CAPTION_MIN_MS),
+            kind: 'arrival',
+            legIndex: index,
+            text: say(`Arriving in ${leg.toName}`)
+        });
+    });
+    if (closing) {
+        cues.push({ start: closing.start, end: closing.end, kind: 'closing', legIndex: legs.length - 1, text: `${closing.title}. ${closing.subtitle}` });
+    }
+    return clipCues(cues);
+}
+
+/**
+ * Clock, transport controls and events shared by single and group playback.
+ * draw(t) renders the frame at t and returns the scene the events and overlays follow.
+ */
+function createController(map, timeline, legs, cues, draw, { showLabel, hideLabel, showCard, hideCard } = {}, cleanup = null) {
+    const listeners = {};
+
+    let time = 0;
+    let cueTime = -1; // Cues starting after this haven't been announced yet
+    let rate = 1;
+    let state = 'idle';
+    let frameId = null;
+    let lastTimestamp = null;
+    let shownLabel = null;
+    let shownCard = null;
+    let lastPhaseKey = null;
+    let destroyed = false;
+
+    const emit = (event, payload) => {
+        (listeners[event] || []).forEach(fn => fn(payload));
+    };
+
+    const setState = (next) => {
+        if (state === next) return;
+        state = next;
+        emit('state', next);
+    };
+
+    function render(t) {
+        const scene = draw(t);
+
+        const labelKey = scene.label ? `${scene.label}\n${scene.subtitle}` : null;
+        if (labelKey !== shownLabel) {
+            if (scene.label && showLabel) showLabel(scene.label, scene.subtitle);
+            else if (!scene.label && hideLabel) hideLabel();
+            shownLabel = labelKey;
+        }
+
+        const cardKey = scene.card ? scene.card.key : null;
+        if (cardKey !== shownCard) {
+            if (scene.card && showCard) showCard(scene.card);
+            else if (!scene.card && hideCard) hideCard();
+            shownCard = cardKey;
+        }
+
+        const phaseKey = `${scene.legIndex}:${scene.phase}`;
+        if (phaseKey !== lastPhaseKey) {
+            if (scene.phase === 'approach') emit('legstart', scene.legIndex);
+            if (scene.phase === 'arrival') emit('arrival', scene.legIndex);
+            lastPhaseKey = phaseKey;
+        }
+
+        emit('progress', { time: t, duration: timeline.duration, legIndex: scene.legIndex, phase: scene.phase, distance: scene.distance });
+    }
+
+    function frame(timestamp) {
+        frameId = null;
+        if (destroyed || state !== 'playing') return;
+
+        if (lastTimestamp !== null) time += (timestamp - lastTimestamp) * rate;
+        lastTimestamp = timestamp;
+
+        // Only cues reached by playing are announced, not ones skipped over by seeking
+        const reached = Math.min(time, timeline.duration);
+        cues.forEach((cue) => {
+            if (cue.start > cueTime && cue.start <= reached) emit('cue', cue);
+        });
+        cueTime = reached;
+
+        try {
+            if (time >= timeline.duration) {
+                time = timeline.duration;
+                render(time);
+                setState('ended');
+                emit('complete');
+                return;
             }
+
+            render(time);
+        } catch (e) {
+            console.error("Cinematic Error", e);
+            controller.destroy();
+            emit('error', e);
+            return;
         }
 
-        if (onComplete && currentRunId === myRunId) onComplete();
+        frameId = requestAnimationFrame(frame);
+    }
 
-    } catch (e) {
-        console.error("Cinematic Error", e);
-        if (currentRunId === myRunId) {
-            stopAnimation();
-            if (onError) onError(e); // Notify app of failure
+    function cancelFrame() {
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
         }
+        lastTimestamp = null;
     }
+
+    const controller = {
+        get duration() {
+            return timeline.duration;
+        },
+        get time() {
+            return time;
+        },
+        get rate() {
+            return rate;
+        },
+        get state() {
+            return state;
+        },
+        /** Timed captions: { start, end, kind, legIndex, text, traveller? } */
+        get cues() {
+            return cues;
+        },
+        /** Leg boundaries on the timeline: { index, mode, toName, start, travelStart, arrivalStart, end } */
+        get legs() {
+            return legs.map(l => ({
+                index: l.index,
+                mode: l.leg.mode,
+                toName: l.leg.toName,
+                start: l.start,
+                travelStart: l.travelStart,
+                arrivalStart: l.arrivalStart,
+                end: l.end
+            }));
+        },
+
+        play() {
+            if (destroyed || state === 'playing') return;
+            if (state === 'ended') time = 0;
+            if (time === 0) cueTime = -1;
+
+            setState('playing');
+            lastTimestamp = null;
+            frameId = requestAnimationFrame(frame);
+        },
+        pause() {
+            if (state !== 'playing') return;
+            cancelFrame();
+            setState('paused');
+        },
+        resume() {
+            if (state === 'paused') controller.play();
+        },
+        seek(t) {
+            if (destroyed) return;
+            time = Math.min(timeline.duration, Math.max(0, t));
+            cueTime = time;
+            lastTimestamp = null;
+            render(time);
+            if (state === 'ended' && time < timeline.duration) setState('paused');
+        },
+        setRate(nextRate) {
+            rate = Math.max(0.1, nextRate);
+        },
+        on(event, fn) {
+            (listeners[event] = listeners[event] || []).push(fn);
+            return () => {
+                listeners[event] = listeners[event].filter(l => l !== fn);
+            };
+        },
+        destroy() {
+            if (destroyed) return;
+            cancelFrame();
+            destroyed = true;
+            if (shownLabel && hideLabel) hideLabel();
+            if (shownCard && hideCard) hideCard();
+            if (cleanup) cleanup();
+            setState('idle');
+            if (activePlaybacks.get(map) === controller) activePlaybacks.delete(map);
+        }
+    };
+
+    activePlaybacks.set(map, controller);
+    return controller;
 }
 
-function animateLeg(map, marker, path, speedBase, targetZoom, targetPitch, runId) {
-    return new Promise((resolve) => {
-        let startTime = null;
-        let totalDist = 0;
-        for (let i = 0; i < path.length - 1; i++) totalDist += getDistance(path[i], path[i + 1]);
+/**
+ * Create a playback controller for a resolved journey.
+ * Time is measured in milliseconds on the journey timeline.
+ *
+ * Events (subscribe with on(name, fn), which returns an unsubscribe function):
+ *   progress  { time, duration, legIndex, phase, distance } (distance: km along the leg)
+ *   legstart  legIndex
+ *   arrival   legIndex
+ *   cue       { start, end, kind, legIndex, text } as a caption comes up while playing (see controller.cues)
+ *   state     'idle' | 'playing' | 'paused' | 'ended'
+ *   complete
+ *   error     Error
+ *
+ * @param {mapboxgl.Map} map
+ * @param {HTMLElement} markerEl
+ * @param {mapboxgl.Marker} marker
+ * @param {Array} journey Resolved legs ({ mode, pathCoords, fromName, toName, fallback?, photos?, note? })
+ * @param {object} settings App settings (zooms, speeds, timing, camera, vehicles)
+ * @param {object} [labels]
+ * @param {(text: string, subtitle: string) => void} [labels.showLabel]
+ * @param {() => void} [labels.hideLabel]
+ * @param {{title: string, subtitle: string}} [labels.closing] Title card shown over the whole route at the end
+ * @param {(card: {key: string, legIndex: number, place: string, photo: object|null, index: number, count: number, note: string}) => void} [labels.showCard]
+ *        A stop's photo and note during its arrival pause (legs carry photos and note)
+ * @param {() => void} [labels.hideCard]
+ */
+export function createPlayback(map, markerEl, marker, journey, settings = {}, labels = {}) {
+    stopAnimation(map);
 
-        if (totalDist < 0.001 || speedBase < 0) {
-            resolve();
-            return;
+    const timeline = buildTimeline(map, journey, settings, !!labels.showLabel, labels.closing);
+    const trailLegs = journey.map(leg => ({ mode: leg.mode, fallback: !!leg.fallback }));
+    let lastCompletedCount = -1;
+
+    // The model replaces the emoji marker while this playback lasts
+    const vehicles = { ...DEFAULT_VEHICLES, ...settings.vehicles };
+    const withModels = vehicles.style === 'model' && hasVehicleModels(map);
+    if (withModels) markerEl.style.display = 'none';
+
+    return createController(map, timeline, timeline.legs, timelineCues(timeline), (t) => {
+        const scene = sampleScene(timeline, t);
+
+        markerEl.innerText = scene.icon;
+        marker.setLngLat(scene.markerPos);
+        if (withModels) updateVehicle(map, vehicleAt(timeline, scene, vehicles.altitudeScale));
+        jumpTo(map, scene.camera);
+
+        updateActiveTrail(map, scene.activeTrail, trailLegs[scene.legIndex]);
+        if (scene.completed.length !== lastCompletedCount) {
+            updateCompletedTrail(map, scene.completed, trailLegs);
+            lastCompletedCount = scene.completed.length;
         }
+        return scene;
+    }, labels, withModels ? () => {
+        updateVehicle(map, null);
+        markerEl.style.display = 'block';
+    } : null);
+}
+
+// --- Travellers ---
 
-        const REAL_SPEED = speedBase * 0.2;
+/**
+ * Places where travellers' itineraries cross: the same stop reached by two or more of
+ * them. Each pair is matched in visiting order, so a later stop can't meet an earlier one.
+ * @param {Array<Array>} journeys Resolved legs per traveller
+ * @returns {Array<{center: [number, number], name: string, members: Array<{traveller: number, leg: number}>}>}
+ */
+export function findMeetings(journeys) {
+    const meetings = [];
+    const sameMember = (a, b) => a.traveller === b.traveller && a.leg === b.leg;
 
-        if (REAL_SPEED <= 0) {
-            resolve();
+    const addPair = (center, name, pair) => {
+        // Three or more meeting at once share a stop with an existing pair
+        const meeting = meetings.find(m => m.members.some(x => pair.some(y => sameMember(x, y))));
+        if (!meeting) {
+            meetings.push({ center, name, members: pair });
             return;
         }
+        pair.forEach((p) => {
+            if (!meeting.members.some(x => sameMember(x, p))) meeting.members.push(p);
+        });
+    };
 
-        let distanceCovered = 0;
-        let currentPathIdx = 0;
-        let p1 = path[0];
-        let p2 = path[1];
-        let segmentProgress = 0;
+    journeys.forEach((a, ai) => {
+        journeys.slice(ai + 1).forEach((b, offset) => {
+            const bi = ai + 1 + offset;
+            let from = 0;
+            a.forEach((legA, i) => {
+                for (let j = from; j < b.length; j++) {
+                    if (getDistance(legA.to, b[j].to) <= MEET_KM) {
+                        addPair(legA.to, legA.toName, [{ traveller: ai, leg: i }, { traveller: bi, leg: j }]);
+                        from = j + 1;
+                        break;
+                    }
+                }
+            });
+        });
+    });
+    return meetings;
+}
 
-        let activeTrail = [path[0]];
-        updateActiveTrail(map, activeTrail);
+// Hold a traveller at a stop for longer, pushing the rest of their itinerary back
+function delayLeg(timeline, index, ms) {
+    timeline.legs[index].end += ms;
+    timeline.legs.slice(index + 1).forEach((l) => {
+        l.start += ms;
+        l.travelStart += ms;
+        l.arrivalStart += ms;
+        l.end += ms;
+    });
+    timeline.duration += ms;
+}
 
-        function frame(timestamp) {
-            if (currentRunId !== runId) {
-                resolve();
-                return;
-            }
+/**
+ * Whoever reaches a meet-up first waits there until everyone has arrived, and they
+ * leave no sooner than MEETING_MS after that. Sets each meeting's time.
+ */
+function syncMeetings(timelines, meetings) {
+    const arrivalOf = ({ traveller, leg }) => timelines[traveller].legs[leg].arrivalStart;
 
-            if (!startTime) startTime = timestamp;
+    for (let pass = 0; pass < MAX_SYNC_PASSES; pass++) {
+        let changed = false;
+        meetings.forEach((m) => {
+            const time = Math.max(...m.members.map(arrivalOf));
+            m.members.forEach(({ traveller, leg }) => {
+                const wait = time + MEETING_MS - timelines[traveller].legs[leg].end;
+                if (wait > 0) {
+                    delayLeg(timelines[traveller], leg, wait);
+                    changed = true;
+                }
+            });
+        });
+        if (!changed) break;
+    }
+    meetings.forEach((m) => { m.time = Math.max(...m.members.map(arrivalOf)); });
+}
 
-            const progressRatio = totalDist > 0 ? distanceCovered / totalDist : 1;
+function buildGroupTimeline(map, travellers, settings, withLabels, closingCard) {
+    const timelines = travellers.map(t => buildTimeline(map, t.journey, settings, withLabels, null, false));
+    const meetings = findMeetings(travellers.map(t => t.journey));
+    syncMeetings(timelines, meetings);
 
-            let easeFactor = 1;
-            if (progressRatio < 0.1) easeFactor = lerp(0.1, 1, progressRatio * 10);
-            if (progressRatio > 0.9) easeFactor = lerp(1, 0.1, (progressRatio - 0.9) * 10);
+    const offset = withLabels ? OPENING_MS : 0;
+    const lastEnd = Math.max(...timelines.map(tl => tl.duration));
+    let duration = offset + lastEnd;
 
-            const moveDist = (REAL_SPEED * easeFactor);
+    let closing = null;
+    if (withLabels && closingCard) {
+        closing = {
+            start: duration,
+            end: duration + CLOSING_MS,
+            camera: overviewCamera(map, travellers.flatMap(t => t.journey.flatMap(leg => leg.pathCoords)), null),
+            title: closingCard.title,
+            subtitle: closingCard.subtitle
+        };
+        duration = closing.end;
+    }
 
-            if (getDistance(p1, p2) <= 0.0001) {
-                currentPathIdx++;
-            } else {
-                const segDist = getDistance(p1, p2);
-                const segStep = moveDist / segDist;
-                segmentProgress += segStep;
-            }
+    const group = { map, travellers, timelines, meetings, offset, lastEnd, closing, duration };
+    if (closing) {
+        closing.fromCamera = groupCamera(group, timelines.map(tl => sampleScene(tl, tl.duration)), lastEnd);
+        if (!closing.camera) closing.camera = closing.fromCamera;
+    }
+    return group;
+}
 
-            while (segmentProgress >= 1) {
-                segmentProgress -= 1;
-                currentPathIdx++;
-                activeTrail.push(p2);
-                if (currentPathIdx >= path.length - 1) {
-                    marker.setLngLat(path[path.length - 1]);
-                    updateActiveTrail(map, path);
-                    resolve();
-                    return;
-                }
-                p1 = path[currentPathIdx];
-                p2 = path[currentPathIdx + 1];
-                distanceCovered += getDistance(path[currentPathIdx - 1], p1);
-            }
+/**
+ * Frame every traveller still on their way. One who has finished drifts out of the
+ * frame over CAMERA_RAMP_MS (pulled towards the others) so the camera never jumps;
+ * the last to finish stays framed for the closing.
+ */
+function groupCamera(group, scenes, local) {
+    const weights = group.timelines.map(tl => (tl.duration >= group.lastEnd ? 1 : clamp01((tl.duration - local) / CAMERA_RAMP_MS)));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    // Averaged on the same side of the 180° meridian
+    const positions = unwrapPath(scenes.map(s => s.markerPos));
+    const centroid = [0, 1].map(k => positions.reduce((sum, p, i) => sum + p[k] * weights[i], 0) / total);
+    const points = positions.map((p, i) => lerp(centroid, p, weights[i]));
 
-            if (currentPathIdx >= path.length - 1) {
-                resolve();
-                return;
-            }
+    const fallback = { center: centroid, zoom: GROUP_MAX_ZOOM, pitch: 0, bearing: 0 };
+    return overviewCamera(group.map, points, fallback, { padding: GROUP_PADDING, maxZoom: GROUP_MAX_ZOOM });
+}
 
-            p1 = path[currentPathIdx];
-            p2 = path[currentPathIdx + 1];
+const joinNames = names => (names.length > 1 ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}` : names[0]);
 
-            const currentPos = lerp(p1, p2, segmentProgress);
-            marker.setLngLat(currentPos);
-            updateActiveTrail(map, [...activeTrail, currentPos]);
+/**
+ * Captions of every traveller, named, on the group timeline, with the meet-ups
+ * @returns {Array} Cues as from timelineCues, with the index of the traveller whose leg legIndex is
+ *          (the first member's, for a meet-up); the group's opening and closing have none
+ */
+function groupCues(group) {
+    const { travellers, timelines, meetings, offset, closing } = group;
+    const names = travellers.map(t => t.name);
+    const cues = [];
 
-            const leadPos = lerp(currentPos, p2, 0.3);
+    if (offset > 0) cues.push({ start: 0, end: offset, kind: 'opening', legIndex: 0, text: `${joinNames(names)} set off` });
+    timelines.forEach((tl, i) => {
+        timelineCues(tl, names[i]).forEach(cue => cues.push({ ...cue, traveller: i, start: cue.start + offset, end: cue.end + offset }));
+    });
+    meetings.forEach((m) => {
+        cues.push({
+            start: offset + m.time,
+            end: offset + m.time + MEETING_MS,
+            kind: 'meeting',
+            traveller: m.members[0].traveller,
+            legIndex: m.members[0].leg,
+            text: `${joinNames(m.members.map(member => names[member.traveller]))} meet up in ${m.name}`
+        });
+    });
+    if (closing) {
+        cues.push({ start: closing.start, end: closing.end, kind: 'closing', legIndex: 0, text: `${closing.title}. ${closing.subtitle}` });
+    }
+    return cues.sort((x, y) => x.start - y.start);
+}
 
-            map.jumpTo({
-                center: leadPos,
-                zoom: targetZoom,
-                pitch: targetPitch,
-                bearing: 0
-            });
+/**
+ * Evaluate every traveller at a point in time. The scene's legIndex, phase and
+ * distance follow the focus traveller; labels and cards come from whoever has one,
+ * the focus traveller first, with meet-ups above all.
+ */
+function sampleGroupScene(group, focus, t) {
+    const { travellers, timelines, meetings, offset, closing } = group;
+    const local = Math.max(0, t - offset);
+    const scenes = timelines.map(tl => sampleScene(tl, Math.min(local, tl.duration)));
+    const focused = scenes[focus];
+
+    const scene = {
+        phase: focused.phase,
+        legIndex: focused.legIndex,
+        distance: focused.distance,
+        travellers: scenes,
+        meetings: meetings
+            .filter(m => local >= m.time)
+            .map((m) => {
+                const since = local - m.time;
+                const active = since < MEETING_MS;
+                const pulse = active ? (1 - Math.cos((since / MEETING_MS) * 4 * Math.PI)) / 2 : 0;
+                return { center: m.center, active, radius: MEETING_RADIUS[0] + (MEETING_RADIUS[1] - MEETING_RADIUS[0]) * pulse };
+            }),
+        label: null,
+        subtitle: null,
+        card: null
+    };
+
+    if (t < offset) {
+        const camera = groupCamera(group, scenes, 0);
+        return {
+            ...scene,
+            phase: 'opening',
+            legIndex: 0,
+            camera: { ...camera, zoom: camera.zoom - 1 + easeInOut(clamp01(t / offset)) },
+            label: t < OPENING_LABEL_MS ? joinNames(travellers.map(tr => tr.name)) : null,
+            subtitle: 'Setting off'
+        };
+    }
+
+    if (closing && t >= closing.start) {
+        return {
+            ...scene,
+            phase: 'closing',
+            camera: interpolateCamera(closing.fromCamera, closing.camera, easeInOut(clamp01((t - closing.start) / CLOSING_ZOOM_MS))),
+            label: closing.title,
+            subtitle: closing.subtitle
+        };
+    }
+
+    scene.camera = groupCamera(group, scenes, local);
+
+    const order = [focus, ...scenes.map((_, i) => i).filter(i => i !== focus)];
+    const meeting = meetings.find(m => local >= m.time && local < m.time + MEETING_MS);
+    if (meeting) {
+        scene.label = meeting.name;
+        scene.subtitle = `${joinNames(meeting.members.map(m => travellers[m.traveller].name))} meet up`;
+    } else {
+        const arriving = order.find(i => scenes[i].label);
+        if (arriving !== undefined) {
+            scene.label = scenes[arriving].label;
+            scene.subtitle = `${travellers[arriving].name} arriving`;
+        }
+    }
+
+    const withCard = order.find(i => scenes[i].card);
+    if (withCard !== undefined) {
+        const card = scenes[withCard].card;
+        scene.card = { ...card, key: `${withCard}:${card.key}` };
+    }
+    return scene;
+}
+
+/**
+ * Create a playback controller that animates several travellers together on one map,
+ * each with their own marker and trail layers. They all set off at once; at a stop
+ * two or more of them share, the first to arrive waits for the others and the meet-up
+ * is highlighted. The camera frames everyone still travelling.
+ *
+ * Same controller and events as createPlayback; legs, progress and the leg events
+ * follow the focus traveller.
+ *
+ * @param {mapboxgl.Map} map
+ * @param {Array<{name: string, color: string, icon: string, journey: Array}>} travellers Resolved legs per traveller
+ * @param {object} settings App settings (zooms, speeds, timing)
+ * @param {object} [labels] As for createPlayback, plus:
+ * @param {number} [labels.focus] Index of the traveller the progress events follow
+ * @returns {object} Controller, with markers ({ lngLat, icon, name, color, visible }) for the video recorder
+ */
+export function createGroupPlayback(map, travellers, settings = {}, labels = {}) {
+    stopAnimation(map);
+
+    const focus = labels.focus || 0;
+    const group = buildGroupTimeline(map, travellers, settings, !!labels.showLabel, labels.closing);
+    const focusLegs = group.timelines[focus].legs.map(l => ({
+        ...l,
+        start: l.start + group.offset,
+        travelStart: l.travelStart + group.offset,
+        arrivalStart: l.arrivalStart + group.offset,
+        end: l.end + group.offset
+    }));
 
-            animationFrameId = requestAnimationFrame(frame);
+    const markers = travellers.map(t => createTravellerMarker(map, t));
+    const trails = travellers.map((t, i) => addTravellerTrails(map, i, t.color));
+    const trailLegs = travellers.map(t => t.journey.map(leg => ({ mode: leg.mode, fallback: !!leg.fallback })));
+    const completedCounts = travellers.map(() => -1);
+    let meetingsKey = null;
+
+    const controller = createController(map, group, focusLegs, groupCues(group), (t) => {
+        const scene = sampleGroupScene(group, focus, t);
+
+        scene.travellers.forEach((s, i) => {
+            if (markers[i].modeEl.textContent !== s.icon) markers[i].modeEl.textContent = s.icon;
+            markers[i].marker.setLngLat(s.markerPos);
+
+            updateActiveTrail(map, s.activeTrail, trailLegs[i][s.legIndex], trails[i].active);
+            if (s.completed.length !== completedCounts[i]) {
+                updateCompletedTrail(map, s.completed, trailLegs[i], trails[i].completed);
+                completedCounts[i] = s.completed.length;
+            }
+        });
+
+        const key = scene.meetings.map(m => (m.active ? m.radius.toFixed(1) : '-')).join();
+        if (key !== meetingsKey) {
+            updateMeetings(map, scene.meetings);
+            meetingsKey = key;
         }
 
-        animationFrameId = requestAnimationFrame(frame);
+        jumpTo(map, scene.camera);
+        return scene;
+    }, labels, () => {
+        markers.forEach(m => m.marker.remove());
+        travellers.forEach((_, i) => removeTravellerTrails(map, i));
+        updateMeetings(map, []);
+    });
+
+    Object.defineProperty(controller, 'markers', {
+        get: () => markers.map((m, i) => ({
+            lngLat: m.marker.getLngLat(),
+            icon: m.modeEl.textContent,
+            name: `${travellers[i].icon} ${travellers[i].name}`,
+            color: travellers[i].color,
+            visible: true
+        }))
     });
+    return controller;
+}
+
+/**
+ * Animate Journey with "Cinematic Director" Logic
+ * Convenience wrapper that creates a controller and starts playing it.
+ * @returns {object} The playback controller (see createPlayback)
+ */
+export function animateJourney(
+    map,
+    markerEl,
+    marker,
+    journey,
+    onComplete,
+    onLegStart,
+    settings = {},
+    showLabel,
+    hideLabel,
+    onError,
+    closing,
+    { showCard, hideCard } = {}
+) {
+    // Validation
+    if (!journey || journey.length === 0) {
+        stopAnimation(map);
+        if (onComplete) onComplete();
+        return null;
+    }
+
+    const playback = createPlayback(map, markerEl, marker, journey, settings, { showLabel, hideLabel, closing, showCard, hideCard });
+
+    if (onComplete) playback.on('complete', onComplete);
+    if (onLegStart) playback.on('legstart', onLegStart);
+    if (onError) playback.on('error', onError);
+
+    playback.play();
+    return playback;
 }
@@ -1,129 +1,494 @@
 import mapboxgl from 'mapbox-gl';
+import { VEHICLE_MODES, getVehicleModelUrls } from './models';
 
 export const COMPLETED_SOURCE = 'completed-trail-source';
-export const COMPLETED_LAYER = 'completed-trail-layer';
 export const ACTIVE_SOURCE = 'active-trail-source';
-export const ACTIVE_LAYER = 'active-trail-layer';
+export const ALTERNATIVES_SOURCE = 'alternatives-source';
+export const ALTERNATIVES_LAYER = 'alternatives-layer';
+export const TERRAIN_SOURCE = 'terrain-dem-source';
+export const MEETINGS_SOURCE = 'meetings-source';
+export const MEETINGS_LAYER = 'meetings-layer';
+export const VEHICLE_SOURCE = 'vehicle-source';
+export const VEHICLE_LAYER = 'vehicle-layer';
 
-export function initMap(containerId, token) {
-    mapboxgl.accessToken = token;
+const VEHICLE_PX = 48; // On-screen size of a vehicle model at any zoom, like the emoji marker
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
 
-    const map = new mapboxgl.Map({
-        container: containerId,
-        style: 'mapbox://styles/mapbox/outdoors-v12', // Outdoors style
-        center: [100.5018, 13.7563], // Default Bangkok
-        zoom: 4,
-        projection: 'globe' // 3D globe effect
-    });
+/**
+ * Base map styles. 'custom' takes a style URL from settings.
+ */
+export const BASE_STYLES = [
+    { value: 'outdoors', label: 'Outdoors', url: 'mapbox://styles/mapbox/outdoors-v12' },
+    { value: 'streets', label: 'Streets', url: 'mapbox://styles/mapbox/streets-v12' },
+    { value: 'satellite', label: 'Satellite', url: 'mapbox://styles/mapbox/satellite-streets-v12' },
+    { value: 'dark', label: 'Dark', url: 'mapbox://styles/mapbox/dark-v11' },
+    { value: 'light', label: 'Light', url: 'mapbox://styles/mapbox/light-v11' },
+    { value: 'custom', label: 'Custom style URL', url: null }
+];
 
-    map.on('load', () => {
-        // Source for completed legs
-        map.addSource(COMPLETED_SOURCE, {
-            type: 'geojson',
-            data: {
-                type: 'Feature',
-                properties: {},
-                geometry: {
-                    type: 'MultiLineString',
-                    coordinates: []
+/**
+ * @param {string} baseStyle Value from BASE_STYLES
+ * @param {string} [customUrl] Used for 'custom'
+ * @returns {string} Style URL, the default style when a custom one isn't given
+ */
+export function getBaseStyleUrl(baseStyle, customUrl) {
+    if (baseStyle === 'custom' && customUrl && customUrl.trim()) return customUrl.trim();
+    return (BASE_STYLES.find(s => s.value === baseStyle && s.url) || BASE_STYLES[0]).url;
+}
+
+export const TRAIL_PATTERNS = [
+    { value: 'solid', label: 'Solid' },
+    { value: 'dashed', label: 'Dashed' },
+    { value: 'dotted', label: 'Dotted' },
+    { value: 'rail', label: 'Railway' }
+];
+
+// Per-mode trail look: { [mode]: { color, pattern } }
+export const DEFAULT_TRAIL_STYLES = {
+    walk: { color: '#8bc34a', pattern: 'dotted' },
+    bike: { color: '#00bcd4', pattern: 'solid' },
+    car: { color: '#4caf50', pattern: 'solid' },
+    bus: { color: '#ff9800', pattern: 'solid' },
+    train: { color: '#9c27b0', pattern: 'rail' },
+    plane: { color: '#2196f3', pattern: 'dashed' },
+    teleport: { color: '#e91e63', pattern: 'dashed' }
+};
+
+// Legs drawn as a stand-in line (no route found) are dashed whatever their mode
+const FALLBACK_DASH = [1.5, 2];
+const COMPLETED_OPACITY = 0.5;
+
+// Line layers of one trail source: a layer per pattern, matched on the features' pattern property
+const PATTERN_LAYERS = [
+    { pattern: 'solid', layout: { 'line-join': 'round', 'line-cap': 'round' }, paint: { 'line-width': 5 } },
+    { pattern: 'dashed', paint: { 'line-width': 4, 'line-dasharray': [2, 1.5] } },
+    { pattern: 'dotted', layout: { 'line-cap': 'round' }, paint: { 'line-width': 5, 'line-dasharray': [0, 2] } },
+    { pattern: 'rail', layout: { 'line-join': 'round' }, paint: { 'line-width': 3 } },
+    { pattern: 'rail', suffix: 'ties', paint: { 'line-width': 9, 'line-dasharray': [0.25, 1.5] } },
+    { pattern: 'fallback', paint: { 'line-width': 4, 'line-dasharray': FALLBACK_DASH } }
+];
+
+/**
+ * What the app has drawn on each map, so it can all be put back after setStyle
+ * replaces the style's sources and layers.
+ */
+const mapStates = new WeakMap();
+
+function stateOf(map) {
+    if (!mapStates.has(map)) {
+        mapStates.set(map, {
+            styleUrl: null,
+            data: {}, // sourceId → GeoJSON
+            trails: {}, // sourceId → { items: [{ coords, mode, fallback }], color }
+            trailStyles: DEFAULT_TRAIL_STYLES,
+            travellers: new Map(), // id → color
+            terrain: null
+        });
+    }
+    return mapStates.get(map);
+}
+
+const emptyCollection = () => ({ type: 'FeatureCollection', features: [] });
+
+function setSourceData(map, sourceId, data) {
+    stateOf(map).data[sourceId] = data;
+    const source = map.getSource(sourceId);
+    if (source) source.setData(data);
+}
+
+function addTrailLayers(map, prefix, completedSource, activeSource) {
+    [[completedSource, 'completed'], [activeSource, 'active']].forEach(([source, kind]) => {
+        if (!map.getSource(source)) {
+            map.addSource(source, { type: 'geojson', data: stateOf(map).data[source] || emptyCollection() });
+        }
+        PATTERN_LAYERS.forEach((def) => {
+            const id = `${prefix}-${kind}-${def.pattern}${def.suffix ? `-${def.suffix}` : ''}-layer`;
+            if (map.getLayer(id)) return;
+            map.addLayer({
+                id,
+                type: 'line',
+                source,
+                filter: ['==', ['get', 'pattern'], def.pattern],
+                layout: def.layout || {},
+                paint: {
+                    ...def.paint,
+                    'line-color': ['get', 'color'],
+                    'line-opacity': kind === 'completed' ? COMPLETED_OPACITY : 1
                 }
-            }
+            });
         });
+    });
+}
+
+const trailLayerIds = prefix => ['completed', 'active'].flatMap(kind => PATTERN_LAYERS.map(def => (
+    `${prefix}-${kind}-${def.pattern}${def.suffix ? `-${def.suffix}` : ''}-layer`
+)));
+
+// Style a trail's legs by mode (or in a traveller's color) and hand them to the map
+function renderTrail(map, sourceId) {
+    const { trails, trailStyles } = stateOf(map);
+    const trail = trails[sourceId];
+    if (!trail) return;
+
+    setSourceData(map, sourceId, {
+        type: 'FeatureCollection',
+        features: trail.items.map(({ coords, mode, fallback }) => {
+            const style = trailStyles[mode] || DEFAULT_TRAIL_STYLES[mode] || DEFAULT_TRAIL_STYLES.car;
+            return {
+                type: 'Feature',
+                properties: { mode, fallback, pattern: fallback ? 'fallback' : style.pattern, color: trail.color || style.color },
+                geometry: { type: 'LineString', coordinates: coords }
+            };
+        })
+    });
+}
+
+// Everything the app draws, added over whichever base style is loaded
+function addAppLayers(map) {
+    const state = stateOf(map);
 
-        // Layer for completed legs (dimmer)
+    // Candidate routes for a leg, drawn under the trails while choosing one
+    if (!map.getSource(ALTERNATIVES_SOURCE)) {
+        map.addSource(ALTERNATIVES_SOURCE, { type: 'geojson', data: state.data[ALTERNATIVES_SOURCE] || emptyCollection() });
+    }
+    if (!map.getLayer(ALTERNATIVES_LAYER)) {
         map.addLayer({
-            id: COMPLETED_LAYER,
+            id: ALTERNATIVES_LAYER,
             type: 'line',
-            source: COMPLETED_SOURCE,
+            source: ALTERNATIVES_SOURCE,
             layout: {
                 'line-join': 'round',
-                'line-cap': 'round'
+                'line-cap': 'round',
+                'line-sort-key': ['case', ['get', 'selected'], 1, 0]
             },
             paint: {
-                'line-color': '#555555',
-                'line-width': 4,
-                'line-opacity': 0.8
+                'line-color': ['case', ['get', 'selected'], '#2196f3', '#9e9e9e'],
+                'line-width': ['case', ['get', 'selected'], 6, 4],
+                'line-opacity': 0.85
             }
         });
+    }
 
-        // Source for active animating leg
-        map.addSource(ACTIVE_SOURCE, {
-            type: 'geojson',
-            data: {
-                type: 'Feature',
-                properties: {},
-                geometry: {
-                    type: 'LineString',
-                    coordinates: []
-                }
-            }
-        });
+    // Completed legs (dimmer) under the leg being travelled
+    addTrailLayers(map, 'trail', COMPLETED_SOURCE, ACTIVE_SOURCE);
+    state.travellers.forEach((_, id) => {
+        const ids = travellerIds(id);
+        addTrailLayers(map, ids.prefix, ids.completed, ids.active);
+    });
 
-        // Layer for active leg (bright)
+    // Where travellers meet up, highlighted above the trails
+    if (!map.getSource(MEETINGS_SOURCE)) {
+        map.addSource(MEETINGS_SOURCE, { type: 'geojson', data: state.data[MEETINGS_SOURCE] || emptyCollection() });
+    }
+    if (!map.getLayer(MEETINGS_LAYER)) {
         map.addLayer({
-            id: ACTIVE_LAYER,
-            type: 'line',
-            source: ACTIVE_SOURCE,
-            layout: {
-                'line-join': 'round',
-                'line-cap': 'round'
-            },
+            id: MEETINGS_LAYER,
+            type: 'circle',
+            source: MEETINGS_SOURCE,
             paint: {
-                'line-color': '#4caf50', // Green active trail
-                'line-width': 5,
-                'line-glow-width': 2
+                'circle-radius': ['get', 'radius'],
+                'circle-color': '#ffffff',
+                'circle-opacity': ['case', ['get', 'active'], 0.35, 0.15],
+                'circle-stroke-color': '#ffffff',
+                'circle-stroke-width': ['case', ['get', 'active'], 3, 1.5],
+                'circle-pitch-alignment': 'map'
             }
         });
+    }
+
+    try {
+        addVehicleLayer(map);
+    } catch (e) {
+        console.warn('3D vehicles are not available on this map, using the marker', e);
+    }
+    applyTerrain(map);
+
+    // Add atmosphere for globe
+    map.setFog({});
+}
 
-        // Add atmosphere for globe
-        map.setFog({});
+/**
+ * @param {HTMLElement|string} containerId
+ * @param {string} token
+ * @param {string} [styleUrl] Base style, Outdoors by default
+ */
+export function initMap(containerId, token, styleUrl = BASE_STYLES[0].url) {
+    mapboxgl.accessToken = token;
+
+    const map = new mapboxgl.Map({
+        container: containerId,
+        style: styleUrl,
+        center: [100.5018, 13.7563], // Default Bangkok
+        zoom: 4,
+        projection: 'globe', // 3D globe effect
+        preserveDrawingBuffer: true // Lets the video exporter read the canvas back
     });
+    stateOf(map).styleUrl = styleUrl;
+
+    // Fires for the first style and again after every setStyle, which drops our layers
+    map.on('style.load', () => addAppLayers(map));
 
     return map;
 }
 
-export function updateCompletedTrail(map, allCoords) {
-    const source = map.getSource(COMPLETED_SOURCE);
-    if (source) {
-        source.setData({
-            type: 'Feature',
-            properties: {},
-            geometry: {
-                type: 'MultiLineString',
-                coordinates: allCoords // Array of arrays of coords
-            }
-        });
+/**
+ * Switch the base map. The app's sources, layers and terrain are put back once it loads.
+ * @param {mapboxgl.Map} map
+ * @param {string} styleUrl
+ */
+export function setBaseStyle(map, styleUrl) {
+    if (!map) return;
+    const state = stateOf(map);
+    if (state.styleUrl === styleUrl) return;
+
+    state.styleUrl = styleUrl;
+    map.setStyle(styleUrl);
+}
+
+/**
+ * @param {mapboxgl.Map} map
+ * @param {Array<Array<[number, number]>>} allCoords One coordinate array per completed leg
+ * @param {Array<{mode?: string, fallback?: boolean}>} [legs] Per leg: its mode, and whether to draw it dashed as a stand-in line
+ * @param {string} [sourceId] A traveller's completed trail (see addTravellerTrails)
+ */
+export function updateCompletedTrail(map, allCoords, legs = [], sourceId = COMPLETED_SOURCE) {
+    const state = stateOf(map);
+    state.trails[sourceId] = {
+        ...state.trails[sourceId],
+        items: allCoords.map((coords, i) => ({ coords, mode: (legs[i] && legs[i].mode) || null, fallback: !!(legs[i] && legs[i].fallback) }))
+    };
+    renderTrail(map, sourceId);
+}
+
+/**
+ * @param {mapboxgl.Map} map
+ * @param {Array<[number, number]>} coords The leg travelled so far
+ * @param {{mode?: string, fallback?: boolean}} [leg]
+ * @param {string} [sourceId] A traveller's active trail (see addTravellerTrails)
+ */
+export function updateActiveTrail(map, coords, leg = {}, sourceId = ACTIVE_SOURCE) {
+    const state = stateOf(map);
+    state.trails[sourceId] = {
+        ...state.trails[sourceId],
+        items: coords.length > 0 ? [{ coords, mode: leg.mode || null, fallback: !!leg.fallback }] : []
+    };
+    renderTrail(map, sourceId);
+}
+
+/**
+ * Style trails by travel mode: a color and a line pattern each
+ * @param {mapboxgl.Map} map
+ * @param {Object<string, {color: string, pattern: string}>} trailStyles See DEFAULT_TRAIL_STYLES
+ */
+export function setTrailStyles(map, trailStyles) {
+    if (!map) return;
+    const state = stateOf(map);
+    state.trailStyles = { ...DEFAULT_TRAIL_STYLES, ...trailStyles };
+    Object.keys(state.trails).forEach(sourceId => renderTrail(map, sourceId));
+}
+
+const travellerIds = id => ({
+    prefix: `traveller-${id}`,
+    active: `traveller-${id}-active-source`,
+    completed: `traveller-${id}-completed-source`
+});
+
+/**
+ * Add a traveller's own trail layers, in their color with each mode's pattern.
+ * The completed trail stays in the traveller's color, dimmed, so travellers can
+ * still be told apart behind them.
+ * @param {mapboxgl.Map} map
+ * @param {string|number} id
+ * @param {string} color
+ * @returns {{active: string, completed: string}} Source ids for updateActiveTrail/updateCompletedTrail
+ */
+export function addTravellerTrails(map, id, color) {
+    removeTravellerTrails(map, id);
+    const state = stateOf(map);
+    const ids = travellerIds(id);
+
+    state.travellers.set(id, color);
+    state.trails[ids.completed] = { items: [], color };
+    state.trails[ids.active] = { items: [], color };
+    try {
+        addTrailLayers(map, ids.prefix, ids.completed, ids.active);
+    } catch (e) {
+        // The style is still loading; style.load adds the layers
     }
+
+    return { active: ids.active, completed: ids.completed };
+}
+
+export function removeTravellerTrails(map, id) {
+    const state = stateOf(map);
+    const ids = travellerIds(id);
+
+    state.travellers.delete(id);
+    [ids.active, ids.completed].forEach((source) => {
+        delete state.trails[source];
+        delete state.data[source];
+    });
+
+    trailLayerIds(ids.prefix).forEach((layer) => {
+        if (map.getLayer(layer)) map.removeLayer(layer);
+    });
+    [ids.active, ids.completed].forEach((source) => {
+        if (map.getSource(source)) map.removeSource(source);
+    });
+}
+
+/**
+ * Marker for a traveller: the icon of how they travel in a ring of their color, with a name tag
+ * @param {mapboxgl.Map} map
+ * @param {{name: string, color: string, icon: string}} traveller
+ * @returns {{marker: mapboxgl.Marker, modeEl: HTMLElement}} modeEl holds the travel mode icon
+ */
+export function createTravellerMarker(map, { name, color, icon }) {
+    const el = document.createElement('div');
+    el.className = 'traveller-marker';
+    el.style.setProperty('--traveller-color', color);
+
+    const modeEl = document.createElement('div');
+    modeEl.className = 'traveller-mode';
+    const tag = document.createElement('div');
+    tag.className = 'traveller-tag';
+    tag.textContent = `${icon} ${name}`;
+    el.append(modeEl, tag);
+
+    const marker = new mapboxgl.Marker({ element: el, anchor: 'center' })
+        .setLngLat(map.getCenter())
+        .addTo(map);
+    return { marker, modeEl };
 }
 
-export function updateActiveTrail(map, coords) {
-    const source = map.getSource(ACTIVE_SOURCE);
-    if (source) {
-        source.setData({
+/**
+ * Highlight the places travellers have met so far
+ * @param {mapboxgl.Map} map
+ * @param {Array<{center: [number, number], active: boolean, radius: number}>} meetings active: the meet-up is happening now
+ */
+export function updateMeetings(map, meetings) {
+    setSourceData(map, MEETINGS_SOURCE, {
+        type: 'FeatureCollection',
+        features: meetings.map(m => ({
             type: 'Feature',
-            properties: {},
+            properties: { active: m.active, radius: m.active ? m.radius : 8 },
+            geometry: { type: 'Point', coordinates: m.center }
+        }))
+    });
+}
+
+/**
+ * Draw the candidate routes of a leg, or clear them with an empty list
+ * @param {mapboxgl.Map} map
+ * @param {Array<Array<[number, number]>>} routes
+ * @param {number} [selected] Index of the highlighted route
+ */
+export function updateAlternatives(map, routes, selected = -1) {
+    setSourceData(map, ALTERNATIVES_SOURCE, {
+        type: 'FeatureCollection',
+        features: routes.map((coords, i) => ({
+            type: 'Feature',
+            properties: { selected: i === selected },
             geometry: {
                 type: 'LineString',
                 coordinates: coords
             }
-        });
+        }))
+    });
+}
+
+// 3D vehicle on top of everything, where the map supports model layers (Mapbox GL v3)
+function addVehicleLayer(map) {
+    if (typeof map.addModel !== 'function') return;
+
+    const urls = getVehicleModelUrls();
+    VEHICLE_MODES.forEach((mode) => {
+        if (!map.hasModel(`vehicle-${mode}`)) map.addModel(`vehicle-${mode}`, urls[mode]);
+    });
+    if (!map.getSource(VEHICLE_SOURCE)) {
+        map.addSource(VEHICLE_SOURCE, { type: 'geojson', data: stateOf(map).data[VEHICLE_SOURCE] || emptyCollection() });
     }
+    if (map.getLayer(VEHICLE_LAYER)) return;
+
+    // Models are one unit long: scale them to VEHICLE_PX of the ground's width per pixel (512px tiles)
+    const scaleAt = zoom => ['literal', new Array(3).fill(VEHICLE_PX * EARTH_CIRCUMFERENCE_M / (512 * 2 ** zoom))];
+    map.addLayer({
+        id: VEHICLE_LAYER,
+        type: 'model',
+        source: VEHICLE_SOURCE,
+        layout: {
+            'model-id': ['concat', 'vehicle-', ['get', 'mode']]
+        },
+        paint: {
+            'model-rotation': ['array', 'number', 3, ['get', 'rotation']],
+            'model-translation': ['array', 'number', 3, ['get', 'translation']],
+            'model-scale': ['interpolate', ['exponential', 2], ['zoom'], 0, scaleAt(0), 22, scaleAt(22)],
+            'model-emissive-strength': 0.4, // Stays readable over dark base styles
+            'model-cast-shadows': false
+        }
+    });
 }
 
 /**
- * Dynamically update layer colors
- * @param {mapboxgl.Map} map 
- * @param {string} activeColor 
- * @param {string} completedColor 
+ * Whether vehicles can be drawn as 3D models on this map; the emoji marker stands in otherwise
+ * @param {mapboxgl.Map} map
  */
-export function setLayerColors(map, activeColor, completedColor) {
-    if (!map) return;
+export const hasVehicleModels = map => !!map && typeof map.getLayer === 'function' && !!map.getLayer(VEHICLE_LAYER);
 
-    if (map.getLayer(ACTIVE_LAYER)) {
-        map.setPaintProperty(ACTIVE_LAYER, 'line-color', activeColor);
-    }
+/**
+ * Place the 3D vehicle, or clear it with null
+ * @param {mapboxgl.Map} map
+ * @param {object|null} vehicle
+ * @param {[number, number]} vehicle.position
+ * @param {string} vehicle.mode Picks the model (see VEHICLE_MODES)
+ * @param {number} vehicle.heading Degrees clockwise from north
+ * @param {number} [vehicle.altitude] Meters above the ground
+ * @param {number} [vehicle.pitch] Degrees, nose up
+ */
+export function updateVehicle(map, vehicle) {
+    setSourceData(map, VEHICLE_SOURCE, {
+        type: 'FeatureCollection',
+        features: vehicle && VEHICLE_MODES.includes(vehicle.mode) ? [{
+            type: 'Feature',
+            properties: {
+                mode: vehicle.mode,
+                // Models face south (glTF +Z) until turned
+                rotation: [vehicle.pitch || 0, 0, vehicle.heading - 180],
+                translation: [0, 0, vehicle.altitude || 0]
+            },
+            geometry: { type: 'Point', coordinates: vehicle.position }
+        }] : []
+    });
+}
+
+function applyTerrain(map) {
+    const { terrain } = stateOf(map);
+
+    map.setTerrain(null);
+    if (map.getSource(TERRAIN_SOURCE)) map.removeSource(TERRAIN_SOURCE);
+    if (!terrain) return;
+
+    map.addSource(TERRAIN_SOURCE, terrain.url
+        ? { type: 'raster-dem', tiles: [terrain.url], tileSize: 256, encoding: terrain.encoding || 'terrarium' }
+        : { type: 'raster-dem', url: 'mapbox://mapbox.mapbox-terrain-dem-v1', tileSize: 512, maxzoom: 14 });
+    map.setTerrain({ source: TERRAIN_SOURCE, exaggeration: terrain.exaggeration || 1 });
+}
+
+/**
+ * Drape the map over 3D terrain, or flatten it again with null
+ * @param {mapboxgl.Map} map
+ * @param {object|null} terrain
+ * @param {string} [terrain.url] raster-dem tile template; Mapbox Terrain DEM when omitted
+ * @param {string} [terrain.encoding] 'mapbox' or 'terrarium', for terrain.url
+ * @param {number} [terrain.exaggeration]
+ */
+export function setTerrain(map, terrain) {
+    if (!map) return;
 
-    if (map.getLayer(COMPLETED_LAYER)) {
-        map.setPaintProperty(COMPLETED_LAYER, 'line-color', completedColor);
+    stateOf(map).terrain = terrain;
+    try {
+        applyTerrain(map);
+    } catch (e) {
+        // A new base style is still loading; style.load applies the terrain
     }
 }
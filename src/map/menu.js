@@ -0,0 +1,86 @@
+import mapboxgl from 'mapbox-gl';
+
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_TOLERANCE_PX = 10; // Finger jitter that still counts as resting
+
+/**
+ * Open a small action menu in a popup on the map
+ * @param {mapboxgl.Map} map
+ * @param {[number, number]|mapboxgl.LngLat} lngLat
+ * @param {string} title
+ * @param {Array<{label: string, onSelect?: Function, active?: boolean, heading?: boolean}>} items
+ *        Headings are plain labels; other items close the menu and call onSelect
+ * @returns {mapboxgl.Popup}
+ */
+export function openMapMenu(map, lngLat, title, items) {
+    const el = document.createElement('div');
+    el.className = 'map-menu';
+
+    const heading = document.createElement('div');
+    heading.className = 'map-menu-title';
+    heading.textContent = title;
+    el.appendChild(heading);
+
+    // The menu closes itself rather than on map clicks, so a click away only dismisses it
+    const popup = new mapboxgl.Popup({ closeButton: false, closeOnClick: false, offset: 12, className: 'map-menu-popup' });
+
+    items.forEach((item) => {
+        if (item.heading) {
+            const label = document.createElement('div');
+            label.className = 'map-menu-heading';
+            label.textContent = item.label;
+            el.appendChild(label);
+            return;
+        }
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = item.label;
+        if (item.active) button.className = 'active';
+        button.addEventListener('click', () => {
+            popup.remove();
+            item.onSelect();
+        });
+        el.appendChild(button);
+    });
+
+    return popup.setLngLat(lngLat).setDOMContent(el).addTo(map);
+}
+
+/**
+ * Call back when a single finger rests on the map, for touch screens without a right click
+ * @param {mapboxgl.Map} map
+ * @param {(e: mapboxgl.MapTouchEvent) => void} callback
+ * @returns {Function} Removes the listeners
+ */
+export function onLongPress(map, callback) {
+    let timer = null;
+    let origin = null;
+    const cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+    const start = (e) => {
+        cancel();
+        if (e.originalEvent.touches.length !== 1) return;
+        origin = e.point;
+        timer = setTimeout(() => {
+            timer = null;
+            callback(e);
+        }, LONG_PRESS_MS);
+    };
+    const move = (e) => {
+        if (timer && origin.dist(e.point) > LONG_PRESS_TOLERANCE_PX) cancel();
+    };
+
+    const cancelEvents = ['touchend', 'touchcancel', 'dragstart', 'zoomstart'];
+    map.on('touchstart', start);
+    map.on('touchmove', move);
+    cancelEvents.forEach(type => map.on(type, cancel));
+
+    return () => {
+        cancel();
+        map.off('touchstart', start);
+        map.off('touchmove', move);
+        cancelEvents.forEach(type => map.off(type, cancel));
+    };
+}
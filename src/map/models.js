@@ -0,0 +1,176 @@
+/**
+ * Low-poly vehicle models for the map's model layer, built from boxes into binary
+ * glTF so there are no model files to ship. Like any glTF asset they face +Z with
+ * Y up, and each is scaled so its largest side is one unit long, which lets the
+ * layer show them all at the same size on screen, as the emoji marker did.
+ */
+
+// Parts per mode: [size [x, y, z], center [x, y, z], color], in meters
+const BODIES = {
+    walk: [
+        [[0.35, 0.85, 0.25], [0, 0.43, 0], '#37474f'],
+        [[0.5, 0.65, 0.3], [0, 1.2, 0], '#e53935'],
+        [[0.25, 0.25, 0.25], [0, 1.68, 0.02], '#ffcc80']
+    ],
+    bike: [
+        [[0.08, 0.7, 0.7], [0, 0.35, 0.55], '#212121'],
+        [[0.08, 0.7, 0.7], [0, 0.35, -0.55], '#212121'],
+        [[0.1, 0.5, 1.0], [0, 0.8, 0], '#43a047'],
+        [[0.4, 0.6, 0.3], [0, 1.4, -0.05], '#1565c0'],
+        [[0.25, 0.25, 0.25], [0, 1.85, 0.05], '#ffcc80']
+    ],
+    car: [
+        [[1.8, 0.7, 4.4], [0, 0.55, 0], '#e53935'],
+        [[1.6, 0.6, 2.2], [0, 1.2, -0.2], '#37474f'],
+        ...[[1, 1], [-1, 1], [1, -1], [-1, -1]].map(([x, z]) => [[0.3, 0.6, 0.6], [x * 0.85, 0.3, z * 1.4], '#212121'])
+    ],
+    bus: [
+        [[2.5, 2.6, 12], [0, 1.6, 0], '#fbc02d'],
+        [[2.55, 0.8, 10], [0, 2.2, 0.3], '#37474f'],
+        ...[[1, 1], [-1, 1], [1, -1], [-1, -1]].map(([x, z]) => [[0.4, 1, 1], [x * 1.1, 0.5, z * 4], '#212121'])
+    ],
+    train: [
+        [[3, 3.6, 40], [0, 2.2, 0], '#1e88e5'],
+        [[3.05, 0.8, 38], [0, 2.9, 0], '#263238'],
+        [[2.6, 0.8, 3], [0, 0.4, 15], '#212121'],
+        [[2.6, 0.8, 3], [0, 0.4, -15], '#212121']
+    ],
+    plane: [
+        [[3.8, 3.8, 36], [0, 4, 0], '#eceff1'],
+        [[34, 0.5, 6], [0, 3.5, 1], '#cfd8dc'],
+        [[12, 0.4, 3], [0, 5, -16], '#cfd8dc'],
+        [[0.4, 6, 4], [0, 8, -16], '#e53935'],
+        [[2, 2, 4], [6, 2.5, 3], '#90a4ae'],
+        [[2, 2, 4], [-6, 2.5, 3], '#90a4ae']
+    ],
+    teleport: [
+        [[1, 1, 1], [0, 0.5, 0], '#ab47bc']
+    ]
+};
+
+export const VEHICLE_MODES = Object.keys(BODIES);
+
+// Four corners per face, so each face gets its own flat normal
+const FACES = [
+    [[1, 0, 0], [[1, -1, -1], [1, 1, -1], [1, 1, 1], [1, -1, 1]]],
+    [[-1, 0, 0], [[-1, -1, 1], [-1, 1, 1], [-1, 1, -1], [-1, -1, -1]]],
+    [[0, 1, 0], [[-1, 1, 1], [1, 1, 1], [1, 1, -1], [-1, 1, -1]]],
+    [[0, -1, 0], [[-1, -1, -1], [1, -1, -1], [1, -1, 1], [-1, -1, 1]]],
+    [[0, 0, 1], [[-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]]],
+    [[0, 0, -1], [[1, -1, -1], [-1, -1, -1], [-1, 1, -1], [1, 1, -1]]]
+];
+
+// glTF colors are linear
+const toLinear = hex => [1, 3, 5].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255) ** 2.2);
+
+function boxGeometry(parts, unit) {
+    const positions = [];
+    const normals = [];
+    const indices = [];
+    parts.forEach(([size, center]) => {
+        FACES.forEach(([normal, corners]) => {
+            const base = positions.length / 3;
+            corners.forEach((corner) => {
+                corner.forEach((c, axis) => positions.push((center[axis] + c * size[axis] / 2) / unit));
+                normals.push(...normal);
+            });
+            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        });
+    });
+    return { positions: new Float32Array(positions), normals: new Float32Array(normals), indices: new Uint16Array(indices) };
+}
+
+// Largest extent of the model on any axis
+function modelSize(parts) {
+    return Math.max(...[0, 1, 2].map((axis) => {
+        const lo = Math.min(...parts.map(([size, center]) => center[axis] - size[axis] / 2));
+        const hi = Math.max(...parts.map(([size, center]) => center[axis] + size[axis] / 2));
+        return hi - lo;
+    }));
+}
+
+/**
+ * Pack parts into a binary glTF: one primitive (and material) per color
+ * @returns {ArrayBuffer}
+ */
+function buildGlb(parts) {
+    const unit = modelSize(parts);
+    const colors = [...new Set(parts.map(p => p[2]))];
+    const json = {
+        asset: { version: '2.0', generator: 'nomadroute' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0 }],
+        meshes: [{ primitives: [] }],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+    const chunks = [];
+    let byteLength = 0;
+
+    const addView = (array, target) => {
+        json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+        chunks.push({ array, offset: byteLength });
+        byteLength += Math.ceil(array.byteLength / 4) * 4;
+        return json.bufferViews.length - 1;
+    };
+    const addAccessor = accessor => json.accessors.push(accessor) - 1;
+
+    colors.forEach((color, material) => {
+        const { positions, normals, indices } = boxGeometry(parts.filter(p => p[2] === color), unit);
+        const min = [0, 1, 2].map(axis => Math.min(...positions.filter((_, i) => i % 3 === axis)));
+        const max = [0, 1, 2].map(axis => Math.max(...positions.filter((_, i) => i % 3 === axis)));
+
+        json.materials.push({
+            pbrMetallicRoughness: { baseColorFactor: [...toLinear(color), 1], metallicFactor: 0, roughnessFactor: 0.8 }
+        });
+        json.meshes[0].primitives.push({
+            attributes: {
+                POSITION: addAccessor({ bufferView: addView(positions, 34962), componentType: 5126, count: positions.length / 3, type: 'VEC3', min, max }),
+                NORMAL: addAccessor({ bufferView: addView(normals, 34962), componentType: 5126, count: normals.length / 3, type: 'VEC3' })
+            },
+            indices: addAccessor({ bufferView: addView(indices, 34963), componentType: 5123, count: indices.length, type: 'SCALAR' }),
+            material
+        });
+    });
+    json.buffers.push({ byteLength });
+
+    const bin = new Uint8Array(byteLength);
+    chunks.forEach(({ array, offset }) => bin.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset));
+
+    // The JSON chunk is padded with spaces to a 4-byte boundary
+    const text = new TextEncoder().encode(JSON.stringify(json));
+    const jsonChunk = new Uint8Array(Math.ceil(text.length / 4) * 4).fill(0x20);
+    jsonChunk.set(text);
+
+    const glb = new ArrayBuffer(12 + 8 + jsonChunk.length + 8 + bin.length);
+    const view = new DataView(glb);
+    view.setUint32(0, 0x46546c67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, glb.byteLength, true);
+    view.setUint32(12, jsonChunk.length, true);
+    view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+    new Uint8Array(glb, 20, jsonChunk.length).set(jsonChunk);
+    view.setUint32(20 + jsonChunk.length, bin.length, true);
+    view.setUint32(24 + jsonChunk.length, 0x004e4942, true); // 'BIN'
+    new Uint8Array(glb, 28 + jsonChunk.length).set(bin);
+    return glb;
+}
+
+let modelUrls = null;
+
+/**
+ * Object URLs of the vehicle models, built once per page
+ * @returns {Object<string, string>} mode → URL
+ */
+export function getVehicleModelUrls() {
+    if (!modelUrls) {
+        modelUrls = Object.fromEntries(VEHICLE_MODES.map(mode => [
+            mode,
+            URL.createObjectURL(new Blob([buildGlb(BODIES[mode])], { type: 'model/gltf-binary' }))
+        ]));
+    }
+    return modelUrls;
+}
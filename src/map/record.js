@@ -0,0 +1,436 @@
+/**
+ * Video capture of the map canvas (plus the marker and cinematic labels) via MediaRecorder.
+ * Requires the map to be created with preserveDrawingBuffer so the WebGL canvas
+ * can be read back between renders.
+ */
+
+export const EXPORT_RESOLUTIONS = [
+    { value: 720, label: '720p' },
+    { value: 1080, label: '1080p' },
+    { value: 1440, label: '1440p' }
+];
+
+export const EXPORT_ASPECTS = {
+    '16:9': 16 / 9,
+    '9:16': 9 / 16,
+    '1:1': 1
+};
+
+export const EXPORT_FPS = [24, 30, 60];
+
+const FORMATS = [
+    {
+        value: 'webm',
+        label: 'WebM',
+        mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+        audioMimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus']
+    },
+    {
+        value: 'mp4',
+        label: 'MP4',
+        mimeTypes: ['video/mp4;codecs=avc1', 'video/mp4'],
+        audioMimeTypes: ['video/mp4;codecs=avc1,mp4a.40.2']
+    }
+];
+
+const LABEL_FADE_MS = 1500; // Matches the .cinematic-overlay CSS transition
+
+/**
+ * List the container formats this browser can record
+ * @returns {Array<{value: string, label: string, mimeType: string, audioMimeType?: string}>}
+ *          audioMimeType is missing where the browser can't record sound in that format
+ */
+export function getSupportedFormats() {
+    if (typeof MediaRecorder === 'undefined') return [];
+
+    const supported = types => types.find(t => MediaRecorder.isTypeSupported(t));
+    return FORMATS
+        .map(f => ({ value: f.value, label: f.label, mimeType: supported(f.mimeTypes), audioMimeType: supported(f.audioMimeTypes) }))
+        .filter(f => f.mimeType);
+}
+
+/**
+ * Output size in pixels, where resolution is the length of the short side
+ * @param {number} resolution
+ * @param {string} aspect Key of EXPORT_ASPECTS
+ * @returns {{width: number, height: number}}
+ */
+export function getExportSize(resolution, aspect) {
+    const ratio = EXPORT_ASPECTS[aspect] || EXPORT_ASPECTS['16:9'];
+    const even = n => Math.round(n / 2) * 2; // Encoders want even dimensions
+
+    return ratio >= 1
+        ? { width: even(resolution * ratio), height: resolution }
+        : { width: resolution, height: even(resolution / ratio) };
+}
+
+/**
+ * Resize the map container to the export aspect ratio, as large as the viewport allows.
+ * @param {mapboxgl.Map} map
+ * @param {string} aspect Key of EXPORT_ASPECTS
+ * @returns {() => void} Restores the original layout
+ */
+export function fitMapToAspect(map, aspect) {
+    const ratio = EXPORT_ASPECTS[aspect] || EXPORT_ASPECTS['16:9'];
+    const container = map.getContainer();
+    const previous = container.getAttribute('style');
+
+    let width = window.innerWidth;
+    let height = width / ratio;
+    if (height > window.innerHeight) {
+        height = window.innerHeight;
+        width = height * ratio;
+    }
+
+    Object.assign(container.style, {
+        flex: '0 0 auto',
+        width: `${Math.floor(width)}px`,
+        height: `${Math.floor(height)}px`,
+        margin: 'auto'
+    });
+    map.resize();
+
+    return () => {
+        if (previous === null) container.removeAttribute('style');
+        else container.setAttribute('style', previous);
+        map.resize();
+    };
+}
+
+function drawMarker(ctx, map, offsetX, offsetY, scale, marker) {
+    if (!marker || !marker.visible || !marker.lngLat) return;
+
+    const point = map.project(marker.lngLat);
+    const x = offsetX + point.x * scale;
+    const y = offsetY + point.y * scale;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    if (marker.color) {
+        // .traveller-marker: a 36px ring of the traveller's color with a name tag below
+        ctx.beginPath();
+        ctx.arc(x, y, 18 * scale, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(20, 20, 20, 0.8)';
+        ctx.fill();
+        ctx.lineWidth = 3 * scale;
+        ctx.strokeStyle = marker.color;
+        ctx.stroke();
+
+        ctx.font = `${Math.round(20 * scale)}px sans-serif`;
+        ctx.fillText(marker.icon, x, y);
+
+        if (marker.name) {
+            ctx.font = `600 ${Math.round(12 * scale)}px sans-serif`;
+            const tagWidth = ctx.measureText(marker.name).width + 12 * scale;
+            const tagY = y + 30 * scale;
+            ctx.fillStyle = marker.color;
+            ctx.fillRect(x - tagWidth / 2, tagY - 9 * scale, tagWidth, 18 * scale);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(marker.name, x, tagY);
+        }
+    } else {
+        ctx.font = `${Math.round(32 * scale)}px sans-serif`; // .marker-icon is 2rem
+        ctx.fillText(marker.icon, x, y);
+    }
+    ctx.restore();
+}
+
+function drawLabel(ctx, width, height, label, subtitle, opacity) {
+    if (!label || opacity <= 0) return;
+
+    const scale = Math.min(width, height) / 1080;
+    const x = width / 2;
+    const bottom = height * 0.9;
+
+    ctx.save();
+    ctx.globalAlpha = opacity;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+
+    // Subtitle first so we know where the title sits above it
+    const subSize = Math.round(19.2 * scale);
+    ctx.font = `400 ${subSize}px Outfit, sans-serif`;
+    if ('letterSpacing' in ctx) ctx.letterSpacing = `${0.3 * subSize}px`;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillText((subtitle || 'Arriving').toUpperCase(), x, bottom);
+
+    const titleSize = Math.round(64 * scale);
+    ctx.font = `700 ${titleSize}px Outfit, sans-serif`;
+    if ('letterSpacing' in ctx) ctx.letterSpacing = `${-0.02 * titleSize}px`;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = 12 * scale;
+    ctx.shadowOffsetY = 4 * scale;
+    ctx.fillStyle = '#fff';
+    ctx.fillText(label, x, bottom - subSize - 8 * scale);
+
+    ctx.restore();
+}
+
+// Running trip date, top centre like the on-screen badge
+function drawCalendar(ctx, width, height, text) {
+    if (!text) return;
+
+    const scale = Math.min(width, height) / 1080;
+    const size = Math.round(26 * scale);
+    const padX = 18 * scale;
+    const padY = 10 * scale;
+
+    ctx.save();
+    ctx.font = `600 ${size}px Outfit, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    const boxWidth = ctx.measureText(text).width + padX * 2;
+    const boxHeight = size + padY * 2;
+    const top = height * 0.04;
+    ctx.fillStyle = 'rgba(26, 26, 26, 0.75)';
+    ctx.beginPath();
+    if (ctx.roundRect) ctx.roundRect(width / 2 - boxWidth / 2, top, boxWidth, boxHeight, boxHeight / 2);
+    else ctx.rect(width / 2 - boxWidth / 2, top, boxWidth, boxHeight);
+    ctx.fill();
+
+    ctx.fillStyle = '#fff';
+    ctx.fillText(text, width / 2, top + boxHeight / 2);
+    ctx.restore();
+}
+
+const CARD_IN_MS = 500;
+
+// Wrap text to a width; returns at most maxLines lines, the last one ellipsed if cut
+function wrapText(ctx, text, width, maxLines) {
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).filter(Boolean).forEach((word) => {
+        const next = line ? `${line} ${word}` : word;
+        if (ctx.measureText(next).width > width && line) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = next;
+        }
+    });
+    if (line) lines.push(line);
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] += '…';
+    }
+    return lines;
+}
+
+// A stop's photo as a tilted polaroid, or its note on a plain card
+function drawCard(ctx, width, height, card, progress) {
+    if (!card || progress <= 0) return;
+
+    const scale = Math.min(width, height) / 1080;
+    const pad = 24 * scale;
+    const textSize = Math.round(24 * scale);
+    const image = card.image;
+
+    const maxSide = Math.min(width, height) * 0.45;
+    const photoW = image ? (image.width >= image.height ? maxSide : maxSide * image.width / image.height) : maxSide;
+    const photoH = image ? photoW * image.height / image.width : 0;
+
+    ctx.save();
+    ctx.font = `400 ${textSize}px Outfit, sans-serif`;
+    const caption = image && card.photo.caption ? [card.photo.caption] : [];
+    const note = card.note ? wrapText(ctx, card.note, photoW, image ? 2 : 6) : [];
+    const lines = [...caption, ...note];
+    const textH = lines.length * textSize * 1.3;
+
+    const cardW = photoW + pad * 2;
+    const cardH = (image ? photoH + pad : 0) + textH + pad * 2;
+
+    const eased = 1 - (1 - progress) ** 3;
+    const tilt = (card.index % 2 === 0 ? -1 : 1) * 0.04;
+    ctx.globalAlpha = eased;
+    ctx.translate(width / 2, height * 0.42 + (1 - eased) * 40 * scale);
+    ctx.rotate(tilt * eased);
+
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = 24 * scale;
+    ctx.shadowOffsetY = 8 * scale;
+    ctx.fillStyle = image ? '#fafafa' : 'rgba(26, 26, 26, 0.85)';
+    ctx.fillRect(-cardW / 2, -cardH / 2, cardW, cardH);
+    ctx.shadowColor = 'transparent';
+
+    let y = -cardH / 2 + pad;
+    if (image) {
+        ctx.drawImage(image, -photoW / 2, y, photoW, photoH);
+        y += photoH + pad;
+    }
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = image ? '#333' : '#fff';
+    lines.forEach((text, i) => ctx.fillText(text, 0, y + i * textSize * 1.3));
+
+    ctx.restore();
+}
+
+/**
+ * Create a recorder that composites the map canvas and the cinematic label into a video.
+ * Call captureFrame() once per animation tick.
+ * @param {mapboxgl.Map} map
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.fps
+ * @param {string} options.mimeType
+ * @param {() => {label: string, subtitle: string, visible: boolean, calendar?: string, card?: object}} options.getOverlay
+ *        card is the media card from the playback, with its photo decoded as card.image
+ * @param {() => Array<{lngLat: [number, number], icon: string, visible: boolean, name?: string, color?: string}>} [options.getMarkers]
+ *        Travellers' markers carry a name and color, drawn as their ring and name tag
+ * @param {MediaStreamTrack} [options.audioTrack] Soundtrack to record along (see createSoundtrackStream);
+ *        mimeType must then name an audio codec too
+ */
+export function createRecorder(map, { width, height, fps, mimeType, getOverlay, getMarkers, audioTrack }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const manualFrames = track && typeof track.requestFrame === 'function';
+    const output = manualFrames ? stream : canvas.captureStream(fps);
+    if (!manualFrames) stream.getTracks().forEach(t => t.stop());
+    if (audioTrack) output.addTrack(audioTrack);
+
+    const recorder = new MediaRecorder(output, {
+        mimeType,
+        videoBitsPerSecond: Math.round(width * height * fps * 0.15),
+        ...(audioTrack ? { audioBitsPerSecond: 128000 } : {})
+    });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+
+    let labelOpacity = 0;
+    let cardKey = null;
+    let cardProgress = 0;
+    const fadeStep = (1000 / fps) / LABEL_FADE_MS;
+
+    return {
+        canvas,
+        start() {
+            recorder.start(1000);
+        },
+        // Paused time is left out of the recording
+        pause() {
+            if (recorder.state === 'recording') recorder.pause();
+        },
+        resume() {
+            if (recorder.state === 'paused') recorder.resume();
+        },
+        captureFrame() {
+            const source = map.getCanvas();
+            ctx.fillStyle = '#111';
+            ctx.fillRect(0, 0, width, height);
+
+            // Cover-fit the map canvas in case its aspect differs slightly
+            const scale = Math.max(width / source.width, height / source.height);
+            const w = source.width * scale;
+            const h = source.height * scale;
+            const offsetX = (width - w) / 2;
+            const offsetY = (height - h) / 2;
+            ctx.drawImage(source, offsetX, offsetY, w, h);
+
+            // The marker is a DOM element, so it has to be painted in by hand
+            const cssScale = w / (map.getContainer().clientWidth || source.width);
+            (getMarkers ? getMarkers() : []).forEach(marker => drawMarker(ctx, map, offsetX, offsetY, cssScale, marker));
+
+            const overlay = getOverlay ? getOverlay() : null;
+            const target = overlay && overlay.visible ? 1 : 0;
+            labelOpacity = target > labelOpacity
+                ? Math.min(target, labelOpacity + fadeStep)
+                : Math.max(target, labelOpacity - fadeStep);
+            drawLabel(ctx, width, height, overlay && overlay.label, overlay && overlay.subtitle, labelOpacity);
+            drawCalendar(ctx, width, height, overlay && overlay.calendar);
+
+            // Each new card animates in over CARD_IN_MS of recording time
+            const card = overlay && overlay.card;
+            if (!card || card.key !== cardKey) {
+                cardKey = card ? card.key : null;
+                cardProgress = 0;
+            }
+            cardProgress = Math.min(1, cardProgress + (1000 / fps) / CARD_IN_MS);
+            drawCard(ctx, width, height, card, cardProgress);
+
+            if (manualFrames) track.requestFrame();
+        },
+        stop() {
+            return new Promise((resolve) => {
+                if (recorder.state === 'inactive') {
+                    output.getTracks().forEach(t => t.stop());
+                    resolve(new Blob(chunks, { type: mimeType }));
+                    return;
+                }
+                recorder.onstop = () => {
+                    output.getTracks().forEach(t => t.stop());
+                    resolve(new Blob(chunks, { type: mimeType }));
+                };
+                recorder.stop();
+            });
+        }
+    };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function waitForMapFrame(map) {
+    return new Promise((resolve) => {
+        map.once('render', resolve);
+        map.triggerRepaint();
+    });
+}
+
+/**
+ * Render a playback controller into the recorder one frame at a time.
+ * Frame i is sampled at exactly i / fps on the journey timeline. While the map
+ * is still loading tiles the recorder is paused, so a slow frame never stretches
+ * or drops anything in the output.
+ * @param {mapboxgl.Map} map
+ * @param {object} playback Controller from createPlayback
+ * @param {object} recorder From createRecorder
+ * @param {object} options
+ * @param {number} options.fps
+ * @param {(progress: number) => void} [options.onProgress] 0..1
+ * @param {() => boolean} [options.isCancelled]
+ * @param {object} [options.soundtrack] From createSoundtrackStream, whose track the recorder records;
+ *        each frame plays its own slice of it, rendered on demand
+ */
+export async function recordPlayback(map, playback, recorder, { fps, onProgress, isCancelled, soundtrack }) {
+    const frameMs = 1000 / fps;
+    const frameCount = Math.max(1, Math.ceil(playback.duration / frameMs) + 1);
+
+    for (let i = 0; i < frameCount; i++) {
+        if (isCancelled && isCancelled()) throw new Error('Export cancelled');
+
+        // Each frame stays current for exactly one frame interval of recording time
+        let frameStart = performance.now();
+
+        playback.seek(Math.min(i * frameMs, playback.duration));
+        await waitForMapFrame(map);
+        if (!map.areTilesLoaded()) {
+            recorder.pause();
+            await new Promise(resolve => map.once('idle', resolve));
+            recorder.resume();
+            frameStart = performance.now();
+        }
+        // Likewise while the frame's stretch of soundtrack is still rendering
+        if (soundtrack && !soundtrack.isReady(i * frameMs, frameMs)) {
+            recorder.pause();
+            await soundtrack.prepare(i * frameMs, frameMs);
+            recorder.resume();
+            frameStart = performance.now();
+        }
+
+        recorder.captureFrame();
+        if (soundtrack) soundtrack.playFrame(i * frameMs, frameMs);
+        if (onProgress) onProgress(frameCount > 1 ? i / (frameCount - 1) : 1);
+        await sleep(Math.max(0, frameMs - (performance.now() - frameStart)));
+    }
+}
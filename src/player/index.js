@@ -0,0 +1,368 @@
+/**
+ * <nomad-route-player>: a read-only player for finished journeys, to embed in pages
+ * without the editor. It loads a journey file, resolves its legs like the app does
+ * and plays them on its own map, with the same labels, photo cards and trails.
+ *
+ *   <nomad-route-player src="journey.json" access-token="pk..." autoplay loop controls></nomad-route-player>
+ *
+ * Attributes:
+ *   src           Journey file URL (as saved from the app's journey library)
+ *   access-token  Mapbox token; the one the player was built with otherwise
+ *   router        Routing provider for car, bike and walking legs ('mapbox' by default, 'mock' offline)
+ *   autoplay      Start playing as soon as the journey is ready
+ *   loop          Start over at the end
+ *   controls      Show a play/pause button and a scrubber
+ *   narration     Speak the captions as they come up (Web Speech API)
+ *
+ * JavaScript API: load(urlOrJourney), play(), pause(), seek(ms), and the read-only
+ * journey, legs, duration, currentTime and state properties.
+ *
+ * Events (CustomEvent, payload in detail):
+ *   ready        { duration, legs }
+ *   legstart     { legIndex, leg }
+ *   arrival      { legIndex, leg }
+ *   progress     { time, duration, legIndex, phase }
+ *   cue          { start, end, text } (a caption, as exported with videos)
+ *   statechange  { state } ('idle' | 'playing' | 'paused' | 'ended')
+ *   ended
+ *   error        { error }
+ */
+import mapboxgl from 'mapbox-gl';
+import mapboxCss from 'mapbox-gl/dist/mapbox-gl.css?inline';
+import appCss from '../styles.css?inline';
+import playerCss from './player.css?inline';
+import { initMap, getBaseStyleUrl, setBaseStyle, setTrailStyles, setTerrain } from '../map/map';
+import { createPlayback, createGroupPlayback, stopAnimation } from '../map/animate';
+import { setProviderConfig } from '../api';
+import { normalizeJourney, parseJourneyFile } from '../utils/journeys';
+import { resolveLegs, withMedia } from '../utils/legs';
+import { getTripStats, formatTripSummary } from '../utils/stats';
+import { narratePlayback } from '../utils/narration';
+
+export const TAG_NAME = 'nomad-route-player';
+
+const DEFAULT_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN;
+
+// Re-dispatched from the playback controller
+const LEG_EVENTS = ['legstart', 'arrival'];
+
+const formatTime = (ms) => {
+    const total = Math.floor(ms / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// The loaded journey is handed out frozen, so embedding pages can read it but not edit it
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+async function fetchJourney(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load ${url}: ${response.status}`);
+    return parseJourneyFile(await response.text());
+}
+
+const closingCard = (title, legs, settings) => ({
+    title,
+    subtitle: formatTripSummary(getTripStats(legs, settings))
+});
+
+/**
+ * Resolve every traveller's legs, as the app plays them. Travellers without a start
+ * or a stop stay home.
+ * @returns {Promise<Array|null>} Travellers ({ name, color, icon, journey }), null when only one would play
+ */
+async function resolveTravellers(journey, legs) {
+    if (!journey.travellers) return null;
+
+    const [first, ...others] = journey.travellers;
+    const group = [{ name: first.name, color: first.color, icon: first.icon, journey: legs }];
+    for (const t of others) {
+        const validStops = (t.stops || []).filter(s => s.place);
+        if (!t.start || validStops.length === 0) continue;
+        group.push({ name: t.name, color: t.color, icon: t.icon, journey: withMedia(await resolveLegs(t.start, validStops), validStops) });
+    }
+    return group.length > 1 ? group : null;
+}
+
+class NomadRoutePlayer extends HTMLElement {
+    static get observedAttributes() {
+        return ['src'];
+    }
+
+    constructor() {
+        super();
+        this.map = null;
+        this.mapReady = null; // Resolves once the map's first style has loaded
+        this.marker = null;
+        this.controller = null;
+        this.journeyData = null;
+        this.media = {}; // Photo id → data URL, embedded in the journey file
+        this.loadCount = 0; // Discards a load overtaken by a newer one
+
+        const root = this.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>${mapboxCss}\n${appCss}\n${playerCss}</style>
+            <div class="player-map"></div>
+            <div class="cinematic-overlay"><h2></h2><span></span></div>
+            <div class="media-overlay"></div>
+            <div class="player-message"></div>
+            <div class="player-controls">
+                <button type="button" title="Play">▶</button>
+                <input type="range" min="0" max="0" step="10" value="0" />
+                <span>0:00 / 0:00</span>
+            </div>
+        `;
+        this.els = {
+            map: root.querySelector('.player-map'),
+            label: root.querySelector('.cinematic-overlay'),
+            card: root.querySelector('.media-overlay'),
+            message: root.querySelector('.player-message'),
+            play: root.querySelector('.player-controls button'),
+            scrubber: root.querySelector('.player-controls input'),
+            time: root.querySelector('.player-controls span')
+        };
+
+        this.els.play.addEventListener('click', () => (this.state === 'playing' ? this.pause() : this.play()));
+        this.els.scrubber.addEventListener('input', e => this.seek(Number(e.target.value)));
+    }
+
+    connectedCallback() {
+        // Failed loads are reported through the error event
+        if (this.getAttribute('src') && !this.controller) this.load(this.getAttribute('src')).catch(() => {});
+    }
+
+    disconnectedCallback() {
+        this.loadCount++;
+        this.destroyPlayback();
+        if (this.map) {
+            this.map.remove();
+            this.map = null;
+            this.mapReady = null;
+            this.marker = null;
+        }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'src' && newValue && oldValue !== newValue && this.isConnected) this.load(newValue).catch(() => {});
+    }
+
+    /** The loaded journey, frozen */
+    get journey() {
+        return this.journeyData;
+    }
+
+    /** Leg boundaries on the timeline: { index, mode, toName, start, travelStart, arrivalStart, end } */
+    get legs() {
+        return this.controller ? this.controller.legs : [];
+    }
+
+    get duration() {
+        return this.controller ? this.controller.duration : 0;
+    }
+
+    get currentTime() {
+        return this.controller ? this.controller.time : 0;
+    }
+
+    get state() {
+        return this.controller ? this.controller.state : 'idle';
+    }
+
+    play() {
+        if (this.controller) this.controller.play();
+    }
+
+    pause() {
+        if (this.controller) this.controller.pause();
+    }
+
+    /**
+     * @param {number} time ms into the journey
+     */
+    seek(time) {
+        if (this.controller) this.controller.seek(time);
+    }
+
+    /**
+     * Load a journey and get it ready to play (and play it, with autoplay)
+     * @param {string|object} source Journey file URL, or journey data as in a journey file
+     * @returns {Promise<void>} Rejects when the journey can't be loaded; an error event is dispatched too
+     */
+    async load(source) {
+        const loadId = ++this.loadCount;
+        this.destroyPlayback();
+        this.showMessage('Loading journey...');
+
+        try {
+            const data = typeof source === 'string'
+                ? await fetchJourney(source)
+                : normalizeJourney(JSON.parse(JSON.stringify(source)));
+            if (loadId !== this.loadCount) return;
+
+            const { media = {}, ...journey } = data;
+            this.journeyData = deepFreeze(journey);
+            this.media = media;
+
+            const validStops = journey.stops.filter(s => s.place);
+            if (!journey.start || validStops.length === 0) throw new Error('This journey has no stops to play');
+
+            const settings = journey.settings || {};
+            const token = this.getAttribute('access-token') || DEFAULT_TOKEN;
+            if (!token) throw new Error('A Mapbox access token is needed to show the map (access-token attribute)');
+            setProviderConfig({ geocoder: 'mapbox', router: this.getAttribute('router') || 'mapbox' }, { token });
+
+            await this.prepareMap(token, settings);
+            if (loadId !== this.loadCount) return;
+
+            const legs = withMedia(await resolveLegs(journey.start, validStops), validStops);
+            const group = await resolveTravellers(journey, legs);
+            if (loadId !== this.loadCount) return;
+
+            this.createPlayback(legs, group, settings);
+            this.showMessage('');
+            this.dispatch('ready', { duration: this.duration, legs: this.legs });
+
+            if (this.hasAttribute('autoplay')) this.play();
+        } catch (error) {
+            if (loadId !== this.loadCount) return;
+            console.error(error);
+            this.showMessage(error.message);
+            this.dispatch('error', { error });
+            throw error;
+        }
+    }
+
+    async prepareMap(token, settings) {
+        const styles = settings.styles || {};
+        const styleUrl = getBaseStyleUrl(styles.baseStyle, styles.customStyleUrl);
+
+        if (!this.map) {
+            this.map = initMap(this.els.map, token, styleUrl);
+            this.mapReady = new Promise(resolve => this.map.once('load', resolve));
+
+            const el = document.createElement('div');
+            el.className = 'marker-icon';
+            el.style.display = 'none';
+            this.marker = new mapboxgl.Marker(el).setLngLat(this.map.getCenter()).addTo(this.map);
+        } else {
+            setBaseStyle(this.map, styleUrl);
+        }
+        await this.mapReady;
+
+        setTrailStyles(this.map, settings.trails);
+        const { terrain, source, url, encoding, exaggeration } = settings.elevation || {};
+        setTerrain(this.map, terrain ? { url: source === 'url' && url ? url : null, encoding, exaggeration } : null);
+    }
+
+    createPlayback(legs, group, settings) {
+        const labels = {
+            showLabel: (text, subtitle = 'Arriving') => {
+                this.els.label.querySelector('h2').textContent = text;
+                this.els.label.querySelector('span').textContent = subtitle;
+                this.els.label.classList.add('visible');
+            },
+            hideLabel: () => this.els.label.classList.remove('visible'),
+            showCard: card => this.showCard(card),
+            hideCard: () => this.els.card.replaceChildren()
+        };
+
+        const markerEl = this.marker.getElement();
+        markerEl.style.display = group ? 'none' : 'block';
+        const controller = group
+            ? createGroupPlayback(this.map, group, settings, {
+                ...labels,
+                focus: 0,
+                closing: closingCard(group.map(t => t.name).join(' & '), group.flatMap(t => t.journey), settings)
+            })
+            : createPlayback(this.map, markerEl, this.marker, legs, settings, {
+                ...labels,
+                closing: closingCard(`${legs[0].fromName} → ${legs[legs.length - 1].toName}`, legs, settings)
+            });
+        this.controller = controller;
+
+        LEG_EVENTS.forEach(event => controller.on(event, (legIndex) => {
+            this.dispatch(event, { legIndex, leg: controller.legs[legIndex] });
+        }));
+        controller.on('progress', ({ time, duration, legIndex, phase }) => {
+            this.els.scrubber.value = String(time);
+            this.els.time.textContent = `${formatTime(time)} / ${formatTime(duration)}`;
+            this.dispatch('progress', { time, duration, legIndex, phase });
+        });
+        controller.on('state', (state) => {
+            this.els.play.textContent = state === 'playing' ? '⏸' : '▶';
+            this.els.play.title = state === 'playing' ? 'Pause' : 'Play';
+            this.dispatch('statechange', { state });
+        });
+        controller.on('cue', (cue) => {
+            this.dispatch('cue', { ...cue });
+        });
+        if (this.hasAttribute('narration')) narratePlayback(controller);
+        controller.on('complete', () => {
+            this.dispatch('ended');
+            if (this.hasAttribute('loop')) controller.play();
+        });
+        controller.on('error', (error) => {
+            this.showMessage(error.message);
+            this.dispatch('error', { error });
+        });
+
+        this.els.scrubber.max = String(controller.duration);
+        controller.seek(0);
+    }
+
+    showCard(card) {
+        const el = document.createElement('div');
+        el.className = `media-card ${card.photo ? 'polaroid' : 'note-card'} ${card.index % 2 === 0 ? 'tilt-left' : 'tilt-right'}`;
+
+        if (card.photo) {
+            const url = this.media[card.photo.id];
+            const photo = document.createElement(url ? 'img' : 'div');
+            if (url) {
+                photo.src = url;
+                photo.alt = card.photo.caption;
+            } else {
+                photo.className = 'photo-missing';
+                photo.textContent = '📷';
+            }
+            el.appendChild(photo);
+        }
+        const parts = [
+            card.photo && card.photo.caption && ['div', 'media-caption', card.photo.caption],
+            card.note && ['p', 'media-note', card.note],
+            card.count > 1 && ['span', 'media-count', `${card.index + 1} / ${card.count}`]
+        ];
+        parts.filter(Boolean).forEach(([tag, className, text]) => {
+            const part = document.createElement(tag);
+            part.className = className;
+            part.textContent = text;
+            el.appendChild(part);
+        });
+
+        this.els.card.replaceChildren(el);
+    }
+
+    destroyPlayback() {
+        if (this.map) stopAnimation(this.map);
+        this.controller = null;
+        this.els.scrubber.max = '0';
+        this.els.time.textContent = '0:00 / 0:00';
+        this.els.play.textContent = '▶';
+    }
+
+    showMessage(text) {
+        this.els.message.textContent = text;
+    }
+
+    dispatch(type, detail = null) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+if (!customElements.get(TAG_NAME)) customElements.define(TAG_NAME, NomadRoutePlayer);
+
+export default NomadRoutePlayer;
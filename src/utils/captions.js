@@ -0,0 +1,72 @@
+/**
+ * Caption files for exported videos, from a playback's timed cues (see controller.cues).
+ * Video time equals playback time, as the recorder renders the timeline from zero.
+ */
+
+export const CAPTION_FORMATS = [
+    { value: 'vtt', label: 'WebVTT', mimeType: 'text/vtt' },
+    { value: 'srt', label: 'SubRip (SRT)', mimeType: 'application/x-subrip' }
+];
+
+/**
+ * @param {number} ms
+ * @param {string} separator Between seconds and milliseconds: '.' for WebVTT, ',' for SRT
+ * @returns {string} hh:mm:ss.mmm
+ */
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+// WebVTT cue text is HTML-like, and "-->" would end the cue timing line
+const escapeVtt = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * @param {Array<{start: number, end: number, text: string}>} cues Times in ms
+ * @returns {string}
+ */
+export function cuesToWebVTT(cues) {
+    return [
+        'WEBVTT',
+        '',
+        ...cues.map((cue, i) => [
+            String(i + 1),
+            `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+            escapeVtt(cue.text),
+            ''
+        ].join('\n'))
+    ].join('\n');
+}
+
+/**
+ * @param {Array<{start: number, end: number, text: string}>} cues Times in ms
+ * @returns {string}
+ */
+export function cuesToSRT(cues) {
+    return cues.map((cue, i) => [
+        String(i + 1),
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        cue.text,
+        ''
+    ].join('\n')).join('\n');
+}
+
+/**
+ * @param {Array} cues
+ * @param {string} format One of CAPTION_FORMATS
+ * @returns {Blob}
+ */
+export function exportCaptions(cues, format) {
+    const { mimeType } = CAPTION_FORMATS.find(f => f.value === format) || {};
+    if (!mimeType) throw new Error(`Unknown caption format: ${format}`);
+
+    const content = format === 'vtt' ? cuesToWebVTT(cues) : cuesToSRT(cues);
+    return new Blob([content], { type: mimeType });
+}
@@ -0,0 +1,221 @@
+/**
+ * Terrain elevation along resolved legs, read from DEM tiles: Mapbox terrain-RGB,
+ * a tile URL template (e.g. a local tile server) or a folder of {z}/{x}/{y} tiles.
+ */
+import { getCumulativeDistances, getPointAtDistance } from './geo';
+
+// Elevation in metres from a tile pixel's RGB channels
+export const DEM_ENCODINGS = {
+    mapbox: (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1,
+    terrarium: (r, g, b) => r * 256 + g + b / 256 - 32768
+};
+
+// Modes that follow the ground; planes and teleports get no profile
+export const ELEVATION_MODES = ['walk', 'bike', 'car', 'bus', 'train'];
+
+const MAPBOX_TERRAIN_URL = 'https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw';
+const MAPBOX_MAX_ZOOM = 15;
+const URL_MAX_ZOOM = 14;
+
+const MIN_SPACING_KM = 0.025;
+const MAX_SAMPLES = 400;
+const CLIMB_THRESHOLD_M = 3; // Ignore wiggles smaller than this when summing climb and descent
+const MAX_CACHED_TILES = 64;
+const MAX_LATITUDE = 85.0511;
+
+const tileCache = new Map(); // `${sourceId}/${z}/${x}/${y}` → Promise<ImageData|null>, oldest first
+
+const TILE_PATH = /(?:^|\/)(\d+)\/(\d+)\/(\d+)\.(?:png|webp)$/i;
+
+/**
+ * Index a folder of DEM tiles picked with a directory input
+ * @param {File[]} files Files with a webkitRelativePath ending in z/x/y.png
+ * @returns {{tiles: Map<string, File>, zooms: number[]}}
+ */
+export function indexDemFiles(files) {
+    const tiles = new Map();
+    files.forEach((file) => {
+        const match = TILE_PATH.exec(file.webkitRelativePath || file.name);
+        if (match) tiles.set(`${match[1]}/${match[2]}/${match[3]}`, file);
+    });
+    if (tiles.size === 0) throw new Error('No z/x/y.png tiles found in the selected folder');
+
+    const zooms = [...new Set([...tiles.keys()].map(key => Number(key.split('/')[0])))].sort((a, b) => a - b);
+    return { tiles, zooms };
+}
+
+/**
+ * @param {object} options
+ * @param {'mapbox'|'url'|'files'} options.type
+ * @param {string} [options.token] Mapbox token, for 'mapbox'
+ * @param {string} [options.url] Template with {z}, {x} and {y}, for 'url'
+ * @param {string} [options.encoding] 'mapbox' or 'terrarium', for 'url' and 'files'
+ * @param {ReturnType<typeof indexDemFiles>} [options.files] For 'files'
+ * @returns {{id: string, decode: Function, zooms: number[], load: (z: number, x: number, y: number) => Promise<Blob|null>}}
+ */
+export function createDemSource({ type, token, url, encoding = 'terrarium', files }) {
+    const range = max => Array.from({ length: max + 1 }, (_, z) => z);
+    const fetchTile = async (tileUrl) => {
+        const res = await fetch(tileUrl);
+        if (res.status === 404) return null;
+        if (!res.ok) throw new Error(`Elevation tile request failed (${res.status})`);
+        return res.blob();
+    };
+    const fill = (template, z, x, y) => template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+
+    if (type === 'mapbox') {
+        if (!token) throw new Error('Mapbox terrain needs a Mapbox token');
+        return {
+            id: 'mapbox',
+            decode: DEM_ENCODINGS.mapbox,
+            zooms: range(MAPBOX_MAX_ZOOM),
+            load: (z, x, y) => fetchTile(`${fill(MAPBOX_TERRAIN_URL, z, x, y)}?access_token=${token}`)
+        };
+    }
+
+    const decode = DEM_ENCODINGS[encoding];
+    if (!decode) throw new Error(`Unknown DEM encoding: ${encoding}`);
+
+    if (type === 'url') {
+        if (!url || !['{z}', '{x}', '{y}'].every(p => url.includes(p))) {
+            throw new Error('The elevation tile URL needs {z}, {x} and {y}');
+        }
+        return {
+            id: `url:${url}:${encoding}`,
+            decode,
+            zooms: range(URL_MAX_ZOOM),
+            load: (z, x, y) => fetchTile(fill(url, z, x, y))
+        };
+    }
+
+    if (type === 'files') {
+        if (!files) throw new Error('No local elevation tiles loaded');
+        return {
+            id: `files:${files.tiles.size}:${encoding}`,
+            decode,
+            zooms: files.zooms,
+            load: async (z, x, y) => files.tiles.get(`${z}/${x}/${y}`) || null
+        };
+    }
+
+    throw new Error(`Unknown elevation source: ${type}`);
+}
+
+async function decodeImage(blob) {
+    // Raw channel values are the data, so no colour management or premultiplying
+    const bitmap = await createImageBitmap(blob, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' });
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function loadTile(source, z, x, y) {
+    const key = `${source.id}/${z}/${x}/${y}`;
+    let tile = tileCache.get(key);
+    if (tile) {
+        tileCache.delete(key);
+    } else {
+        tile = source.load(z, x, y).then(blob => (blob ? decodeImage(blob) : null));
+        tile.catch(() => tileCache.delete(key));
+    }
+    tileCache.set(key, tile);
+
+    if (tileCache.size > MAX_CACHED_TILES) tileCache.delete(tileCache.keys().next().value);
+    return tile;
+}
+
+// Fractional tile coordinates of a point (Web Mercator)
+function tileCoords([lng, lat], z) {
+    const n = 2 ** z;
+    const rad = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+    return [
+        ((lng + 180) / 360) * n,
+        ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n
+    ];
+}
+
+// Coarsest available zoom whose pixels are no bigger than the sample spacing
+function pickZoom(zooms, spacingKm, lat) {
+    const groundKm = 40075 * Math.cos(lat * Math.PI / 180) / 256; // One pixel at zoom 0
+    const wanted = Math.ceil(Math.log2(groundKm / spacingKm));
+    const below = zooms.filter(z => z <= wanted);
+    return below.length > 0 ? below[below.length - 1] : zooms[0];
+}
+
+/**
+ * Total climb and descent, ignoring changes under the threshold so DEM noise doesn't add up
+ * @param {Array<number|null>} elevations Metres; null where there is no data
+ * @returns {{ascent: number, descent: number}}
+ */
+export function getClimb(elevations, threshold = CLIMB_THRESHOLD_M) {
+    let ascent = 0;
+    let descent = 0;
+    let reference = null;
+
+    elevations.forEach((e) => {
+        if (e === null) return;
+        if (reference === null) {
+            reference = e;
+            return;
+        }
+        const diff = e - reference;
+        if (diff >= threshold) ascent += diff;
+        else if (diff <= -threshold) descent -= diff;
+        else return;
+        reference = e;
+    });
+
+    return { ascent, descent };
+}
+
+/**
+ * Sample terrain elevation at even steps along a path
+ * @param {Array<[number, number]>} path
+ * @param {ReturnType<typeof createDemSource>} source
+ * @returns {Promise<{distances: number[], elevations: Array<number|null>, min: number, max: number, ascent: number, descent: number}|null>}
+ *          Distances in km along the path, elevations in metres; null when no tile covers the path
+ */
+export async function getElevationProfile(path, source) {
+    const cumulative = getCumulativeDistances(path);
+    const total = cumulative[cumulative.length - 1];
+    if (!(total > 0)) return null;
+
+    const count = Math.min(MAX_SAMPLES, Math.max(2, Math.ceil(total / MIN_SPACING_KM) + 1));
+    const spacingKm = total / (count - 1);
+    const distances = Array.from({ length: count }, (_, i) => i * spacingKm);
+    const points = distances.map(d => getPointAtDistance(path, cumulative, d).point);
+
+    const midLat = points[Math.floor(count / 2)][1];
+    const z = pickZoom(source.zooms, spacingKm, midLat);
+
+    const elevations = await Promise.all(points.map(async (point) => {
+        const [tx, ty] = tileCoords(point, z);
+        const n = 2 ** z;
+        const x = ((Math.floor(tx) % n) + n) % n;
+        const y = Math.min(n - 1, Math.floor(ty));
+
+        const image = await loadTile(source, z, x, y);
+        if (!image) return null;
+
+        const px = Math.min(image.width - 1, Math.floor((tx - Math.floor(tx)) * image.width));
+        const py = Math.min(image.height - 1, Math.floor((ty - Math.floor(ty)) * image.height));
+        const i = (py * image.width + px) * 4;
+        if (image.data[i + 3] === 0) return null; // Transparent: no data
+        return source.decode(image.data[i], image.data[i + 1], image.data[i + 2]);
+    }));
+
+    const known = elevations.filter(e => e !== null);
+    if (known.length === 0) return null;
+
+    return {
+        distances,
+        elevations,
+        min: Math.min(...known),
+        max: Math.max(...known),
+        ...getClimb(elevations)
+    };
+}
@@ -0,0 +1,198 @@
+/**
+ * Serialize a resolved journey (the legs built by handlePlay) to GIS/GPS formats.
+ * Every format carries one line per leg tagged with its mode, plus the named stops as waypoints.
+ * Legs crossing the 180° meridian are split there, since these formats keep longitudes within ±180.
+ */
+import { getCumulativeDistances, splitAtAntimeridian } from './geo';
+
+const CREATOR = 'NomadRoute';
+
+// KML colours are aabbggrr
+const KML_MODE_COLORS = {
+    car: 'ff50af4c',
+    bus: 'ff0098ff',
+    bike: 'ffe5a31e',
+    walk: 'ff8e44ad',
+    train: 'ff3c3c3c',
+    plane: 'fff3a921',
+    teleport: 'ffb03aed'
+};
+
+const escapeXml = s => String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const legDistance = leg => {
+    const cumulative = getCumulativeDistances(leg.pathCoords);
+    return Math.round(cumulative[cumulative.length - 1] * 1000) / 1000;
+};
+
+/**
+ * Named stops of a journey: the start, then each leg's destination
+ * @param {Array} legs
+ * @returns {Array<{name: string, coords: [number, number], role: string, index: number}>}
+ */
+function getWaypoints(legs) {
+    if (legs.length === 0) return [];
+    return [
+        { name: legs[0].fromName, coords: legs[0].from, role: 'start', index: 0 },
+        ...legs.map((leg, i) => ({ name: leg.toName, coords: leg.to, role: 'stop', index: i + 1 }))
+    ];
+}
+
+/**
+ * @param {Array} legs Resolved legs ({ mode, from, to, fromName, toName, pathCoords })
+ * @param {string} name Journey name
+ * @returns {object} GeoJSON FeatureCollection
+ */
+export function journeyToGeoJSON(legs, name) {
+    const points = getWaypoints(legs).map(w => ({
+        type: 'Feature',
+        properties: { name: w.name, role: w.role, index: w.index },
+        geometry: { type: 'Point', coordinates: w.coords }
+    }));
+
+    const lines = legs.map((leg, i) => {
+        const parts = splitAtAntimeridian(leg.pathCoords);
+        return {
+            type: 'Feature',
+            properties: {
+                name: `${leg.fromName} → ${leg.toName}`,
+                leg: i,
+                mode: leg.mode,
+                from: leg.fromName,
+                to: leg.toName,
+                distanceKm: legDistance(leg)
+            },
+            geometry: parts.length > 1
+                ? { type: 'MultiLineString', coordinates: parts }
+                : { type: 'LineString', coordinates: parts[0] || [] }
+        };
+    });
+
+    return {
+        type: 'FeatureCollection',
+        properties: { name, creator: CREATOR },
+        features: [...points, ...lines]
+    };
+}
+
+/**
+ * @param {Array} legs
+ * @param {string} name
+ * @returns {string} GPX 1.1 document: waypoints for stops, one track per leg
+ */
+export function journeyToGPX(legs, name) {
+    const wpts = getWaypoints(legs).map(w => (
+        `  <wpt lat="${w.coords[1]}" lon="${w.coords[0]}">\n` +
+        `    <name>${escapeXml(w.name)}</name>\n` +
+        `    <type>${w.role}</type>\n` +
+        '  </wpt>'
+    ));
+
+    const trks = legs.map((leg, i) => (
+        '  <trk>\n' +
+        `    <name>${escapeXml(`${leg.fromName} → ${leg.toName}`)}</name>\n` +
+        `    <number>${i + 1}</number>\n` +
+        `    <type>${escapeXml(leg.mode)}</type>\n` +
+        splitAtAntimeridian(leg.pathCoords).map(part => (
+            '    <trkseg>\n' +
+            part.map(c => `      <trkpt lat="${c[1]}" lon="${c[0]}"/>`).join('\n') + '\n' +
+            '    </trkseg>\n'
+        )).join('') +
+        '  </trk>'
+    ));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+        ...wpts,
+        ...trks,
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {Array} legs
+ * @param {string} name
+ * @returns {string} KML document with a style per mode
+ */
+export function journeyToKML(legs, name) {
+    const modes = [...new Set(legs.map(l => l.mode))];
+
+    const styles = modes.map(mode => (
+        `    <Style id="mode-${escapeXml(mode)}">\n` +
+        `      <LineStyle><color>${KML_MODE_COLORS[mode] || 'ff50af4c'}</color><width>4</width></LineStyle>\n` +
+        '    </Style>'
+    ));
+
+    const points = getWaypoints(legs).map(w => (
+        '    <Placemark>\n' +
+        `      <name>${escapeXml(w.name)}</name>\n` +
+        `      <ExtendedData><Data name="role"><value>${w.role}</value></Data></ExtendedData>\n` +
+        `      <Point><coordinates>${w.coords[0]},${w.coords[1]}</coordinates></Point>\n` +
+        '    </Placemark>'
+    ));
+
+    const lines = legs.map((leg, i) => (
+        '    <Placemark>\n' +
+        `      <name>${escapeXml(`${leg.fromName} → ${leg.toName}`)}</name>\n` +
+        `      <styleUrl>#mode-${escapeXml(leg.mode)}</styleUrl>\n` +
+        '      <ExtendedData>\n' +
+        `        <Data name="leg"><value>${i}</value></Data>\n` +
+        `        <Data name="mode"><value>${escapeXml(leg.mode)}</value></Data>\n` +
+        `        <Data name="distanceKm"><value>${legDistance(leg)}</value></Data>\n` +
+        '      </ExtendedData>\n' +
+        '      <MultiGeometry>\n' +
+        splitAtAntimeridian(leg.pathCoords).map(part => (
+            '        <LineString><tessellate>1</tessellate><coordinates>\n' +
+            part.map(c => `          ${c[0]},${c[1]}`).join('\n') + '\n' +
+            '        </coordinates></LineString>\n'
+        )).join('') +
+        '      </MultiGeometry>\n' +
+        '    </Placemark>'
+    ));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(name)}</name>`,
+        ...styles,
+        ...points,
+        ...lines,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+export const ROUTE_EXPORT_FORMATS = [
+    { value: 'geojson', label: 'GeoJSON', mimeType: 'application/geo+json' },
+    { value: 'gpx', label: 'GPX', mimeType: 'application/gpx+xml' },
+    { value: 'kml', label: 'KML', mimeType: 'application/vnd.google-earth.kml+xml' }
+];
+
+/**
+ * @param {Array} legs
+ * @param {string} name
+ * @param {string} format One of ROUTE_EXPORT_FORMATS
+ * @returns {Blob}
+ */
+export function exportJourney(legs, name, format) {
+    const { mimeType } = ROUTE_EXPORT_FORMATS.find(f => f.value === format) || {};
+    if (!mimeType) throw new Error(`Unknown export format: ${format}`);
+
+    const content = format === 'geojson'
+        ? JSON.stringify(journeyToGeoJSON(legs, name), null, 2)
+        : format === 'gpx'
+            ? journeyToGPX(legs, name)
+            : journeyToKML(legs, name);
+
+    return new Blob([content], { type: mimeType });
+}
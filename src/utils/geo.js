@@ -1,26 +1,146 @@
 import * as turf from '@turf/turf';
 
+/*
+ * Paths on the map keep their longitudes continuous: a line crossing the 180° meridian
+ * carries on past ±180 (e.g. 179 → 181) so that Mapbox draws it the short way round.
+ * Map positions (camera centers) and exported files are wrapped back into -180..180.
+ */
+
+const MAX_MERCATOR_LAT = 85.051129; // fitBounds can't frame beyond this
+const toRad = d => d * Math.PI / 180;
+const toDeg = r => r * 180 / Math.PI;
+
+/**
+ * @param {number} lng
+ * @returns {number} The same meridian within -180..180
+ */
+export function wrapLng(lng) {
+    if (lng >= -180 && lng <= 180) return lng;
+    const wrapped = ((((lng + 180) % 360) + 360) % 360) - 180;
+    return wrapped === -180 && lng > 0 ? 180 : wrapped;
+}
+
+/**
+ * @param {[number, number]} point
+ * @returns {[number, number]} The point with its longitude within -180..180
+ */
+export function wrapPoint([lng, lat]) {
+    return [wrapLng(lng), lat];
+}
+
+/**
+ * Make a path's longitudes continuous, so that no step is longer than half the globe
+ * @param {Array<[number, number]>} path
+ * @returns {Array<[number, number]>} Starts within -180..180 and may run past ±180
+ */
+export function unwrapPath(path) {
+    if (!path || path.length === 0) return path;
+    const result = [wrapPoint(path[0])];
+    for (let i = 1; i < path.length; i++) {
+        const prev = result[i - 1];
+        result.push([prev[0] + wrapLng(path[i][0] - prev[0]), path[i][1]]);
+    }
+    return result;
+}
+
 /**
- * Calculate the bounding box for a set of points
+ * Split a path where it crosses the 180° meridian, as GeoJSON (RFC 7946) and GPS formats expect
+ * @param {Array<[number, number]>} path
+ * @returns {Array<Array<[number, number]>>} Parts within -180..180, joined by points on ±180
+ */
+export function splitAtAntimeridian(path) {
+    const unwrapped = unwrapPath(path);
+    if (!unwrapped || unwrapped.length === 0) return [];
+
+    const parts = [[unwrapped[0]]];
+    for (let i = 1; i < unwrapped.length; i++) {
+        const [lng1, lat1] = unwrapped[i - 1];
+        const [lng2, lat2] = unwrapped[i];
+        const world1 = Math.floor((lng1 + 180) / 360);
+        const world2 = Math.floor((lng2 + 180) / 360);
+
+        if (world1 !== world2) {
+            // One step never spans more than half the globe, so it crosses a single seam
+            const seam = Math.max(world1, world2) * 360 - 180;
+            const t = (seam - lng1) / (lng2 - lng1);
+            const lat = lat1 + (lat2 - lat1) * t;
+            parts[parts.length - 1].push([seam, lat]);
+            parts.push([[seam, lat]]);
+        }
+        parts[parts.length - 1].push(unwrapped[i]);
+    }
+
+    // Shift each part back into -180..180, keeping its seam ends on the right side
+    return parts.map((part) => {
+        const mid = part.reduce((sum, p) => sum + p[0], 0) / part.length;
+        const shift = wrapLng(mid) - mid;
+        return part.map(([lng, lat]) => [lng + shift, lat]);
+    });
+}
+
+/**
+ * Bounding box of a set of points, taking the short way round the globe: a set on
+ * both sides of the 180° meridian gets an east edge past 180. Latitudes are capped
+ * to what the map can frame, for points at or near the poles.
  * @param {Array<[number, number]>} coords 
- * @returns {mapboxgl.LngLatBounds}
+ * @returns {[[number, number], [number, number]]} [[west, south], [east, north]], for fitBounds
  */
 export function getBounds(coords) {
     if (!coords || coords.length === 0) return null;
 
-    // Simple min/max implementation
-    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
-
-    coords.forEach(([lng, lat]) => {
-        if (lng < minLng) minLng = lng;
-        if (lng > maxLng) maxLng = lng;
+    let minLat = Infinity, maxLat = -Infinity;
+    coords.forEach(([, lat]) => {
         if (lat < minLat) minLat = lat;
         if (lat > maxLat) maxLat = lat;
     });
 
-    // Provide some padding handled by mapbox fitBounds usually, but returning basic bounds here
-    // Creating a minimal compatible object for mapbox-gl fitBounds
-    return [[minLng, minLat], [maxLng, maxLat]];
+    // The box leaves out the widest empty stretch of longitude
+    const lngs = [...new Set(coords.map(([lng]) => wrapLng(lng)))].sort((a, b) => a - b);
+    let west = lngs[0];
+    let east = lngs[lngs.length - 1];
+    let widestGap = 360 - (east - west); // The stretch across the 180° meridian
+
+    for (let i = 1; i < lngs.length; i++) {
+        const gap = lngs[i] - lngs[i - 1];
+        if (gap > widestGap) {
+            widestGap = gap;
+            west = lngs[i];
+            east = lngs[i - 1] + 360;
+        }
+    }
+
+    const clampLat = lat => Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat));
+    return [[west, clampLat(minLat)], [east, clampLat(maxLat)]];
+}
+
+/**
+ * Point a fraction of the way along the great circle between two points
+ * @param {[number, number]} p1
+ * @param {[number, number]} p2
+ * @param {number} t (0 to 1)
+ * @returns {[number, number]} Longitude continuous with p1's, as in unwrapPath
+ */
+export function interpolate(p1, p2, t) {
+    const [lng1, lat1] = [toRad(p1[0]), toRad(p1[1])];
+    const [lng2, lat2] = [toRad(p2[0]), toRad(p2[1])];
+
+    // Spherical linear interpolation between the two unit vectors
+    const a = [Math.cos(lat1) * Math.cos(lng1), Math.cos(lat1) * Math.sin(lng1), Math.sin(lat1)];
+    const b = [Math.cos(lat2) * Math.cos(lng2), Math.cos(lat2) * Math.sin(lng2), Math.sin(lat2)];
+    const dot = Math.max(-1, Math.min(1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+    const angle = Math.acos(dot);
+
+    // Close or antipodal points have no single great circle; stay on the straight line
+    if (angle < 1e-9 || Math.PI - angle < 1e-9) return lerp(p1, [p1[0] + wrapLng(p2[0] - p1[0]), p2[1]], t);
+
+    const k1 = Math.sin((1 - t) * angle) / Math.sin(angle);
+    const k2 = Math.sin(t * angle) / Math.sin(angle);
+    const [x, y, z] = [0, 1, 2].map(i => k1 * a[i] + k2 * b[i]);
+
+    const lat = toDeg(Math.atan2(z, Math.hypot(x, y)));
+    // At a pole any longitude will do; keep p1's so the path doesn't swing round
+    const lng = Math.hypot(x, y) < 1e-12 ? p1[0] : toDeg(Math.atan2(y, x));
+    return [p1[0] + wrapLng(lng - p1[0]), lat];
 }
 
 /**
@@ -28,15 +148,12 @@ export function getBounds(coords) {
  * @param {[number, number]} start 
  * @param {[number, number]} end 
  * @param {number} numPoints 
- * @returns {Array<[number, number]>}
+ * @returns {Array<[number, number]>} Continuous across the 180° meridian, as in unwrapPath
  */
 export function getGreatCircleArc(start, end, numPoints = 100) {
-    const startPt = turf.point(start);
-    const endPt = turf.point(end);
-
-    // Calculate distance to determine number of points if needed due to resolution, but fixed is fine
-    const line = turf.greatCircle(startPt, endPt, { npoints: numPoints });
-    return line.geometry.coordinates;
+    const arc = [];
+    for (let i = 0; i < numPoints; i++) arc.push(interpolate(start, end, i / (numPoints - 1)));
+    return unwrapPath(arc);
 }
 
 /**
@@ -49,7 +166,18 @@ export function getDistance(c1, c2) {
 }
 
 /**
- * Linearly interpolate between two points
+ * Get the initial compass bearing from one point to another
+ * @param {[number, number]} c1
+ * @param {[number, number]} c2
+ * @returns {number} Degrees clockwise from north, -180 to 180
+ */
+export function getBearing(c1, c2) {
+    return turf.bearing(turf.point(c1), turf.point(c2));
+}
+
+/**
+ * Linearly interpolate between two points, for nearby points on a continuous path;
+ * interpolate() follows the globe
  * @param {[number, number]} p1 
  * @param {[number, number]} p2 
  * @param {number} t (0 to 1)
@@ -60,3 +188,54 @@ export function lerp(p1, p2, t) {
         p1[1] + (p2[1] - p1[1]) * t
     ];
 }
+
+/**
+ * Running distance along a path, in km
+ * @param {Array<[number, number]>} path
+ * @returns {number[]} cumulative[i] is the distance from path[0] to path[i]
+ */
+export function getCumulativeDistances(path) {
+    const cumulative = [0];
+    for (let i = 1; i < path.length; i++) {
+        cumulative.push(cumulative[i - 1] + getDistance(path[i - 1], path[i]));
+    }
+    return cumulative;
+}
+
+/**
+ * Locate the point a given distance along a path
+ * @param {Array<[number, number]>} path
+ * @param {number[]} cumulative From getCumulativeDistances(path)
+ * @param {number} distance km from the start
+ * @returns {{point: [number, number], index: number}} index is the segment start vertex
+ */
+export function getPointAtDistance(path, cumulative, distance) {
+    const last = path.length - 1;
+    if (last <= 0 || distance <= 0) return { point: path[0], index: 0 };
+    if (distance >= cumulative[last]) return { point: path[last], index: last };
+
+    // Binary search for the segment containing the distance
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (cumulative[mid] <= distance) lo = mid;
+        else hi = mid;
+    }
+
+    const segLength = cumulative[hi] - cumulative[lo];
+    const t = segLength > 0 ? (distance - cumulative[lo]) / segLength : 0;
+    return { point: interpolate(path[lo], path[hi], t), index: lo };
+}
+
+/**
+ * Simplify a path with Douglas-Peucker, keeping both ends
+ * @param {Array<[number, number]>} path
+ * @param {number} tolerance In degrees
+ * @returns {Array<[number, number]>}
+ */
+export function simplifyPath(path, tolerance) {
+    if (path.length <= 2) return path;
+    const line = turf.simplify(turf.lineString(path), { tolerance, highQuality: false });
+    return line.geometry.coordinates;
+}
@@ -0,0 +1,370 @@
+/**
+ * Saved journeys: serialization, schema validation/migration and the
+ * localStorage-backed library behind the "My Journeys" panel.
+ */
+
+export const JOURNEY_SCHEMA_VERSION = 1;
+export const JOURNEY_FILE_TYPE = 'nomadroute-journey';
+
+const STORAGE_KEY = 'nomadroute.journeys';
+
+// Every mode the app can route, draw and animate
+const TRAVEL_MODES = ['car', 'bus', 'bike', 'walk', 'train', 'plane', 'teleport'];
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isLocalTime = t => typeof t === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/.test(t);
+const isCoord = c => Array.isArray(c) && c.length >= 2 && c.every(n => typeof n === 'number' && Number.isFinite(n));
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Upgrades from version N to N + 1. Files without a version field are version 0,
+ * which is the raw App state shape ({ startPlace, stops, settings }).
+ */
+const MIGRATIONS = {
+    0: (data) => ({
+        type: JOURNEY_FILE_TYPE,
+        version: 1,
+        name: data.name || 'Untitled journey',
+        start: data.startPlace || data.start || null,
+        stops: (data.stops || []).map(s => ({ place: s.place || null, mode: s.mode || 'car' })),
+        settings: data.settings || {}
+    })
+};
+
+function migrate(data) {
+    let current = data;
+    let version = typeof current.version === 'number' ? current.version : 0;
+
+    if (version > JOURNEY_SCHEMA_VERSION) {
+        throw new Error(`Journey was saved by a newer version of NomadRoute (schema v${version})`);
+    }
+
+    while (version < JOURNEY_SCHEMA_VERSION) {
+        current = MIGRATIONS[version](current);
+        version = current.version;
+    }
+    return current;
+}
+
+function validateTimes(times, path, errors) {
+    if (times.arrival != null && !isLocalTime(times.arrival)) errors.push(`${path}.arrival must be YYYY-MM-DDTHH:mm`);
+    if (times.departure != null && !isLocalTime(times.departure)) errors.push(`${path}.departure must be YYYY-MM-DDTHH:mm`);
+    if (times.nights != null && !(Number.isInteger(times.nights) && times.nights >= 0)) {
+        errors.push(`${path}.nights must be a whole number`);
+    }
+    if (times.timeZone != null && typeof times.timeZone !== 'string') errors.push(`${path}.timeZone must be a string`);
+}
+
+function validatePlace(place, path, errors) {
+    if (place === null || place === undefined) return;
+    if (!isObject(place)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    if (typeof place.name !== 'string') errors.push(`${path}.name must be a string`);
+    if (!isCoord(place.center)) errors.push(`${path}.center must be [lng, lat]`);
+}
+
+function validateStop(stop, path, errors) {
+    if (!isObject(stop)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    validatePlace(stop.place, `${path}.place`, errors);
+    if (!TRAVEL_MODES.includes(stop.mode)) errors.push(`${path}.mode must be one of ${TRAVEL_MODES.join(', ')}`);
+    if (stop.track != null && (!isObject(stop.track) || !Array.isArray(stop.track.coords) || !stop.track.coords.every(isCoord))) {
+        errors.push(`${path}.track.coords must be an array of [lng, lat]`);
+    }
+    if (stop.camera != null && typeof stop.camera !== 'string') errors.push(`${path}.camera must be a string`);
+    if (stop.via != null) {
+        if (!Array.isArray(stop.via)) errors.push(`${path}.via must be an array`);
+        else stop.via.forEach((v, j) => validatePlace(v, `${path}.via[${j}]`, errors));
+    }
+    if (stop.route != null && (!isObject(stop.route) || typeof stop.route.profile !== 'string'
+        || !isCoord(stop.route.from) || !isCoord(stop.route.to)
+        || !Array.isArray(stop.route.coords) || !stop.route.coords.every(isCoord))) {
+        errors.push(`${path}.route must have a profile, from, to and coords`);
+    }
+    validateTimes(stop, path, errors);
+    if (stop.photos != null && (!Array.isArray(stop.photos)
+        || !stop.photos.every(p => isObject(p) && typeof p.id === 'string' && (p.caption == null || typeof p.caption === 'string')))) {
+        errors.push(`${path}.photos must be an array of { id, caption }`);
+    }
+    if (stop.note != null && typeof stop.note !== 'string') errors.push(`${path}.note must be a string`);
+}
+
+// travellers[0] is whoever travels the journey's own start and stops; the others bring their own
+function validateTravellers(travellers, errors) {
+    if (!Array.isArray(travellers)) {
+        errors.push('travellers must be an array');
+        return;
+    }
+    travellers.forEach((t, i) => {
+        const path = `travellers[${i}]`;
+        if (!isObject(t)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        ['name', 'color', 'icon'].forEach((key) => {
+            if (typeof t[key] !== 'string') errors.push(`${path}.${key} must be a string`);
+        });
+        if (i === 0) return;
+
+        validatePlace(t.start, `${path}.start`, errors);
+        if (t.startTime != null) {
+            if (!isObject(t.startTime)) errors.push(`${path}.startTime must be an object`);
+            else validateTimes(t.startTime, `${path}.startTime`, errors);
+        }
+        if (!Array.isArray(t.stops)) errors.push(`${path}.stops must be an array`);
+        else t.stops.forEach((stop, j) => validateStop(stop, `${path}.stops[${j}]`, errors));
+    });
+}
+
+/**
+ * Check a journey against the current schema
+ * @param {object} journey
+ * @returns {string[]} Validation errors, empty when valid
+ */
+export function validateJourney(journey) {
+    const errors = [];
+
+    if (!isObject(journey)) return ['Journey must be an object'];
+    if (journey.version !== JOURNEY_SCHEMA_VERSION) errors.push(`version must be ${JOURNEY_SCHEMA_VERSION}`);
+    if (typeof journey.name !== 'string') errors.push('name must be a string');
+
+    validatePlace(journey.start, 'start', errors);
+    if (journey.startTime != null) {
+        if (!isObject(journey.startTime)) errors.push('startTime must be an object');
+        else validateTimes(journey.startTime, 'startTime', errors);
+    }
+
+    if (!Array.isArray(journey.stops)) {
+        errors.push('stops must be an array');
+    } else {
+        journey.stops.forEach((stop, i) => validateStop(stop, `stops[${i}]`, errors));
+    }
+
+    if (journey.travellers != null) validateTravellers(journey.travellers, errors);
+
+    if (!isObject(journey.settings)) errors.push('settings must be an object');
+    if (journey.media != null && (!isObject(journey.media) || !Object.values(journey.media).every(v => typeof v === 'string'))) {
+        errors.push('media must map photo ids to data URLs');
+    }
+
+    return errors;
+}
+
+/**
+ * Migrate and validate untrusted journey data
+ * @param {object} data
+ * @returns {object} Journey in the current schema
+ */
+export function normalizeJourney(data) {
+    if (!isObject(data)) throw new Error('Invalid journey: expected an object');
+
+    const journey = migrate(data);
+    const errors = validateJourney(journey);
+    if (errors.length > 0) {
+        throw new Error(`Invalid journey: ${errors.join('; ')}`);
+    }
+    return journey;
+}
+
+function serializeStop(s) {
+    const stop = { place: s.place, mode: s.mode };
+    if (s.track) stop.track = s.track;
+    if (s.camera) stop.camera = s.camera;
+    const via = (s.via || []).filter(Boolean);
+    if (via.length > 0) stop.via = via;
+    if (s.route) stop.route = s.route;
+    if (s.arrival) stop.arrival = s.arrival;
+    if (s.departure) stop.departure = s.departure;
+    if (typeof s.nights === 'number') stop.nights = s.nights;
+    if (s.timeZone) stop.timeZone = s.timeZone;
+    if (s.photos && s.photos.length > 0) stop.photos = s.photos;
+    if (s.note) stop.note = s.note;
+    return stop;
+}
+
+function serializeStartTime(startTime) {
+    if (!startTime || (!startTime.departure && !startTime.timeZone)) return null;
+    const serialized = {};
+    if (startTime.departure) serialized.departure = startTime.departure;
+    if (startTime.timeZone) serialized.timeZone = startTime.timeZone;
+    return serialized;
+}
+
+/**
+ * Capture the App itinerary state as a journey
+ * @param {string} name
+ * @param {object|null} startPlace
+ * @param {Array<{place: object|null, mode: string, track?: object, camera?: string, via?: Array, route?: object,
+ *                 arrival?: string, departure?: string, nights?: number, timeZone?: string,
+ *                 photos?: Array<{id: string, caption: string}>, note?: string}>} stops
+ * @param {object} settings
+ * @param {{departure?: string, timeZone?: string}} [startTime] When and in which time zone the trip leaves the start
+ * @param {Array<{name: string, color: string, icon: string, start?: object, startTime?: object, stops?: Array}>} [travellers]
+ *        Everyone on the trip when there is more than one; the first travels startPlace and stops,
+ *        the others bring their own start, start time and stops
+ */
+export function createJourney(name, startPlace, stops, settings, startTime = null, travellers = null) {
+    const journey = {
+        type: JOURNEY_FILE_TYPE,
+        version: JOURNEY_SCHEMA_VERSION,
+        name,
+        start: startPlace,
+        stops: stops.map(serializeStop),
+        settings
+    };
+    const start = serializeStartTime(startTime);
+    if (start) journey.startTime = start;
+
+    if (travellers && travellers.length > 1) {
+        journey.travellers = travellers.map((t, i) => {
+            const traveller = { name: t.name, color: t.color, icon: t.icon };
+            if (i === 0) return traveller;
+
+            traveller.start = t.start || null;
+            const tStart = serializeStartTime(t.startTime);
+            if (tStart) traveller.startTime = tStart;
+            traveller.stops = (t.stops || []).map(serializeStop);
+            return traveller;
+        });
+    }
+    return journey;
+}
+
+/**
+ * Overlay saved settings onto the defaults, one category at a time, so a journey
+ * saved before a setting existed still gets a sensible value for it.
+ * @param {object} defaults
+ * @param {object} saved
+ */
+export function mergeSettings(defaults, saved = {}) {
+    const merged = { ...defaults };
+    Object.keys(saved).forEach((key) => {
+        merged[key] = isObject(defaults[key]) && isObject(saved[key])
+            ? { ...defaults[key], ...saved[key] }
+            : saved[key];
+    });
+    return merged;
+}
+
+// --- Library (localStorage) ---
+
+function readLibrary() {
+    try {
+        const raw = localStorage.getItem(STORAGE_KEY);
+        const entries = raw ? JSON.parse(raw) : [];
+        return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+        console.warn('Could not read saved journeys', e);
+        return [];
+    }
+}
+
+function writeLibrary(entries) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    } catch (e) {
+        throw new Error('Could not save journeys: browser storage is full or unavailable');
+    }
+}
+
+/**
+ * All saved journeys, most recently updated first.
+ * Entries that no longer pass validation are skipped.
+ * @returns {Array<{id: string, createdAt: number, updatedAt: number, journey: object}>}
+ */
+export function listJourneys() {
+    return readLibrary()
+        .map((entry) => {
+            try {
+                return { ...entry, journey: normalizeJourney(entry.journey) };
+            } catch (e) {
+                console.warn(`Skipping saved journey ${entry.id}`, e);
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Save a journey as a new entry, or overwrite the entry with the given id
+ * @param {object} journey
+ * @param {string} [id]
+ * @returns {string} Entry id
+ */
+export function saveJourney(journey, id) {
+    const entries = readLibrary();
+    const now = Date.now();
+    const existing = id && entries.find(e => e.id === id);
+
+    if (existing) {
+        existing.journey = journey;
+        existing.updatedAt = now;
+    } else {
+        id = newId();
+        entries.push({ id, createdAt: now, updatedAt: now, journey });
+    }
+
+    writeLibrary(entries);
+    return id;
+}
+
+export function renameJourney(id, name) {
+    const entries = readLibrary();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return;
+
+    entry.journey = { ...entry.journey, name };
+    entry.updatedAt = Date.now();
+    writeLibrary(entries);
+}
+
+/**
+ * @returns {string|null} Id of the copy
+ */
+export function duplicateJourney(id) {
+    const entry = readLibrary().find(e => e.id === id);
+    if (!entry) return null;
+
+    return saveJourney({ ...entry.journey, name: `${entry.journey.name} (copy)` });
+}
+
+export function deleteJourney(id) {
+    writeLibrary(readLibrary().filter(e => e.id !== id));
+}
+
+// --- Files ---
+
+/**
+ * @param {object} journey
+ * @param {Object<string, string>} [media] Photo id → data URL, embedded so the file carries its photos
+ * @returns {Blob} Pretty-printed JSON file
+ */
+export function journeyToFile(journey, media) {
+    const data = media && Object.keys(media).length > 0 ? { ...journey, media } : journey;
+    return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Parse an imported journey file
+ * @param {string} text
+ * @returns {object} Journey in the current schema; embedded photos are left in journey.media
+ */
+export function parseJourneyFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid journey file: not valid JSON');
+    }
+
+    if (isObject(data) && data.type !== undefined && data.type !== JOURNEY_FILE_TYPE) {
+        throw new Error('Invalid journey file: not a NomadRoute journey');
+    }
+    return normalizeJourney(data);
+}
@@ -0,0 +1,114 @@
+/**
+ * Resolving an itinerary into legs with geometry: recorded tracks, great-circle arcs
+ * for planes, imported transit lines for trains and buses, and the routing provider
+ * for everything else. Shared by the editor and the embeddable player.
+ */
+import { getDirections } from '../api';
+import { getGreatCircleArc, getDistance, unwrapPath } from './geo';
+import { routeTransit } from './transit';
+
+// Modes routed by the routing provider
+export const ROUTING_PROFILES = {
+    car: 'driving',
+    bike: 'cycling',
+    walk: 'walking'
+};
+
+// Modes routed over imported transit data; a path found there is kept on the stop as a
+// route with this profile, so the leg replays without the data
+export const TRANSIT_PROFILES = {
+    train: 'transit-train',
+    bus: 'transit-bus'
+};
+
+export const ROUTE_MATCH_KM = 0.01; // Endpoints this close are the same place
+const TRACK_JOIN_KM = 0.05; // Recorded tracks starting further than this from the previous stop get a connector
+
+/**
+ * A route picked from the alternatives, or kept from transit data, only holds for the leg it was found for
+ * @param {object|null} route Stop route ({ name, profile, from, to, coords })
+ */
+export const isRouteCurrent = (route, from, to, mode) => !!route && !!from
+    && route.profile === (ROUTING_PROFILES[mode] || TRANSIT_PROFILES[mode])
+    && getDistance(route.from, from) <= ROUTE_MATCH_KM
+    && getDistance(route.to, to) <= ROUTE_MATCH_KM;
+
+/**
+ * Resolve the legs of an itinerary from a start through stops that have a place
+ * @param {object} start Place ({ name, center })
+ * @param {Array} validStops
+ * @param {object|null} [transitNetwork] Imported rail/bus geometry. Without a match trains get a stand-in arc;
+ *        buses do too, unless there are no bus routes at all, in which case they follow the roads.
+ * @returns {Promise<Array>} Legs ({ mode, from, to, fromName, toName, pathCoords, fallback, camera, duration,
+ *          transitRoute }); transitRoute is the route just found over the transit data, to keep on the stop
+ */
+export async function resolveLegs(start, validStops, transitNetwork = null) {
+    const journey = [];
+    let prevCoords = start.center;
+
+    for (let i = 0; i < validStops.length; i++) {
+        const stop = validStops[i];
+        const mode = stop.mode;
+        const targetCoords = stop.place.center;
+
+        let points = [];
+        let fallback = false;
+        let duration = null; // Seconds, when the router reports it
+        let transitRoute = null;
+
+        if (stop.track) {
+            // Recorded geometry replaces routing; bridge any gap from the previous stop
+            const trackStart = stop.track.coords[0];
+            points = getDistance(prevCoords, trackStart) > TRACK_JOIN_KM
+                ? [prevCoords, ...stop.track.coords]
+                : stop.track.coords;
+        } else if (mode === 'plane') {
+            points = getGreatCircleArc(prevCoords, targetCoords, 100);
+        } else if (mode === 'teleport') {
+            points = [prevCoords, targetCoords];
+        } else if (TRANSIT_PROFILES[mode] && isRouteCurrent(stop.route, prevCoords, targetCoords, mode)) {
+            // The transit path found when the leg was first routed
+            points = stop.route.coords;
+        } else if (mode === 'train' || (mode === 'bus' && transitNetwork && transitNetwork.graphs.bus)) {
+            // Follow imported rail/bus geometry; without a match draw a dashed stand-in arc
+            const path = routeTransit(transitNetwork, mode, prevCoords, targetCoords);
+            if (path) {
+                points = path;
+                transitRoute = { name: 'Transit', profile: TRANSIT_PROFILES[mode], from: prevCoords, to: targetCoords, coords: path };
+            } else {
+                points = getGreatCircleArc(prevCoords, targetCoords, 50);
+                fallback = true;
+            }
+        } else {
+            const via = (stop.via || []).filter(Boolean).map(v => v.center);
+            const route = via.length === 0 && isRouteCurrent(stop.route, prevCoords, targetCoords, mode)
+                ? stop.route
+                : await getDirections(ROUTING_PROFILES[mode] || 'driving', [prevCoords, ...via, targetCoords]);
+            points = route.coords;
+            duration = route.duration;
+        }
+
+        journey.push({
+            mode: mode,
+            from: prevCoords,
+            to: targetCoords,
+            fromName: i === 0 ? start.name.split(',')[0] : validStops[i - 1].place.name.split(',')[0], // Simple short name
+            toName: stop.place.name.split(',')[0],
+            pathCoords: unwrapPath(points), // Continuous across the 180° meridian
+            fallback,
+            camera: stop.camera || null,
+            duration,
+            transitRoute
+        });
+
+        prevCoords = targetCoords;
+    }
+    return journey;
+}
+
+/**
+ * Photos and notes don't change the geometry, so they join (cached) legs afterwards
+ * @param {Array} journey Legs from resolveLegs
+ * @param {Array} validStops The stops they were resolved from
+ */
+export const withMedia = (journey, validStops) => journey.map((leg, i) => ({ ...leg, photos: validStops[i].photos || [], note: validStops[i].note || '' }));
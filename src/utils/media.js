@@ -0,0 +1,180 @@
+/**
+ * Photos attached to stops. Images are downscaled on import and kept in IndexedDB;
+ * journeys only reference them by id, so saved journeys stay small. Journey files
+ * embed the photos as data URLs so they travel with the file. A photo is deleted
+ * once no saved journey and no stop of the itinerary being edited refers to it.
+ */
+
+const DB_NAME = 'nomadroute-media';
+const DB_VERSION = 1;
+const STORE = 'photos';
+
+const MAX_SIDE = 1600; // px
+const JPEG_QUALITY = 0.85;
+
+let dbPromise = null;
+const urlCache = new Map(); // id → object URL
+
+const request = req => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+function openDb() {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+
+    if (!dbPromise) {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+        dbPromise = request(req).catch((e) => {
+            dbPromise = null;
+            throw e;
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(STORE, mode);
+    const result = await fn(tx.objectStore(STORE));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    return result;
+}
+
+const newId = () => `photo-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+async function downscale(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode photo'))), 'image/jpeg', JPEG_QUALITY);
+    });
+}
+
+/**
+ * Store a photo picked by the user
+ * @param {File} file
+ * @returns {Promise<{id: string, caption: string}>} Reference to keep on the stop
+ */
+export async function addPhoto(file) {
+    if (!file.type.startsWith('image/')) throw new Error(`${file.name} is not an image`);
+
+    const blob = await downscale(file);
+    const id = newId();
+    await withStore('readwrite', store => request(store.put({ id, blob, createdAt: Date.now() })));
+    return { id, caption: file.name.replace(/\.[^.]+$/, '') };
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<string|null>} Object URL for the photo, or null when it isn't stored here
+ */
+export async function getPhotoUrl(id) {
+    if (urlCache.has(id)) return urlCache.get(id);
+
+    const entry = await withStore('readonly', store => request(store.get(id)));
+    if (!entry) return null;
+
+    const url = URL.createObjectURL(entry.blob);
+    urlCache.set(id, url);
+    return url;
+}
+
+/**
+ * Decode photos ahead of time, e.g. so the video recorder can draw them synchronously
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, HTMLImageElement>>} Missing photos are left out
+ */
+export async function loadPhotoImages(ids) {
+    const images = new Map();
+    await Promise.all([...new Set(ids)].map(async (id) => {
+        const url = await getPhotoUrl(id);
+        if (!url) return;
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        images.set(id, image);
+    }));
+    return images;
+}
+
+/**
+ * @param {object} journey
+ * @returns {string[]} Ids of every photo on the journey's stops, every traveller's included
+ */
+export function getJourneyPhotoIds(journey) {
+    const stops = [...journey.stops, ...(journey.travellers || []).flatMap(t => t.stops || [])];
+    return stops.flatMap(s => (s.photos || []).map(p => p.id));
+}
+
+const blobToDataUrl = blob => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+/**
+ * @param {string[]} ids
+ * @returns {Promise<Object<string, string>>} id → data URL, for embedding in a journey file
+ */
+export async function exportPhotos(ids) {
+    const entries = await withStore('readonly', store => Promise.all([...new Set(ids)].map(id => request(store.get(id)))));
+    const media = {};
+    await Promise.all(entries.filter(Boolean).map(async (entry) => {
+        media[entry.id] = await blobToDataUrl(entry.blob);
+    }));
+    return media;
+}
+
+/**
+ * Store photos embedded in an imported journey file
+ * @param {Object<string, string>} media id → data URL
+ */
+export async function importPhotos(media) {
+    const entries = await Promise.all(Object.entries(media).map(async ([id, dataUrl]) => {
+        const blob = await (await fetch(dataUrl)).blob();
+        return { id, blob, createdAt: Date.now() };
+    }));
+    await withStore('readwrite', store => Promise.all(entries.map(entry => request(store.put(entry)))));
+    entries.forEach(({ id }) => {
+        if (urlCache.has(id)) URL.revokeObjectURL(urlCache.get(id));
+        urlCache.delete(id);
+    });
+}
+
+/**
+ * Remove photos from the store
+ * @param {string[]} ids
+ */
+export async function deletePhotos(ids) {
+    const unique = [...new Set(ids)];
+    if (unique.length === 0) return;
+
+    await withStore('readwrite', store => Promise.all(unique.map(id => request(store.delete(id)))));
+    unique.forEach((id) => {
+        if (urlCache.has(id)) URL.revokeObjectURL(urlCache.get(id));
+        urlCache.delete(id);
+    });
+}
+
+/**
+ * Delete the photos among ids that none of the given journeys still refers to
+ * @param {string[]} ids Photos just dropped, e.g. from a deleted journey or a stop
+ * @param {object[]} journeys Every journey still around: the saved ones and the itinerary being edited
+ */
+export function releasePhotos(ids, journeys) {
+    const used = new Set(journeys.flatMap(getJourneyPhotoIds));
+    return deletePhotos(ids.filter(id => !used.has(id)));
+}
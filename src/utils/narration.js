@@ -0,0 +1,47 @@
+/**
+ * Spoken narration of playback captions with the Web Speech API.
+ */
+
+export const isNarrationSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+/**
+ * @returns {SpeechSynthesisVoice[]} Empty until the browser has loaded its voices (see voiceschanged)
+ */
+export function getVoices() {
+    return isNarrationSupported() ? window.speechSynthesis.getVoices() : [];
+}
+
+/**
+ * Speak a playback's captions as they come up. When captions come faster than they
+ * can be spoken, the backlog is dropped so the voice keeps up with the picture.
+ * @param {object} controller Playback controller (see createPlayback)
+ * @param {object} [options]
+ * @param {string} [options.voice] voiceURI; the browser's default voice otherwise
+ * @param {number} [options.rate] Speaking rate, 1 is normal
+ * @returns {Function} Stops narrating
+ */
+export function narratePlayback(controller, { voice = '', rate = 1 } = {}) {
+    if (!isNarrationSupported()) return () => {};
+
+    const synth = window.speechSynthesis;
+    const selected = getVoices().find(v => v.voiceURI === voice) || null;
+
+    const offCue = controller.on('cue', (cue) => {
+        if (synth.pending) synth.cancel();
+        const utterance = new SpeechSynthesisUtterance(cue.text);
+        if (selected) utterance.voice = selected;
+        utterance.rate = rate;
+        synth.speak(utterance);
+    });
+    const offState = controller.on('state', (state) => {
+        if (state === 'paused') synth.pause();
+        else if (state === 'playing') synth.resume();
+        else if (state === 'idle') synth.cancel();
+    });
+
+    return () => {
+        offCue();
+        offState();
+        synth.cancel();
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Visiting-order optimization: a travelling-salesman heuristic (nearest neighbour,
+ * then 2-opt and or-opt moves) over leg distances or travel times. Legs that have
+ * been routed cost what the route does; the rest are estimated from straight-line
+ * distances. The start and the end are fixed; a round trip ends back at the start.
+ */
+import { getDistance } from './geo';
+import { DEFAULT_AVERAGE_SPEEDS } from './stats';
+
+export const OPTIMIZE_METRICS = [
+    { value: 'distance', label: 'Distance' },
+    { value: 'duration', label: 'Travel time' }
+];
+
+const MAX_PASSES = 50;
+
+/**
+ * @param {Array<[number, number]>} points Node positions; node 0 is the start
+ * @param {string[]} modes Mode used to reach each node (modes[0] is unused)
+ * @param {'distance'|'duration'} metric
+ * @param {Array<{from: number, to: number, cost: number}>} [known] Routed costs, used as they are.
+ *        Estimates are scaled by how much the routes exceed theirs, so a routed pair and an
+ *        estimated one compare fairly.
+ * @returns {number[][]} cost[i][j] of going from node i to node j, in km or seconds
+ */
+export function getCostMatrix(points, modes, metric, known = []) {
+    const estimate = (i, j) => {
+        const km = getDistance(points[i], points[j]);
+        if (metric !== 'duration') return km;
+
+        const speed = DEFAULT_AVERAGE_SPEEDS[modes[j]] || 0;
+        return speed > 0 ? (km / speed) * 3600 : 0;
+    };
+
+    const estimated = known.reduce((sum, k) => sum + estimate(k.from, k.to), 0);
+    const routed = known.reduce((sum, k) => sum + k.cost, 0);
+    const detour = estimated > 0 && routed > 0 ? routed / estimated : 1;
+
+    const cost = points.map((_, i) => points.map((__, j) => (i === j ? 0 : estimate(i, j) * detour)));
+    known.forEach((k) => { cost[k.from][k.to] = k.cost; });
+    return cost;
+}
+
+/**
+ * @param {number[]} order Node indices, in visiting order
+ * @param {number[][]} cost
+ */
+export function getOrderCost(order, cost) {
+    let total = 0;
+    for (let i = 1; i < order.length; i++) total += cost[order[i - 1]][order[i]];
+    return total;
+}
+
+function nearestNeighbour(first, middle, last, cost) {
+    const order = [first];
+    const left = new Set(middle);
+    let current = first;
+    while (left.size > 0) {
+        let best = null;
+        left.forEach((n) => {
+            if (best === null || cost[current][n] < cost[current][best]) best = n;
+        });
+        order.push(best);
+        left.delete(best);
+        current = best;
+    }
+    return [...order, last];
+}
+
+// Improve an order with segment reversals and moves, keeping both ends. Each move is
+// judged by the edges it changes, so a pass costs O(n²) rather than re-costing every candidate.
+function improve(order, cost) {
+    const n = order.length;
+
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        let improved = false;
+
+        // 2-opt: reverse order[i..j]. Costs may be asymmetric, so the reversed segment is
+        // re-costed too, with both directions summed as j grows
+        for (let i = 1; i < n - 2; i++) {
+            const a = order[i - 1];
+            let forward = 0;
+            let backward = 0;
+            for (let j = i + 1; j < n - 1; j++) {
+                forward += cost[order[j - 1]][order[j]];
+                backward += cost[order[j]][order[j - 1]];
+                const b = order[j + 1];
+                const delta = cost[a][order[j]] + backward + cost[order[i]][b]
+                    - (cost[a][order[i]] + forward + cost[order[j]][b]);
+                if (delta < -1e-9) {
+                    order = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+                    improved = true;
+                    break;
+                }
+            }
+        }
+
+        // Or-opt: move one stop to another position
+        for (let i = 1; i < n - 1; i++) {
+            const node = order[i];
+            const prev = order[i - 1];
+            const next = order[i + 1];
+            const removed = cost[prev][node] + cost[node][next] - cost[prev][next];
+            // Position k once the stop is taken out
+            const at = k => order[k < i ? k : k + 1];
+
+            for (let j = 1; j < n - 1; j++) {
+                if (j === i) continue;
+                const before = at(j - 1);
+                const after = at(j);
+                const delta = cost[before][node] + cost[node][after] - cost[before][after] - removed;
+                if (delta < -1e-9) {
+                    order = [...order];
+                    order.splice(i, 1);
+                    order.splice(j, 0, node);
+                    improved = true;
+                    break;
+                }
+            }
+        }
+
+        if (!improved) break;
+    }
+    return order;
+}
+
+/**
+ * Find a short visiting order from node 0 to node `last` through every other node
+ * @param {number[][]} cost
+ * @param {number} last Fixed end node
+ * @param {number[]} current The order as it is, tried as a seed too so the result is never worse
+ * @returns {number[]}
+ */
+export function solveOrder(cost, last, current) {
+    const middle = current.slice(1, -1);
+    const seeds = [current, nearestNeighbour(0, middle, last, cost)];
+
+    return seeds
+        .map(seed => improve([...seed], cost))
+        .reduce((best, order) => (getOrderCost(order, cost) < getOrderCost(best, cost) ? order : best));
+}
+
+/**
+ * Optimize the visiting order of an itinerary
+ * @param {[number, number]} start
+ * @param {Array<{place: {center: [number, number]}, mode: string}>} stops Stops with a place
+ * @param {object} options
+ * @param {'distance'|'duration'} options.metric
+ * @param {boolean} options.roundTrip End back at the start instead of at the last stop
+ * @param {Array<number|null>} [options.legCosts] Routed cost of reaching each stop from the one
+ *        before it in the current order, or null where it isn't known
+ * @returns {{order: number[], before: number, after: number, routed: boolean, returnMode: string|null}}
+ *          order indexes stops; with a round trip every stop is free and the return leg, made in
+ *          returnMode, is counted in both costs. routed is whether any routed costs were used.
+ */
+export function optimizeStops(start, stops, { metric, roundTrip, legCosts = [] }) {
+    const points = [start, ...stops.map(s => s.place.center)];
+    const modes = [null, ...stops.map(s => s.mode)];
+
+    let last = stops.length; // Node of the last stop
+    const returnMode = roundTrip ? stops[stops.length - 1].mode : null;
+    if (roundTrip) {
+        // A virtual end node at the start, reached in the mode of the last leg
+        points.push(start);
+        modes.push(returnMode);
+        last = points.length - 1;
+    }
+
+    // Leg k of the current order goes from node k to node k + 1
+    const known = legCosts
+        .map((cost, k) => (typeof cost === 'number' && Number.isFinite(cost) ? { from: k, to: k + 1, cost } : null))
+        .filter(Boolean);
+    const cost = getCostMatrix(points, modes, metric, known);
+    const current = points.map((_, i) => i);
+    const order = solveOrder(cost, last, current);
+
+    const stopNodes = roundTrip ? order.slice(1, -1) : order.slice(1);
+    return {
+        order: stopNodes.map(node => node - 1),
+        before: getOrderCost(current, cost),
+        after: getOrderCost(order, cost),
+        routed: known.length > 0,
+        returnMode
+    };
+}
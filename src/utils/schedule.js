@@ -0,0 +1,221 @@
+/**
+ * Trip timing: arrival/departure times and nights per stop, in each stop's time zone.
+ * Times are stored as local wall-clock strings ('YYYY-MM-DDTHH:mm', as from a
+ * datetime-local input) and resolved to instants here. Missing times are estimated
+ * from the previous departure and the leg's travel time where possible.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const partsFormats = new Map(); // timeZone → Intl.DateTimeFormat
+
+function zoneParts(ms, timeZone) {
+    let format = partsFormats.get(timeZone);
+    if (!format) {
+        format = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        partsFormats.set(timeZone, format);
+    }
+
+    const parts = {};
+    format.formatToParts(new Date(ms)).forEach((p) => {
+        if (p.type !== 'literal') parts[p.type] = Number(p.value);
+    });
+    return parts;
+}
+
+/**
+ * @param {string} timeZone IANA name, e.g. 'Europe/Paris'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// UTC offset of a zone at an instant, in ms
+function zoneOffset(ms, timeZone) {
+    const p = zoneParts(ms, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Instant of a wall-clock time in a time zone
+ * @param {string} local 'YYYY-MM-DDTHH:mm' (time optional)
+ * @param {string} timeZone
+ * @returns {number|null} Epoch ms, or null when the string isn't a date
+ */
+export function zonedToUtc(local, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(local || '');
+    if (!match) return null;
+
+    const [, y, mo, d, h = 0, mi = 0] = match.map(Number);
+    const wall = Date.UTC(y, mo - 1, d, h, mi);
+    // Second pass settles times near a DST change
+    const first = wall - zoneOffset(wall, timeZone);
+    return wall - zoneOffset(first, timeZone);
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function localDate(ms, timeZone) {
+    const p = zoneParts(ms, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * Resolve the itinerary's times and check they are possible
+ * @param {{departure?: string, timeZone?: string}|null} startTime
+ * @param {Array<{arrival?: string, departure?: string, nights?: number, timeZone?: string}>} stops Stops with a place, in order
+ * @param {Array<number|null>} [legDurations] Travel seconds of the leg into each stop, when known
+ * @returns {{
+ *   start: {departure: number|null, timeZone: string},
+ *   stops: Array<{arrival: number|null, departure: number|null, nights: number|null, timeZone: string,
+ *                 estimatedArrival: boolean, estimatedDeparture: boolean, day: number|null}>,
+ *   firstDate: string|null,
+ *   warnings: Array<{index: number, message: string}>
+ * }} index is the stop's position, -1 for the start
+ */
+export function getSchedule(startTime, stops, legDurations = []) {
+    const warnings = [];
+    const zoneFor = (zone, fallback, index) => {
+        if (!zone) return fallback;
+        if (isValidTimeZone(zone)) return zone;
+        warnings.push({ index, message: `Unknown time zone "${zone}"` });
+        return fallback;
+    };
+
+    const startZone = zoneFor(startTime && startTime.timeZone, LOCAL_TIME_ZONE, -1);
+    const start = {
+        departure: startTime && startTime.departure ? zonedToUtc(startTime.departure, startZone) : null,
+        timeZone: startZone
+    };
+
+    let zone = startZone;
+    let prevDeparture = start.departure;
+
+    const resolved = stops.map((stop, i) => {
+        zone = zoneFor(stop.timeZone, zone, i); // Stops without a zone keep the previous one
+        const duration = legDurations[i];
+        const hasDuration = typeof duration === 'number' && Number.isFinite(duration);
+
+        let arrival = stop.arrival ? zonedToUtc(stop.arrival, zone) : null;
+        const estimatedArrival = arrival === null && prevDeparture !== null && hasDuration;
+        if (estimatedArrival) arrival = prevDeparture + duration * 1000;
+
+        let departure = stop.departure ? zonedToUtc(stop.departure, zone) : null;
+        const nightsSet = typeof stop.nights === 'number' && stop.nights >= 0;
+        const estimatedDeparture = departure === null && arrival !== null && nightsSet;
+        if (estimatedDeparture) departure = arrival + stop.nights * DAY_MS;
+
+        const datedNights = arrival !== null && departure !== null && !estimatedDeparture
+            ? daysBetween(localDate(arrival, zone), localDate(departure, zone))
+            : null;
+
+        if (stop.arrival && prevDeparture !== null) {
+            if (arrival < prevDeparture) {
+                warnings.push({ index: i, message: 'Arrives before leaving the previous stop' });
+            } else if (hasDuration && arrival - prevDeparture < duration * 1000) {
+                warnings.push({ index: i, message: 'Not enough time for the journey here' });
+            }
+        }
+        if (arrival !== null && departure !== null && departure < arrival) {
+            warnings.push({ index: i, message: 'Departs before it arrives' });
+        }
+        if (nightsSet && datedNights !== null && datedNights >= 0 && datedNights !== stop.nights) {
+            warnings.push({ index: i, message: `${stop.nights} nights don't match the dates (${datedNights})` });
+        }
+
+        prevDeparture = departure !== null ? departure : arrival;
+
+        return {
+            arrival,
+            departure,
+            nights: nightsSet ? stop.nights : datedNights,
+            timeZone: zone,
+            estimatedArrival,
+            estimatedDeparture,
+            day: null
+        };
+    });
+
+    // Day 1 is the date of the first known time
+    let firstDate = start.departure !== null ? localDate(start.departure, startZone) : null;
+    resolved.forEach((s) => {
+        const ms = s.arrival !== null ? s.arrival : s.departure;
+        if (ms === null) return;
+        const date = localDate(ms, s.timeZone);
+        if (firstDate === null) firstDate = date;
+        s.day = daysBetween(firstDate, date) + 1;
+    });
+
+    return { start, stops: resolved, firstDate, warnings };
+}
+
+/**
+ * Where the trip is in time while a leg plays: departure of the leg, its arrival,
+ * or in between by the distance travelled
+ * @param {ReturnType<typeof getSchedule>} schedule
+ * @param {number} legIndex Leg into stops[legIndex]
+ * @param {number} fraction 0..1 of the leg travelled
+ * @returns {{time: number, timeZone: string}|null}
+ */
+export function getTimeAt(schedule, legIndex, fraction) {
+    const from = legIndex === 0 ? schedule.start : schedule.stops[legIndex - 1];
+    const to = schedule.stops[legIndex];
+    if (!to) return null;
+
+    const departure = from.departure !== null ? from.departure : from.arrival;
+    if (departure == null && to.arrival === null) return null;
+    if (departure == null || (fraction >= 1 && to.arrival !== null)) return { time: to.arrival, timeZone: to.timeZone };
+    if (to.arrival === null || fraction <= 0) return { time: departure, timeZone: from.timeZone };
+
+    return { time: departure + (to.arrival - departure) * fraction, timeZone: from.timeZone };
+}
+
+/**
+ * @param {number} ms
+ * @param {string} timeZone
+ * @param {string|null} firstDate From getSchedule
+ * @returns {string} e.g. 'Day 4 — 12 Mar'
+ */
+export function formatTripDay(ms, timeZone, firstDate) {
+    const date = new Intl.DateTimeFormat(undefined, { day: 'numeric', month: 'short', timeZone }).format(new Date(ms));
+    if (!firstDate) return date;
+    return `Day ${daysBetween(firstDate, localDate(ms, timeZone)) + 1} — ${date}`;
+}
+
+/**
+ * Heading for a day group in the itinerary, e.g. 'Day 2 · Thu 13 Mar'
+ */
+export function formatDayHeading(day, ms, timeZone) {
+    const date = new Intl.DateTimeFormat(undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone }).format(new Date(ms));
+    return `Day ${day} · ${date}`;
+}
+
+/**
+ * @returns {string} e.g. 'Thu 13 Mar, 14:05'
+ */
+export function formatStopTime(ms, timeZone) {
+    return new Intl.DateTimeFormat(undefined, {
+        weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone
+    }).format(new Date(ms));
+}
@@ -0,0 +1,266 @@
+/**
+ * Shareable links: the itinerary and settings packed into the URL hash.
+ *
+ * Format: #j=<version>.<payload>[&play=1]
+ *   payload = base64url(deflate-raw(JSON of the packed journey))
+ * Browsers without CompressionStream write version "1u" with an uncompressed payload.
+ */
+import { normalizeJourney, JOURNEY_SCHEMA_VERSION, JOURNEY_FILE_TYPE } from './journeys';
+import { simplifyPath } from './geo';
+
+const SHARE_VERSION = 1;
+const COORD_PRECISION = 1e5; // ~1m
+const TRACK_TOLERANCE = 0.0001; // Degrees; keeps links short without visibly bending tracks
+
+// Index-coded modes keep the payload short; unknown modes are stored as strings
+const MODE_CODES = ['car', 'bus', 'bike', 'walk', 'train', 'plane', 'teleport'];
+
+const round = n => Math.round(n * COORD_PRECISION) / COORD_PRECISION;
+
+function packPlace(place) {
+    return place ? [place.name, round(place.center[0]), round(place.center[1])] : 0;
+}
+
+function unpackPlace(packed, id) {
+    if (packed === 0) return null;
+    if (!Array.isArray(packed) || packed.length !== 3) throw new Error('bad place');
+
+    const [name, lng, lat] = packed;
+    return { id, name, center: [lng, lat] };
+}
+
+// Recorded tracks are simplified and delta-encoded in 1e-5 degree steps
+function packTrack(track) {
+    const coords = simplifyPath(track.coords, TRACK_TOLERANCE);
+    const flat = [];
+    let prev = [0, 0];
+    coords.forEach((c) => {
+        const q = [Math.round(c[0] * COORD_PRECISION), Math.round(c[1] * COORD_PRECISION)];
+        flat.push(q[0] - prev[0], q[1] - prev[1]);
+        prev = q;
+    });
+    return [track.name || '', flat];
+}
+
+function unpackTrack([name, flat]) {
+    if (!Array.isArray(flat) || flat.length % 2 !== 0) throw new Error('bad track');
+
+    const coords = [];
+    let lng = 0;
+    let lat = 0;
+    for (let i = 0; i < flat.length; i += 2) {
+        lng += flat[i];
+        lat += flat[i + 1];
+        coords.push([lng / COORD_PRECISION, lat / COORD_PRECISION]);
+    }
+    return { name, coords };
+}
+
+// A chosen alternative keeps the endpoints it was fetched for, so it can be checked against the leg,
+// and the router's duration (null when it gave none) so the leg is timed as it was for the sender
+function packRoute(route) {
+    const [name, flat] = packTrack(route);
+    const duration = typeof route.duration === 'number' ? Math.round(route.duration) : null;
+    return [name, route.profile, ...route.from.map(round), ...route.to.map(round), flat, duration];
+}
+
+function unpackRoute([name, profile, fromLng, fromLat, toLng, toLat, flat, duration]) {
+    const route = { ...unpackTrack([name, flat]), profile, from: [fromLng, fromLat], to: [toLng, toLat] };
+    if (typeof duration === 'number') route.duration = duration;
+    return route;
+}
+
+// [arrival, departure, nights, timeZone]; nights is null when unset since 0 is a valid count
+function packTimes(t) {
+    if (!t.arrival && !t.departure && typeof t.nights !== 'number' && !t.timeZone) return 0;
+    return [t.arrival || 0, t.departure || 0, typeof t.nights === 'number' ? t.nights : null, t.timeZone || 0];
+}
+
+function unpackTimes(target, [arrival, departure, nights, timeZone]) {
+    if (arrival) target.arrival = arrival;
+    if (departure) target.departure = departure;
+    if (typeof nights === 'number') target.nights = nights;
+    if (timeZone) target.timeZone = timeZone;
+    return target;
+}
+
+function packStops(stops) {
+    return stops.map(s => {
+        const code = MODE_CODES.indexOf(s.mode);
+        // [place, mode, track, camera, via, route, times, note], trailing empty fields dropped.
+        // Photos stay out: they would not fit in a URL
+        const packed = [
+            packPlace(s.place),
+            code >= 0 ? code : s.mode,
+            s.track ? packTrack(s.track) : 0,
+            s.camera || 0,
+            s.via && s.via.length > 0 ? s.via.map(packPlace) : 0,
+            s.route ? packRoute(s.route) : 0,
+            packTimes(s),
+            s.note || 0
+        ];
+        while (packed.length > 2 && packed[packed.length - 1] === 0) packed.pop();
+        return packed;
+    });
+}
+
+function unpackStops(stops, idPrefix) {
+    if (!Array.isArray(stops)) throw new Error('bad stops');
+
+    return stops.map(([place, mode, track, camera, via, route, times, note], i) => {
+        const stop = {
+            place: unpackPlace(place, `${idPrefix}-${i}`),
+            mode: typeof mode === 'number' ? MODE_CODES[mode] : mode
+        };
+        if (track) stop.track = unpackTrack(track);
+        if (camera) stop.camera = camera;
+        if (via) stop.via = via.map((v, j) => unpackPlace(v, `${idPrefix}-${i}-via-${j}`));
+        if (route) stop.route = unpackRoute(route);
+        if (times) unpackTimes(stop, times);
+        if (note) stop.note = note;
+        return stop;
+    });
+}
+
+// [name, color, icon] for the first traveller, [name, color, icon, start, stops, startTime] for the others
+function packTravellers(travellers) {
+    return travellers.map((t, i) => (i === 0
+        ? [t.name, t.color, t.icon]
+        : [t.name, t.color, t.icon, packPlace(t.start), packStops(t.stops), t.startTime ? packTimes(t.startTime) : 0]));
+}
+
+function unpackTravellers(travellers) {
+    return travellers.map(([name, color, icon, start, stops, startTime], i) => {
+        const traveller = { name, color, icon };
+        if (i === 0) return traveller;
+
+        traveller.start = unpackPlace(start, `shared-t${i}-start`);
+        traveller.stops = unpackStops(stops, `shared-t${i}`);
+        if (startTime) traveller.startTime = unpackTimes({}, startTime);
+        return traveller;
+    });
+}
+
+function pack(journey) {
+    const packed = [
+        SHARE_VERSION,
+        journey.name,
+        packPlace(journey.start),
+        packStops(journey.stops),
+        journey.settings,
+        journey.startTime ? packTimes(journey.startTime) : 0
+    ];
+    if (journey.travellers) packed.push(packTravellers(journey.travellers));
+    return packed;
+}
+
+function unpack(data) {
+    if (!Array.isArray(data) || data[0] !== SHARE_VERSION || !Array.isArray(data[3])) {
+        throw new Error('bad structure');
+    }
+
+    const [, name, start, stops, settings, startTime, travellers] = data;
+    const journey = {
+        type: JOURNEY_FILE_TYPE,
+        version: JOURNEY_SCHEMA_VERSION,
+        name,
+        start: unpackPlace(start, 'shared-start'),
+        stops: unpackStops(stops, 'shared'),
+        settings
+    };
+    if (startTime) journey.startTime = unpackTimes({}, startTime);
+    if (travellers) journey.travellers = unpackTravellers(travellers);
+    return journey;
+}
+
+// --- Bytes <-> text ---
+
+function toBase64Url(bytes) {
+    let binary = '';
+    const CHUNK = 0x8000;
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+const canCompress = () => typeof CompressionStream !== 'undefined';
+
+// --- Public API ---
+
+/**
+ * Encode a journey into a URL hash fragment (without the leading '#')
+ * @param {object} journey See createJourney in journeys.js
+ * @param {object} [options]
+ * @param {boolean} [options.autoplay]
+ * @returns {Promise<string>}
+ */
+export async function encodeShareHash(journey, { autoplay = false } = {}) {
+    const json = new TextEncoder().encode(JSON.stringify(pack(journey)));
+
+    const value = canCompress()
+        ? `${SHARE_VERSION}.${toBase64Url(await transform(json, new CompressionStream('deflate-raw')))}`
+        : `${SHARE_VERSION}u.${toBase64Url(json)}`;
+
+    return `j=${value}${autoplay ? '&play=1' : ''}`;
+}
+
+/**
+ * Build a full share URL for the current page
+ * @param {object} journey
+ * @param {object} [options] See encodeShareHash
+ * @returns {Promise<string>}
+ */
+export async function createShareUrl(journey, options) {
+    const { origin, pathname, search } = window.location;
+    return `${origin}${pathname}${search}#${await encodeShareHash(journey, options)}`;
+}
+
+/**
+ * Decode a URL hash fragment produced by encodeShareHash
+ * @param {string} hash With or without the leading '#'
+ * @returns {Promise<{journey: object, autoplay: boolean} | null>} null when the hash holds no journey
+ * @throws {Error} When the link is malformed or from an unsupported version
+ */
+export async function decodeShareHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const value = params.get('j');
+    if (!value) return null;
+
+    const match = /^(\d+)(u?)\.(.+)$/.exec(value);
+    if (!match) throw new Error('This share link is malformed.');
+
+    const [, version, uncompressed, payload] = match;
+    if (Number(version) !== SHARE_VERSION) {
+        throw new Error('This share link was made by a different version of NomadRoute and cannot be opened.');
+    }
+
+    let data;
+    try {
+        let bytes = fromBase64Url(payload);
+        if (!uncompressed) {
+            if (!canCompress()) throw new Error('no DecompressionStream');
+            bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+        }
+        data = unpack(JSON.parse(new TextDecoder().decode(bytes)));
+    } catch (e) {
+        console.warn('Share link decode failed', e);
+        throw new Error('This share link is damaged or incomplete.');
+    }
+
+    return {
+        journey: normalizeJourney(data),
+        autoplay: params.get('play') === '1'
+    };
+}
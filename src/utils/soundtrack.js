@@ -0,0 +1,438 @@
+/**
+ * Soundtrack of a playback: a music track with fades at the intro and the end,
+ * ambient sound for each leg's mode, crossfaded at leg changes, and a chime on
+ * each arrival. The effects are synthesized, so there are no sound files to ship.
+ *
+ * The soundtrack is rendered in short chunks on demand, around the playhead or the
+ * frame being recorded, so long journeys neither hold minutes of audio in memory
+ * nor keep Play waiting; the sound stays in time however the picture is played,
+ * paused, seeked or recorded.
+ */
+
+const SAMPLE_RATE = 44100;
+const CHUNK_MS = 10000;
+const PREROLL_MS = 2000; // Rendered ahead of each chunk, so sounds started just before it ring on into it
+const CHUNK_CACHE = 4;
+const LOOKAHEAD_MS = 2000; // The next chunk is asked for this long before the current one runs out
+
+const MUSIC_FADE_IN_MS = 2000;
+const MUSIC_FADE_OUT_MS = 4000;
+const CROSSFADE_MS = 1500; // Ambient sounds of consecutive legs overlap by this much
+const CHIME_GAP_MS = 300; // Travellers arriving together get one chime
+const RESYNC_MS = 250; // Live sound further than this from the picture starts over at its time
+
+let audioContext = null;
+
+export const isAudioSupported = () => typeof window !== 'undefined'
+    && typeof window.AudioContext !== 'undefined'
+    && typeof window.OfflineAudioContext !== 'undefined';
+
+// One context for the page: browsers limit how many can be open
+function getAudioContext() {
+    if (!audioContext) audioContext = new AudioContext();
+    if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+    return audioContext;
+}
+
+/**
+ * Decode a local music file
+ * @param {File} file
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeMusic(file) {
+    if (!isAudioSupported()) throw new Error('This browser cannot play audio (Web Audio API is not available)');
+    try {
+        return await getAudioContext().decodeAudioData(await file.arrayBuffer());
+    } catch (e) {
+        throw new Error(`Could not read ${file.name} as audio`);
+    }
+}
+
+// --- Synthesized effects ---
+
+function createNoise(ctx) {
+    const buffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return buffer;
+}
+
+// Looping filtered noise from `from` to `to` (seconds)
+function hiss(ctx, noise, destination, from, to, { type, frequency, Q = 1, level }) {
+    const source = ctx.createBufferSource();
+    source.buffer = noise;
+    source.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    filter.Q.value = Q;
+    const gain = ctx.createGain();
+    gain.gain.value = level;
+    source.connect(filter).connect(gain).connect(destination);
+    source.start(from, Math.random() * noise.duration);
+    source.stop(to);
+}
+
+// A short filtered noise burst: a footstep, or a wheel over a rail joint
+function knock(ctx, noise, destination, at, { frequency, decay, level }) {
+    const source = ctx.createBufferSource();
+    source.buffer = noise;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = frequency;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0, at);
+    gain.gain.linearRampToValueAtTime(level, at + 0.005);
+    gain.gain.exponentialRampToValueAtTime(0.001, at + decay);
+    source.connect(filter).connect(gain).connect(destination);
+    source.start(at, Math.random() * (noise.duration - 1));
+    source.stop(at + decay + 0.01);
+}
+
+// An idling engine: a low sawtooth with a slow wobble, over a rumble
+function engine(ctx, noise, destination, from, to, pitch) {
+    const osc = ctx.createOscillator();
+    osc.type = 'sawtooth';
+    osc.frequency.value = pitch;
+    const wobble = ctx.createOscillator();
+    wobble.frequency.value = 0.3;
+    const depth = ctx.createGain();
+    depth.gain.value = pitch * 0.05;
+    wobble.connect(depth).connect(osc.frequency);
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = pitch * 6;
+    const gain = ctx.createGain();
+    gain.gain.value = 0.25;
+    osc.connect(filter).connect(gain).connect(destination);
+    [osc, wobble].forEach((node) => {
+        node.start(from);
+        node.stop(to);
+    });
+    hiss(ctx, noise, destination, from, to, { type: 'lowpass', frequency: 200, level: 0.4 });
+}
+
+// Beats every `step` seconds counted from `origin`, within [from, to)
+function beats(origin, step, from, to) {
+    const times = [];
+    for (let i = Math.max(0, Math.ceil((from - origin) / step)); origin + i * step < to; i++) times.push({ at: origin + i * step, i });
+    return times;
+}
+
+// Each ambience runs from `from` to `to`; rhythms keep counting from the leg's `origin`
+// so they carry on unbroken from one chunk into the next
+const AMBIENCE = {
+    walk: (ctx, noise, destination, from, to, origin) => {
+        beats(origin, 0.55, from, to).forEach(({ at, i }) => {
+            knock(ctx, noise, destination, at, { frequency: 600, decay: 0.12, level: i % 2 ? 0.5 : 0.4 });
+        });
+    },
+    bike: (ctx, noise, destination, from, to) => {
+        hiss(ctx, noise, destination, from, to, { type: 'bandpass', frequency: 1000, Q: 0.3, level: 0.2 });
+    },
+    car: (ctx, noise, destination, from, to) => engine(ctx, noise, destination, from, to, 60),
+    bus: (ctx, noise, destination, from, to) => engine(ctx, noise, destination, from, to, 42),
+    train: (ctx, noise, destination, from, to, origin) => {
+        hiss(ctx, noise, destination, from, to, { type: 'lowpass', frequency: 400, level: 0.5 });
+        // Clickety-clack: a pair of wheel knocks over every rail joint
+        beats(origin, 1.2, from, to).forEach(({ at }) => {
+            knock(ctx, noise, destination, at, { frequency: 2000, decay: 0.08, level: 0.5 });
+            knock(ctx, noise, destination, at + 0.15, { frequency: 2000, decay: 0.08, level: 0.4 });
+        });
+    },
+    plane: (ctx, noise, destination, from, to) => {
+        hiss(ctx, noise, destination, from, to, { type: 'bandpass', frequency: 600, Q: 0.5, level: 0.6 });
+        hiss(ctx, noise, destination, from, to, { type: 'lowpass', frequency: 150, level: 0.6 });
+    }
+};
+
+function chime(ctx, destination, at) {
+    [[880, 1], [1318.5, 0.5], [1760, 0.25]].forEach(([frequency, level]) => {
+        const osc = ctx.createOscillator();
+        osc.frequency.value = frequency;
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, at);
+        gain.gain.linearRampToValueAtTime(0.3 * level, at + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, at + 1.5);
+        osc.connect(gain).connect(destination);
+        osc.start(at);
+        osc.stop(at + 1.6);
+    });
+}
+
+/**
+ * Gain following a piecewise-linear envelope, seen through a chunk
+ * @param {Array<[number, number]>} points [time, value] on the timeline (seconds), in order
+ * @param {number} start Timeline time of the chunk's first sample (seconds)
+ * @param {number} length Chunk length (seconds)
+ */
+function envelope(ctx, destination, points, start, length) {
+    const valueAt = (t) => {
+        if (t <= points[0][0]) return points[0][1];
+        const next = points.findIndex(([time]) => time >= t);
+        if (next < 0) return points[points.length - 1][1];
+        const [t0, v0] = points[next - 1];
+        const [t1, v1] = points[next];
+        return t1 > t0 ? v0 + (v1 - v0) * (t - t0) / (t1 - t0) : v1;
+    };
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(valueAt(start), 0);
+    points
+        .filter(([t]) => t > start && t < start + length)
+        .forEach(([t, v]) => gain.gain.linearRampToValueAtTime(v, t - start));
+    gain.gain.linearRampToValueAtTime(valueAt(start + length), length);
+    gain.connect(destination);
+    return gain;
+}
+
+/**
+ * Whether the levels and music make any sound at all
+ * @param {{volume: number, music: number, effects: number}} levels
+ * @param {AudioBuffer|null} music
+ */
+export const hasSoundtrack = (levels, music) => isAudioSupported()
+    && levels.volume > 0
+    && ((music && levels.music > 0) || levels.effects > 0);
+
+// Render chunk `index`: PREROLL_MS before it, then CHUNK_MS of the timeline
+function renderChunk({ duration, legs, arrivals, music, levels }, index) {
+    const start = (index * CHUNK_MS - PREROLL_MS) / 1000;
+    const length = (CHUNK_MS + PREROLL_MS) / 1000;
+    const end = start + length;
+    const local = t => t - start;
+
+    const ctx = new OfflineAudioContext(2, Math.ceil(length * SAMPLE_RATE), SAMPLE_RATE);
+    const master = ctx.createGain();
+    master.gain.value = levels.volume;
+    master.connect(ctx.destination);
+
+    if (music && levels.music > 0) {
+        const from = Math.max(0, start);
+        const loop = music.duration < duration;
+        if (from < Math.min(end, duration) && (loop || from < music.duration)) {
+            const level = ctx.createGain();
+            level.gain.value = levels.music;
+            level.connect(master);
+            const fadeIn = Math.min(MUSIC_FADE_IN_MS / 1000, duration / 2);
+            const fadeOut = Math.min(MUSIC_FADE_OUT_MS / 1000, duration / 2);
+
+            const source = ctx.createBufferSource();
+            source.buffer = music;
+            source.loop = loop;
+            source.connect(envelope(ctx, level, [[0, 0], [fadeIn, 1], [duration - fadeOut, 1], [duration, 0]], start, length));
+            source.start(local(from), loop ? from % music.duration : from);
+            source.stop(local(Math.min(end, duration)));
+        }
+    }
+
+    if (levels.effects > 0) {
+        const noise = createNoise(ctx);
+        const level = ctx.createGain();
+        level.gain.value = levels.effects;
+        level.connect(master);
+
+        const half = CROSSFADE_MS / 2000;
+        legs.forEach((leg) => {
+            const ambience = AMBIENCE[leg.mode];
+            const legFrom = Math.max(0, leg.start / 1000 - half);
+            const legTo = Math.min(duration, leg.end / 1000 + half);
+            const from = Math.max(legFrom, start);
+            const to = Math.min(legTo, end);
+            if (!ambience || to <= from) return;
+
+            const fade = Math.min(half * 2, (legTo - legFrom) / 2);
+            const gain = envelope(ctx, level, [[legFrom, 0], [legFrom + fade, 1], [legTo - fade, 1], [legTo, 0]], start, length);
+            ambience(ctx, noise, gain, local(from), local(to), local(legFrom));
+        });
+
+        arrivals
+            .filter(at => at >= start && at < end)
+            .forEach(at => chime(ctx, level, local(at)));
+    }
+
+    return ctx.startRendering();
+}
+
+/**
+ * The soundtrack of a playback, rendered a chunk at a time as it's needed
+ * @param {object} playback Controller (see createPlayback): its duration, legs and arrival cues
+ * @param {AudioBuffer|null} music Looped when shorter than the journey
+ * @param {{volume: number, music: number, effects: number}} levels 0..1
+ * @returns {{duration: number, chunkOf: Function, chunk: Function, ready: Function}}
+ */
+export function createSoundtrack(playback, music, levels) {
+    // Travellers arriving together get one chime
+    const arrivals = [];
+    playback.cues
+        .filter(cue => cue.kind === 'arrival')
+        .forEach((cue) => {
+            if (arrivals.length === 0 || cue.start - arrivals[arrivals.length - 1] * 1000 >= CHIME_GAP_MS) arrivals.push(cue.start / 1000);
+        });
+    const plan = { duration: Math.max(1, playback.duration) / 1000, legs: playback.legs, arrivals, music, levels };
+
+    const pending = new Map(); // index → Promise<AudioBuffer>, the most recently asked for last
+    const buffers = new Map(); // index → AudioBuffer, once rendered
+
+    return {
+        duration: playback.duration,
+        chunkOf: time => Math.floor(time / CHUNK_MS),
+        /** @returns {Promise<AudioBuffer>} Chunk `index`, starting PREROLL_MS before it */
+        chunk(index) {
+            if (!pending.has(index)) {
+                pending.set(index, renderChunk(plan, index).then((buffer) => {
+                    if (pending.has(index)) buffers.set(index, buffer);
+                    return buffer;
+                }));
+                while (pending.size > CHUNK_CACHE) {
+                    const oldest = pending.keys().next().value;
+                    pending.delete(oldest);
+                    buffers.delete(oldest);
+                }
+            }
+            return pending.get(index);
+        },
+        /** @returns {AudioBuffer|null} Chunk `index` if it has been rendered */
+        ready: index => buffers.get(index) || null
+    };
+}
+
+/**
+ * Play a soundtrack along with a playback, following its play, pause, seek and
+ * rate. Stops by itself when the playback is destroyed.
+ * @param {object} playback Controller (see createPlayback)
+ * @param {object} soundtrack From createSoundtrack
+ * @returns {Function} Stops the sound
+ */
+export function playSoundtrack(playback, soundtrack) {
+    const ctx = getAudioContext();
+    let sources = [];
+    let timer = null;
+    let generation = 0; // Chunks still rendering for an earlier start are dropped
+    let startedAt = 0; // Context time (s) of the last start
+    let offset = 0; // Playback time (ms) it started from
+    let rate = 1;
+    let playing = false;
+
+    const stop = () => {
+        generation++;
+        clearTimeout(timer);
+        sources.forEach((source) => {
+            source.stop();
+            source.disconnect();
+        });
+        sources = [];
+        playing = false;
+    };
+
+    // Play chunk `index` from `from` ms into it, as due at context time `at`; a chunk
+    // that took longer to render picks up where the sound should be by now
+    const queue = (gen, index, from, at) => {
+        if (index * CHUNK_MS >= soundtrack.duration) return;
+        soundtrack.chunk(index).then((buffer) => {
+            if (gen !== generation) return;
+            const now = ctx.currentTime;
+            const position = from + Math.max(0, now - at) * 1000 * rate;
+            if (position >= CHUNK_MS) {
+                queue(gen, index + 1, position - CHUNK_MS, now);
+                return;
+            }
+
+            const startAt = Math.max(now, at);
+            const source = ctx.createBufferSource();
+            source.buffer = buffer;
+            source.playbackRate.value = rate;
+            source.connect(ctx.destination);
+            source.start(startAt, (PREROLL_MS + position) / 1000);
+            source.onended = () => {
+                sources = sources.filter(s => s !== source);
+            };
+            sources.push(source);
+
+            const endAt = startAt + (CHUNK_MS - position) / 1000 / rate;
+            timer = setTimeout(() => queue(gen, index + 1, 0, endAt), Math.max(0, (endAt - ctx.currentTime) * 1000 - LOOKAHEAD_MS));
+        }).catch((error) => {
+            console.warn('Could not render the soundtrack', error);
+        });
+    };
+
+    const start = (time) => {
+        stop();
+        rate = playback.rate;
+        startedAt = ctx.currentTime;
+        offset = time;
+        playing = true;
+        const index = soundtrack.chunkOf(time);
+        queue(generation, index, time - index * CHUNK_MS, startedAt);
+    };
+
+    const offProgress = playback.on('progress', ({ time }) => {
+        if (playback.state !== 'playing') return;
+        const heard = offset + (ctx.currentTime - startedAt) * 1000 * rate;
+        if (!playing || rate !== playback.rate || Math.abs(heard - time) > RESYNC_MS) start(time);
+    });
+    const offState = playback.on('state', (state) => {
+        if (state === 'playing') start(playback.time);
+        else stop();
+    });
+    if (playback.state === 'playing') start(playback.time);
+
+    return () => {
+        offProgress();
+        offState();
+        stop();
+    };
+}
+
+/**
+ * Feed a soundtrack to a video recording, one frame's slice at a time, so it
+ * follows the frames however long each one takes to render. Call prepare() and
+ * wait for it (with the recording paused) while isReady() is false.
+ * @param {object} soundtrack From createSoundtrack
+ * @returns {{track: MediaStreamTrack, isReady: Function, prepare: Function, playFrame: Function, stop: Function}}
+ */
+export function createSoundtrackStream(soundtrack) {
+    const ctx = getAudioContext();
+    const destination = ctx.createMediaStreamDestination();
+    const [track] = destination.stream.getAudioTracks();
+    let nextAt = 0; // Context time (s) the last slice ends
+
+    // Chunks a frame's slice falls in
+    const chunksFor = (time, ms) => {
+        const first = soundtrack.chunkOf(time);
+        const last = soundtrack.chunkOf(Math.min(time + ms, soundtrack.duration) - 1);
+        return last > first ? [first, last] : [first];
+    };
+
+    return {
+        track,
+        isReady: (time, ms) => chunksFor(time, ms).every(index => soundtrack.ready(index)),
+        prepare: (time, ms) => Promise.all(chunksFor(time, ms).map(index => soundtrack.chunk(index))),
+        // Frames on time get their slices back to back; a late one starts where it is
+        playFrame(time, ms) {
+            if (time >= soundtrack.duration) return;
+            const at = Math.max(ctx.currentTime, nextAt);
+            nextAt = at + ms / 1000;
+
+            chunksFor(time, ms).forEach((index) => {
+                const buffer = soundtrack.ready(index);
+                if (!buffer) return;
+                const from = Math.max(time, index * CHUNK_MS);
+                const to = Math.min(time + ms, (index + 1) * CHUNK_MS);
+                const source = ctx.createBufferSource();
+                source.buffer = buffer;
+                source.connect(destination);
+                source.start(at + (from - time) / 1000, (PREROLL_MS + from - index * CHUNK_MS) / 1000, (to - from) / 1000);
+            });
+
+            // The next chunk renders while this one is recorded
+            const index = soundtrack.chunkOf(time);
+            if (time - index * CHUNK_MS > CHUNK_MS / 2 && (index + 1) * CHUNK_MS < soundtrack.duration) soundtrack.chunk(index + 1);
+        },
+        stop() {
+            track.stop();
+            destination.disconnect();
+        }
+    };
+}
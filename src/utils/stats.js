@@ -0,0 +1,109 @@
+/**
+ * Trip statistics for resolved legs: distance, travel time and CO2 estimates,
+ * per leg and summed per mode.
+ */
+import { getCumulativeDistances } from './geo';
+
+// Door-to-door average speeds (km/h), used when the router gave no duration
+export const DEFAULT_AVERAGE_SPEEDS = {
+    walk: 5,
+    bike: 16,
+    car: 70,
+    bus: 40,
+    train: 90,
+    plane: 700,
+    teleport: 0
+};
+
+// Grams of CO2 per passenger-km
+export const DEFAULT_EMISSION_FACTORS = {
+    walk: 0,
+    bike: 0,
+    car: 170,
+    bus: 100,
+    train: 35,
+    plane: 150,
+    teleport: 0
+};
+
+/**
+ * @param {object} leg Resolved leg ({ mode, pathCoords, duration? })
+ * @param {object} [settings] App settings; settings.emissions overrides the default emission factors
+ * @returns {{mode: string, distanceKm: number, durationSec: number, estimatedDuration: boolean, co2Kg: number}}
+ */
+export function getLegStats(leg, settings = {}) {
+    const factors = { ...DEFAULT_EMISSION_FACTORS, ...settings.emissions };
+
+    const cumulative = getCumulativeDistances(leg.pathCoords);
+    const distanceKm = cumulative[cumulative.length - 1];
+
+    const hasRouteDuration = typeof leg.duration === 'number' && Number.isFinite(leg.duration);
+    const speed = DEFAULT_AVERAGE_SPEEDS[leg.mode] || 0;
+
+    return {
+        mode: leg.mode,
+        distanceKm,
+        durationSec: hasRouteDuration ? leg.duration : (speed > 0 ? (distanceKm / speed) * 3600 : 0),
+        estimatedDuration: !hasRouteDuration,
+        co2Kg: (distanceKm * (factors[leg.mode] || 0)) / 1000
+    };
+}
+
+/**
+ * @param {Array} legs Resolved legs
+ * @param {object} [settings]
+ * @returns {{legs: Array, byMode: Object<string, {legs: number, distanceKm: number, durationSec: number, co2Kg: number}>, total: {legs: number, distanceKm: number, durationSec: number, co2Kg: number}}}
+ */
+export function getTripStats(legs, settings = {}) {
+    const legStats = legs.map(leg => getLegStats(leg, settings));
+    const empty = () => ({ legs: 0, distanceKm: 0, durationSec: 0, co2Kg: 0 });
+
+    const add = (sum, s) => {
+        sum.legs += 1;
+        sum.distanceKm += s.distanceKm;
+        sum.durationSec += s.durationSec;
+        sum.co2Kg += s.co2Kg;
+    };
+
+    const byMode = {};
+    const total = empty();
+    legStats.forEach((s) => {
+        if (!byMode[s.mode]) byMode[s.mode] = empty();
+        add(byMode[s.mode], s);
+        add(total, s);
+    });
+
+    return { legs: legStats, byMode, total };
+}
+
+// --- Formatting ---
+
+export function formatDistance(km) {
+    if (km < 1) return `${Math.round(km * 1000)} m`;
+    return `${km < 10 ? km.toFixed(1) : Math.round(km).toLocaleString()} km`;
+}
+
+export function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours < 48) return rest ? `${hours} h ${rest} min` : `${hours} h`;
+    return `${Math.round(hours / 24)} days`;
+}
+
+export function formatCo2(kg) {
+    if (kg === 0) return '0 kg CO₂';
+    return kg < 10 ? `${kg.toFixed(1)} kg CO₂` : `${Math.round(kg).toLocaleString()} kg CO₂`;
+}
+
+/**
+ * One-line trip summary, e.g. for the closing title card
+ * @param {ReturnType<typeof getTripStats>} stats
+ * @returns {string}
+ */
+export function formatTripSummary(stats) {
+    const { distanceKm, durationSec, co2Kg } = stats.total;
+    return `${formatDistance(distanceKm)} · ${formatDuration(durationSec)} · ${formatCo2(co2Kg)}`;
+}
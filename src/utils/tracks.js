@@ -0,0 +1,281 @@
+/**
+ * Import of recorded GPS tracks (GPX, KML, GeoJSON) into journey stops.
+ * Tracks become legs that replay their recorded geometry; waypoints become plain stops.
+ */
+import { getDistance } from './geo';
+
+const KNOWN_MODES = ['car', 'bus', 'bike', 'walk', 'train', 'plane', 'teleport'];
+
+// Whole words hinting at the mode in track names/types, checked in order: the more
+// specific modes come first, so "Car ride to the trailhead" is a car, not a hike
+const MODE_KEYWORDS = [
+    ['plane', /\b(fly|flying|flight|plane|airplane|aeroplane)\b/i],
+    ['train', /\b(train|rail|railway|metro|subway|tram)\b/i],
+    ['bus', /\b(bus|coach)\b/i],
+    ['car', /\b(car|drive|driving|taxi|motorbike|motorcycle)\b/i],
+    ['bike', /\b(bike|biking|bicycle|cycle|cycling|mtb)\b/i],
+    ['walk', /\b(walk|walking|hike|hiking|trek|trekking|run|jog|jogging|foot)\b/i]
+];
+
+// Upper bounds of average speed (km/h) per mode when guessing from timestamps
+const SPEED_BANDS = [
+    ['walk', 7],
+    ['bike', 28],
+    ['car', 160],
+    ['train', 320]
+];
+
+const WAYPOINT_SNAP_KM = 1; // A waypoint this close to a track end names that end
+
+// --- Parsers ---
+
+const parseNumber = s => parseFloat(s);
+
+function textOf(el, tag) {
+    const child = el.getElementsByTagName(tag)[0];
+    return child ? child.textContent.trim() : '';
+}
+
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('File is not valid XML');
+    }
+    return doc;
+}
+
+function parseGpx(text) {
+    const doc = parseXml(text);
+    const tracks = [];
+
+    const readPoints = (nodes) => {
+        const coords = [];
+        const times = [];
+        Array.from(nodes).forEach((pt) => {
+            coords.push([parseNumber(pt.getAttribute('lon')), parseNumber(pt.getAttribute('lat'))]);
+            const time = textOf(pt, 'time');
+            times.push(time ? Date.parse(time) : null);
+        });
+        return { coords, times };
+    };
+
+    Array.from(doc.getElementsByTagName('trk')).forEach((trk) => {
+        // Segments of one track are joined: they are pauses in the same recording
+        const { coords, times } = readPoints(trk.getElementsByTagName('trkpt'));
+        tracks.push({ name: textOf(trk, 'name'), type: textOf(trk, 'type'), coords, times });
+    });
+
+    Array.from(doc.getElementsByTagName('rte')).forEach((rte) => {
+        const { coords, times } = readPoints(rte.getElementsByTagName('rtept'));
+        tracks.push({ name: textOf(rte, 'name'), type: textOf(rte, 'type'), coords, times });
+    });
+
+    const waypoints = Array.from(doc.getElementsByTagName('wpt')).map(wpt => ({
+        name: textOf(wpt, 'name'),
+        center: [parseNumber(wpt.getAttribute('lon')), parseNumber(wpt.getAttribute('lat'))]
+    }));
+
+    return { tracks, waypoints };
+}
+
+function parseKmlCoordinates(text) {
+    return text.trim().split(/\s+/).map(tuple => {
+        const [lng, lat] = tuple.split(',').map(parseNumber);
+        return [lng, lat];
+    });
+}
+
+function parseKml(text) {
+    const doc = parseXml(text);
+    const tracks = [];
+    const waypoints = [];
+
+    Array.from(doc.getElementsByTagName('Placemark')).forEach((pm) => {
+        const name = textOf(pm, 'name');
+        const type = textOf(pm, 'description');
+
+        // Lines of one placemark (a MultiGeometry, e.g. split at the 180° meridian) are joined
+        const lines = Array.from(pm.getElementsByTagName('LineString'));
+        if (lines.length > 0) {
+            const coords = lines.flatMap(ls => parseKmlCoordinates(textOf(ls, 'coordinates')));
+            tracks.push({ name, type, coords, times: coords.map(() => null) });
+        }
+
+        // gx:Track keeps timestamps alongside coordinates
+        Array.from(pm.getElementsByTagName('gx:Track')).forEach((tr) => {
+            const coords = Array.from(tr.getElementsByTagName('gx:coord')).map((c) => {
+                const [lng, lat] = c.textContent.trim().split(/\s+/).map(parseNumber);
+                return [lng, lat];
+            });
+            const times = Array.from(tr.getElementsByTagName('when')).map(w => Date.parse(w.textContent.trim()));
+            tracks.push({ name, type, coords, times: coords.map((_, i) => times[i] || null) });
+        });
+
+        Array.from(pm.getElementsByTagName('Point')).forEach((pt) => {
+            const [center] = parseKmlCoordinates(textOf(pt, 'coordinates'));
+            waypoints.push({ name, center });
+        });
+    });
+
+    return { tracks, waypoints };
+}
+
+function parseGeoJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('File is not valid JSON');
+    }
+    if (!data || typeof data !== 'object') throw new Error('File is not a GeoJSON file');
+
+    const features = data.type === 'FeatureCollection' ? data.features
+        : data.type === 'Feature' ? [data]
+            : [{ type: 'Feature', properties: {}, geometry: data }];
+
+    const tracks = [];
+    const waypoints = [];
+
+    features.forEach((f) => {
+        const props = f.properties || {};
+        const geom = f.geometry;
+        if (!geom) return;
+
+        const name = props.name || props.title || '';
+        const type = props.mode || props.type || props.activity || '';
+        // coordTimes is what togeojson and most GPS exporters write
+        const times = props.coordTimes || props.times || [];
+
+        if (geom.type === 'LineString') {
+            tracks.push({ name, type, coords: geom.coordinates, times: geom.coordinates.map((_, i) => (times[i] ? Date.parse(times[i]) : null)) });
+        } else if (geom.type === 'MultiLineString') {
+            const coords = geom.coordinates.flat();
+            const flatTimes = Array.isArray(times[0]) ? times.flat() : times;
+            tracks.push({ name, type, coords, times: coords.map((_, i) => (flatTimes[i] ? Date.parse(flatTimes[i]) : null)) });
+        } else if (geom.type === 'Point') {
+            waypoints.push({ name, center: geom.coordinates });
+        }
+    });
+
+    return { tracks, waypoints };
+}
+
+const isValidCoord = c => Number.isFinite(c[0]) && Number.isFinite(c[1]);
+
+/**
+ * Parse a track file by extension (falls back to sniffing the content)
+ * @param {string} text
+ * @param {string} filename
+ * @returns {{tracks: Array<{name: string, type: string, coords: Array<[number, number]>, times: Array<number|null>}>, waypoints: Array<{name: string, center: [number, number]}>}}
+ */
+export function parseTrackFile(text, filename = '') {
+    const ext = filename.split('.').pop().toLowerCase();
+    const trimmed = text.trim();
+
+    let parsed;
+    if (ext === 'gpx' || (ext !== 'kml' && trimmed.startsWith('<') && /<gpx[\s>]/.test(trimmed))) {
+        parsed = parseGpx(text);
+    } else if (ext === 'kml' || trimmed.startsWith('<')) {
+        parsed = parseKml(text);
+    } else {
+        parsed = parseGeoJson(text);
+    }
+
+    // Drop broken points and tracks too short to animate
+    const tracks = parsed.tracks
+        .map((t) => {
+            const keep = t.coords.map(isValidCoord);
+            return { ...t, coords: t.coords.filter((_, i) => keep[i]), times: t.times.filter((_, i) => keep[i]) };
+        })
+        .filter(t => t.coords.length >= 2);
+    const waypoints = parsed.waypoints.filter(w => w.center && isValidCoord(w.center));
+
+    if (tracks.length === 0 && waypoints.length === 0) {
+        throw new Error('No tracks or waypoints found in file');
+    }
+    return { tracks, waypoints };
+}
+
+// --- Conversion ---
+
+/**
+ * Guess the travel mode of a recorded track from its name/type, then its average speed
+ * @param {{name: string, type: string, coords: Array, times: Array}} track
+ * @returns {string}
+ */
+export function guessTrackMode(track) {
+    const hint = `${track.type} ${track.name}`;
+    if (KNOWN_MODES.includes(track.type)) return track.type;
+
+    const keyword = MODE_KEYWORDS.find(([, re]) => re.test(hint));
+    if (keyword) return keyword[0];
+
+    const first = track.times.find(t => t);
+    const last = [...track.times].reverse().find(t => t);
+    if (first && last && last > first) {
+        let distance = 0;
+        for (let i = 1; i < track.coords.length; i++) distance += getDistance(track.coords[i - 1], track.coords[i]);
+
+        const kmh = distance / ((last - first) / 3600000);
+        const band = SPEED_BANDS.find(([, max]) => kmh <= max);
+        return band ? band[0] : 'plane';
+    }
+
+    return 'car';
+}
+
+const placeFor = (name, center, id) => ({ id, name, center });
+
+function nearestWaypointName(waypoints, point, used) {
+    let best = null;
+    waypoints.forEach((w, i) => {
+        if (used.has(i) || !w.name) return;
+        const d = getDistance(w.center, point);
+        if (d <= WAYPOINT_SNAP_KM && (!best || d < best.d)) best = { i, d };
+    });
+    if (!best) return null;
+    used.add(best.i);
+    return waypoints[best.i].name;
+}
+
+/**
+ * Turn a parsed track file into a start place and a list of stops.
+ * Track stops carry their recorded geometry in `track`; waypoints that sit
+ * on a track end name that end, the rest become ordinary routed stops.
+ * @param {ReturnType<typeof parseTrackFile>} parsed
+ * @param {string} sourceName Used for default names
+ * @returns {{start: object, stops: Array<{place: object, mode: string, track?: object}>}}
+ */
+export function tracksToStops({ tracks, waypoints }, sourceName = 'Track') {
+    const used = new Set();
+    const stamp = Date.now();
+    const stops = [];
+    let start = null;
+
+    tracks.forEach((track, i) => {
+        const first = track.coords[0];
+        const last = track.coords[track.coords.length - 1];
+        const label = track.name || `${sourceName} ${i + 1}`;
+
+        if (!start) {
+            const name = nearestWaypointName(waypoints, first, used) || `${label} (start)`;
+            start = placeFor(name, first, `import-${stamp}-start`);
+        }
+
+        const name = nearestWaypointName(waypoints, last, used) || label;
+        stops.push({
+            place: placeFor(name, last, `import-${stamp}-${i}`),
+            mode: guessTrackMode(track),
+            track: { name: label, coords: track.coords }
+        });
+    });
+
+    waypoints.forEach((w, i) => {
+        if (used.has(i)) return;
+        const place = placeFor(w.name || `Waypoint ${i + 1}`, w.center, `import-${stamp}-wpt-${i}`);
+        if (!start) start = place;
+        else stops.push({ place, mode: 'car' });
+    });
+
+    return { start, stops };
+}
@@ -0,0 +1,401 @@
+/**
+ * Rail and bus routing over locally imported transit geometry.
+ * GTFS feeds (shapes.txt, or stop_times.txt + stops.txt) and OSM rail extracts
+ * (GeoJSON or .osm XML) become lines per mode; lines are joined into a graph
+ * where they share points and legs are routed over it with Dijkstra.
+ */
+import { getDistance } from './geo';
+import { readZipText } from './zip';
+
+const GTFS_FILES = ['routes.txt', 'trips.txt', 'shapes.txt', 'stops.txt', 'stop_times.txt'];
+
+// How far a stop may be from the network to board it, per mode (km)
+const SNAP_KM = {
+    train: 5,
+    bus: 1.5
+};
+
+const BOARDING_GAP_KM = 0.01; // Stops closer than this to the network need no connector
+const NODE_PRECISION = 1e5; // Points closer than ~1m are the same graph node
+const CELL_DEGREES = 0.1; // Spatial index cell size
+
+const OSM_RAILWAYS = ['rail', 'light_rail', 'subway', 'narrow_gauge', 'tram', 'monorail'];
+
+// --- GTFS ---
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+
+    const header = (rows.shift() || []).map(h => h.trim().replace(/^\uFEFF/, ''));
+    return rows.map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] || '').trim()])));
+}
+
+/**
+ * GTFS route_type (basic and extended) to travel mode; ferries, cable cars etc. are skipped
+ * @param {string} type
+ * @returns {string|null}
+ */
+function gtfsMode(type) {
+    const n = parseInt(type, 10);
+    if ([0, 1, 2, 5, 7, 12].includes(n) || (n >= 100 && n < 200) || (n >= 400 && n < 500) || (n >= 900 && n < 1000)) {
+        return 'train';
+    }
+    if ([3, 11].includes(n) || (n >= 200 && n < 300) || (n >= 700 && n < 800) || n === 800) {
+        return 'bus';
+    }
+    return null;
+}
+
+function parseGtfs(files) {
+    if (!files.has('routes.txt') || !files.has('trips.txt')) {
+        throw new Error('GTFS feed needs routes.txt and trips.txt');
+    }
+
+    const routes = new Map(parseCsv(files.get('routes.txt')).map(r => [r.route_id, {
+        mode: gtfsMode(r.route_type),
+        name: r.route_short_name || r.route_long_name || r.route_id
+    }]));
+    const trips = parseCsv(files.get('trips.txt'));
+    const lines = [];
+
+    if (files.has('shapes.txt')) {
+        const shapes = new Map();
+        parseCsv(files.get('shapes.txt')).forEach((p) => {
+            if (!shapes.has(p.shape_id)) shapes.set(p.shape_id, []);
+            shapes.get(p.shape_id).push([
+                parseInt(p.shape_pt_sequence, 10),
+                [parseFloat(p.shape_pt_lon), parseFloat(p.shape_pt_lat)]
+            ]);
+        });
+
+        const used = new Set();
+        trips.forEach((trip) => {
+            const route = routes.get(trip.route_id);
+            if (!route || !route.mode || !shapes.has(trip.shape_id) || used.has(trip.shape_id)) return;
+            used.add(trip.shape_id);
+            const coords = shapes.get(trip.shape_id).sort((a, b) => a[0] - b[0]).map(p => p[1]);
+            lines.push({ mode: route.mode, name: route.name, coords });
+        });
+        return lines;
+    }
+
+    // No shapes: connect the stops of each distinct stop pattern
+    if (!files.has('stops.txt') || !files.has('stop_times.txt')) {
+        throw new Error('GTFS feed needs shapes.txt, or stops.txt and stop_times.txt');
+    }
+
+    const stops = new Map(parseCsv(files.get('stops.txt')).map(s => [s.stop_id, [parseFloat(s.stop_lon), parseFloat(s.stop_lat)]]));
+    const tripRoutes = new Map(trips.map(t => [t.trip_id, t.route_id]));
+    const tripStops = new Map();
+    parseCsv(files.get('stop_times.txt')).forEach((st) => {
+        if (!tripStops.has(st.trip_id)) tripStops.set(st.trip_id, []);
+        tripStops.get(st.trip_id).push([parseInt(st.stop_sequence, 10), st.stop_id]);
+    });
+
+    const patterns = new Set();
+    tripStops.forEach((sequence, tripId) => {
+        const route = routes.get(tripRoutes.get(tripId));
+        if (!route || !route.mode) return;
+
+        const ids = sequence.sort((a, b) => a[0] - b[0]).map(s => s[1]);
+        const pattern = ids.join('|');
+        if (patterns.has(pattern)) return;
+        patterns.add(pattern);
+
+        lines.push({ mode: route.mode, name: route.name, coords: ids.map(id => stops.get(id)).filter(Boolean) });
+    });
+    return lines;
+}
+
+// --- OSM rail extracts ---
+
+function parseOsmXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('File is not valid OSM XML');
+
+    const nodes = new Map();
+    Array.from(doc.getElementsByTagName('node')).forEach((n) => {
+        nodes.set(n.getAttribute('id'), [parseFloat(n.getAttribute('lon')), parseFloat(n.getAttribute('lat'))]);
+    });
+
+    const lines = [];
+    Array.from(doc.getElementsByTagName('way')).forEach((way) => {
+        const tags = Object.fromEntries(Array.from(way.getElementsByTagName('tag')).map(t => [t.getAttribute('k'), t.getAttribute('v')]));
+        if (!OSM_RAILWAYS.includes(tags.railway)) return;
+
+        const coords = Array.from(way.getElementsByTagName('nd')).map(nd => nodes.get(nd.getAttribute('ref'))).filter(Boolean);
+        lines.push({ mode: 'train', name: tags.name || '', coords });
+    });
+    return lines;
+}
+
+function parseGeoJsonLines(text) {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection' ? data.features : [data];
+    const lines = [];
+
+    features.forEach((f) => {
+        const props = f.properties || {};
+        const geom = f.geometry;
+        if (!geom) return;
+
+        // A rail extract unless the feature says it is a bus route
+        const mode = props.mode === 'bus' || props.route === 'bus' || props.highway ? 'bus' : 'train';
+        const parts = geom.type === 'LineString' ? [geom.coordinates]
+            : geom.type === 'MultiLineString' ? geom.coordinates
+                : [];
+        parts.forEach(coords => lines.push({ mode, name: props.name || '', coords }));
+    });
+    return lines;
+}
+
+// --- Network ---
+
+const nodeKey = c => `${Math.round(c[0] * NODE_PRECISION)},${Math.round(c[1] * NODE_PRECISION)}`;
+const cellKey = (x, y) => `${x}:${y}`;
+const cellOf = c => [Math.floor(c[0] / CELL_DEGREES), Math.floor(c[1] / CELL_DEGREES)];
+
+function buildGraph(lines) {
+    const coords = [];
+    const adjacency = [];
+    const index = new Map();
+    const cells = new Map();
+
+    const nodeFor = (c) => {
+        const key = nodeKey(c);
+        if (index.has(key)) return index.get(key);
+
+        const id = coords.length;
+        index.set(key, id);
+        coords.push(c);
+        adjacency.push([]);
+
+        const cell = cellKey(...cellOf(c));
+        if (!cells.has(cell)) cells.set(cell, []);
+        cells.get(cell).push(id);
+        return id;
+    };
+
+    lines.forEach((line) => {
+        let prev = null;
+        line.coords.forEach((c) => {
+            const id = nodeFor(c);
+            if (prev !== null && prev !== id) {
+                const d = getDistance(coords[prev], c);
+                adjacency[prev].push([id, d]);
+                adjacency[id].push([prev, d]);
+            }
+            prev = id;
+        });
+    });
+
+    return { coords, adjacency, cells };
+}
+
+function nodesNear(graph, point, radiusKm) {
+    // One cell is at least ~11km tall, and narrower in longitude towards the poles
+    const span = Math.ceil(radiusKm / (111 * CELL_DEGREES * Math.max(0.1, Math.cos(point[1] * Math.PI / 180))));
+    const [cx, cy] = cellOf(point);
+    const found = [];
+
+    for (let x = cx - span; x <= cx + span; x++) {
+        for (let y = cy - 1; y <= cy + 1; y++) {
+            (graph.cells.get(cellKey(x, y)) || []).forEach((id) => {
+                const d = getDistance(point, graph.coords[id]);
+                if (d <= radiusKm) found.push([id, d]);
+            });
+        }
+    }
+    return found;
+}
+
+// Binary min-heap of [cost, node]
+function createHeap() {
+    const items = [];
+    return {
+        get size() {
+            return items.length;
+        },
+        push(item) {
+            items.push(item);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (items[parent][0] <= items[i][0]) break;
+                [items[parent], items[i]] = [items[i], items[parent]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const l = 2 * i + 1;
+                    const r = l + 1;
+                    let min = i;
+                    if (l < items.length && items[l][0] < items[min][0]) min = l;
+                    if (r < items.length && items[r][0] < items[min][0]) min = r;
+                    if (min === i) break;
+                    [items[min], items[i]] = [items[i], items[min]];
+                    i = min;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+/**
+ * Shortest path between the network nodes near two points.
+ * Boarding and alighting distances count towards the cost, so a slightly
+ * farther node on a connected line beats the nearest one on a disconnected line.
+ */
+function shortestPath(graph, from, to, snapKm) {
+    const sources = nodesNear(graph, from, snapKm);
+    const targets = new Map(nodesNear(graph, to, snapKm));
+    if (sources.length === 0 || targets.size === 0) return null;
+
+    const cost = new Map();
+    const prev = new Map();
+    const heap = createHeap();
+    sources.forEach(([id, d]) => {
+        cost.set(id, d);
+        heap.push([d, id]);
+    });
+
+    let best = null;
+    while (heap.size > 0) {
+        const [c, id] = heap.pop();
+        if (c > cost.get(id)) continue;
+        if (best && c >= best.cost) break;
+
+        if (targets.has(id)) {
+            const total = c + targets.get(id);
+            if (!best || total < best.cost) best = { cost: total, id };
+        }
+
+        graph.adjacency[id].forEach(([next, d]) => {
+            const nextCost = c + d;
+            if (!cost.has(next) || nextCost < cost.get(next)) {
+                cost.set(next, nextCost);
+                prev.set(next, id);
+                heap.push([nextCost, next]);
+            }
+        });
+    }
+    if (!best) return null;
+
+    const path = [];
+    for (let id = best.id; id !== undefined; id = prev.get(id)) path.push(graph.coords[id]);
+    return path.reverse();
+}
+
+// --- Public API ---
+
+/**
+ * Parse transit data files into lines. Accepts a GTFS .zip, loose GTFS .txt files,
+ * and OSM rail extracts as GeoJSON or .osm XML.
+ * @param {File[]} files
+ * @returns {Promise<Array<{mode: string, name: string, coords: Array<[number, number]>}>>}
+ */
+export async function parseTransitFiles(files) {
+    const lines = [];
+    const gtfs = new Map();
+
+    for (const file of files) {
+        const ext = file.name.split('.').pop().toLowerCase();
+        if (ext === 'zip') {
+            const entries = await readZipText(await file.arrayBuffer(), name => GTFS_FILES.includes(name));
+            lines.push(...parseGtfs(entries));
+        } else if (GTFS_FILES.includes(file.name)) {
+            gtfs.set(file.name, await file.text());
+        } else if (ext === 'osm' || ext === 'xml') {
+            lines.push(...parseOsmXml(await file.text()));
+        } else {
+            try {
+                lines.push(...parseGeoJsonLines(await file.text()));
+            } catch (e) {
+                throw new Error(`${file.name}: not a GTFS feed, OSM extract or GeoJSON file`);
+            }
+        }
+    }
+    if (gtfs.size > 0) lines.push(...parseGtfs(gtfs));
+
+    const valid = lines
+        .map(l => ({ ...l, coords: l.coords.filter(c => Number.isFinite(c[0]) && Number.isFinite(c[1])) }))
+        .filter(l => l.coords.length >= 2);
+    if (valid.length === 0) throw new Error('No rail or bus lines found');
+    return valid;
+}
+
+/**
+ * Build a routable network per mode
+ * @param {Array<{mode: string, coords: Array}>} lines From parseTransitFiles
+ * @returns {{id: number, counts: Object<string, number>, graphs: Object<string, object>}}
+ */
+export function buildTransitNetwork(lines) {
+    const graphs = {};
+    const counts = {};
+    Object.keys(SNAP_KM).forEach((mode) => {
+        const modeLines = lines.filter(l => l.mode === mode);
+        counts[mode] = modeLines.length;
+        if (modeLines.length > 0) graphs[mode] = buildGraph(modeLines);
+    });
+    return { id: Date.now(), counts, graphs };
+}
+
+/**
+ * Route a train or bus leg over the network
+ * @param {object|null} network From buildTransitNetwork
+ * @param {string} mode 'train' or 'bus'
+ * @param {[number, number]} from
+ * @param {[number, number]} to
+ * @returns {Array<[number, number]>|null} Path from `from` to `to`, or null when the network doesn't connect them
+ */
+export function routeTransit(network, mode, from, to) {
+    const graph = network && network.graphs[mode];
+    if (!graph) return null;
+
+    const path = shortestPath(graph, from, to, SNAP_KM[mode]);
+    if (!path) return null;
+
+    // Walk on and off the network when the stops aren't on it
+    if (getDistance(from, path[0]) > BOARDING_GAP_KM) path.unshift(from);
+    if (getDistance(path[path.length - 1], to) > BOARDING_GAP_KM) path.push(to);
+    return path;
+}
@@ -0,0 +1,64 @@
+/**
+ * Minimal ZIP reader for imported data bundles (GTFS feeds).
+ * Handles stored and deflated entries via DecompressionStream; no ZIP64 or encryption.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function findEndOfCentralDirectory(view) {
+    // The record is 22 bytes plus a comment of up to 64 KB
+    const min = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let i = view.byteLength - 22; i >= min; i--) {
+        if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+    }
+    throw new Error('File is not a ZIP archive');
+}
+
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read text entries from a ZIP archive
+ * @param {ArrayBuffer} buffer
+ * @param {(name: string) => boolean} [filter] Called with each entry's file name (without folders)
+ * @returns {Promise<Map<string, string>>} File name → content
+ */
+export async function readZipText(buffer, filter = () => true) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    const eocd = findEndOfCentralDirectory(view);
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+
+    const files = new Map();
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('ZIP archive is damaged');
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const name = path.split('/').pop();
+        if (!name || !filter(name)) continue;
+        if (compressedSize === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+        if (method !== 0 && method !== 8) throw new Error(`Unsupported ZIP compression in ${name}`);
+
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error('ZIP archive is damaged');
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        files.set(name, decoder.decode(method === 8 ? await inflate(data) : data));
+    }
+    return files;
+}
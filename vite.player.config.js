@@ -0,0 +1,13 @@
+import { defineConfig } from 'vite'
+
+// Standalone build of the <nomad-route-player> web component, for embedding journeys in other pages
+export default defineConfig({
+    build: {
+        outDir: 'dist/player',
+        lib: {
+            entry: 'src/player/index.js',
+            formats: ['es'],
+            fileName: () => 'nomad-route-player.js'
+        }
+    },
+})